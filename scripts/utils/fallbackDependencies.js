@@ -11,6 +11,10 @@ const OZ_VERSIONS = [
     { version: 'v4.9.2', folderSuffix: '4.9.2' },
     { version: 'v4.9.1', folderSuffix: '4.9.1' },
     { version: 'v4.9.0', folderSuffix: '4.9.0' },
+    // OpenZeppelin 5.x
+    { version: 'v5.2.0', folderSuffix: '5.2.0' },
+    { version: 'v5.1.0', folderSuffix: '5.1.0' },
+    { version: 'v5.0.2', folderSuffix: '5.0.2' },
     // Add the most recent version
     { version: 'latest', folderSuffix: 'latest' }, // Latest from main branch
     // Additional versions
@@ -69,7 +73,7 @@ const OZ_VERSIONS = [
       versionSuffix: ozVersion.folderSuffix,
       type: 'openzeppelin',
       subtype: 'contracts',
-      isLatest: ozVersion.version === 'latest' || ozVersion.version === 'v4.9.5' // Mark both latest and 4.9.5 as latest for remappings
+      isDefault: ozVersion.version === 'v4.9.5' // Unversioned imports resolve to the default version
     });
     
     // Upgradeable contracts
@@ -83,7 +87,7 @@ const OZ_VERSIONS = [
       versionSuffix: ozVersion.folderSuffix,
       type: 'openzeppelin',
       subtype: 'contracts-upgradeable',
-      isLatest: ozVersion.version === 'latest' || ozVersion.version === 'v4.9.5' // Mark both latest and 4.9.5 as latest for remappings
+      isDefault: ozVersion.version === 'v4.9.5' // Unversioned imports resolve to the default version
     });
   });
   
@@ -103,7 +103,7 @@ async function findForgePath() {
  * Install a dependency using Foundry (forge install)
  * @param {string} projectPath - Path to project directory
  * @param {string} repo - GitHub repository (user/repo)
- * @param {string} version - Version or branch name
+ * @param {string} version - Version, branch name or commit hash
  * @param {string} alias - Optional alias for the dependency
  * @returns {Promise<boolean>} True if successful
  */
@@ -156,7 +156,7 @@ async function installDependencyWithForge(projectPath, repo, version = 'main', a
  * Clone a dependency using git
  * @param {string} projectPath - Path to project directory
  * @param {string} repo - GitHub repository (user/repo)
- * @param {string} version - Version or branch name
+ * @param {string} version - Version, branch name or commit hash
  * @param {string} targetDir - Target directory name
  * @returns {Promise<boolean>} True if successful
  */
@@ -172,8 +172,13 @@ async function cloneDependencyWithGit(projectPath, repo, version = 'main', targe
     
     logger.log(`Cloning ${repo}@${version} to ${depPath}...`);
     
+    // Commits cannot be cloned with --branch, so clone the full history and check the commit out
+    const isCommit = /^[0-9a-f]{7,40}$/.test(version);
+    
     // Try shallow clone with specific branch/tag first
-    const cloneCmd = `git clone --depth 1 https://github.com/${repo}.git "${depPath}" --branch ${version} || git clone --depth 1 https://github.com/${repo}.git "${depPath}"`;
+    const cloneCmd = isCommit
+      ? `git clone https://github.com/${repo}.git "${depPath}" && git -C "${depPath}" checkout ${version}`
+      : `git clone --depth 1 https://github.com/${repo}.git "${depPath}" --branch ${version} || git clone --depth 1 https://github.com/${repo}.git "${depPath}"`;
     
     await exec(cloneCmd);
     logger.log(`✅ Successfully cloned ${repo}@${version}`);
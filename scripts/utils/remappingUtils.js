@@ -19,6 +19,15 @@ function generateRemappingsForDependency(dependency) {
     return remappings;
   }
   
+  // Pinned versions of libraries other than OpenZeppelin are only imported with the version in the path,
+  // e.g. "@uniswap/v3-core@1.0.0/=lib/uniswap-v3-core-1.0.0/"
+  if (dependency.type !== 'openzeppelin' && dependency.versionSuffix) {
+    for (const [prefix, subdir] of Object.entries(dependency.importPaths || {})) {
+      remappings.push(`${prefix.slice(0, -1)}@${dependency.versionSuffix}/=lib/${dependency.folderName}/${subdir}`);
+    }
+    return remappings;
+  }
+  
   switch (dependency.type) {
     case 'openzeppelin':
       if (dependency.subtype === 'contracts') {
@@ -29,8 +38,8 @@ function generateRemappingsForDependency(dependency) {
         // New version-in-path style remappings
         remappings.push(`@openzeppelin/contracts@${dependency.versionSuffix}/=lib/${dependency.folderName}/contracts/`);
         
-        // If this is marked as latest, also add standard remappings without version
-        if (dependency.isLatest) {
+        // The default version also gets the standard remappings without version
+        if (dependency.isDefault) {
           remappings.push(`@openzeppelin/=lib/${dependency.folderName}/`);
           remappings.push(`@openzeppelin/contracts/=lib/${dependency.folderName}/contracts/`);
         }
@@ -42,8 +51,8 @@ function generateRemappingsForDependency(dependency) {
         // New version-in-path style remappings
         remappings.push(`@openzeppelin/contracts-upgradeable@${dependency.versionSuffix}/=lib/${dependency.folderName}/contracts/`);
         
-        // If this is marked as latest, also add standard remappings without version
-        if (dependency.isLatest) {
+        // The default version also gets the standard remappings without version
+        if (dependency.isDefault) {
           remappings.push(`@openzeppelin-upgradeable/=lib/${dependency.folderName}/`);
           remappings.push(`@openzeppelin/contracts-upgradeable/=lib/${dependency.folderName}/contracts/`);
         }
@@ -9,6 +9,12 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { errorHandler } = require('./middleware/errorHandler');
 const compilationRoutes = require('./controllers/compilationController');
+const compilerRoutes = require('./controllers/compilerController');
+const adminRoutes = require('./controllers/adminController');
+const linkRoutes = require('./controllers/linkController');
+const codegenRoutes = require('./controllers/codegenController');
+const docsRoutes = require('./controllers/docsController');
+const analysisRoutes = require('./controllers/analysisController');
 const logger = require('./utils/logger');
 
 // Initialize express app
@@ -28,6 +34,12 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/v1/compile', compilationRoutes);
+app.use('/api/v1/compilers', compilerRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/link', linkRoutes);
+app.use('/api/v1/codegen', codegenRoutes);
+app.use('/api/v1/docs', docsRoutes);
+app.use('/api/v1/analyze', analysisRoutes);
 
 // 404 handler
 app.use((req, res) => {
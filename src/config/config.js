@@ -21,6 +21,8 @@ module.exports = {
     defaultEvmVersion: process.env.DEFAULT_EVM_VERSION || 'paris',
     tempDir: process.env.TEMP_DIR || path.join(process.cwd(), 'tmp'),
     timeout: parseInt(process.env.COMPILATION_TIMEOUT || '60000', 10), // 60 seconds
+    svmPath: process.env.SVM_PATH || '', // solc installations; defaults to ~/.svm or ~/.local/share/svm
+    offline: process.env.FOUNDRY_OFFLINE === 'true', // never let forge download compilers
   },
   
   // Dependencies configuration
@@ -35,6 +37,24 @@ module.exports = {
     maxContractSize: parseInt(process.env.MAX_CONTRACT_SIZE || '500000', 10),
   },
   
+  // Compilation job registry
+  jobs: {
+    retentionMs: parseInt(process.env.JOB_RETENTION_MS || '3600000', 10), // keep finished jobs for 1 hour
+  },
+  
+  // Compilation result cache
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+    maxSizeMb: parseInt(process.env.CACHE_MAX_SIZE_MB || '256', 10),
+    ttlMs: parseInt(process.env.CACHE_TTL_MS || '86400000', 10), // 24 hours
+  },
+  
+  // Admin API (disabled unless a token is configured)
+  admin: {
+    token: process.env.ADMIN_TOKEN || '',
+  },
+  
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -11,8 +11,12 @@ const OZ_VERSIONS = [
   { version: 'v4.9.2', folderSuffix: '4.9.2' },
   { version: 'v4.9.1', folderSuffix: '4.9.1' },
   { version: 'v4.9.0', folderSuffix: '4.9.0' },
+  // OpenZeppelin 5.x moved files (e.g. security/ to utils/) and requires Solidity 0.8.20
+  { version: 'v5.2.0', folderSuffix: '5.2.0', minSolidity: '0.8.20' },  // Latest 5.2.x
+  { version: 'v5.1.0', folderSuffix: '5.1.0', minSolidity: '0.8.20' },  // Latest 5.1.x
+  { version: 'v5.0.2', folderSuffix: '5.0.2', minSolidity: '0.8.20' },  // Latest 5.0.x
   // Add the most recent version
-  { version: 'latest', folderSuffix: 'latest' }, // Latest from main branch
+  { version: 'latest', folderSuffix: 'latest', minSolidity: '0.8.20' }, // Latest from main branch
   // Additional versions
   { version: 'v4.8.3', folderSuffix: '4.8.3' },  // Latest 4.8.x
   { version: 'v4.7.3', folderSuffix: '4.7.3' },  // Latest 4.7.x
@@ -25,6 +29,52 @@ const OZ_VERSIONS = [
   { version: 'v4.0.0', folderSuffix: '4.0.0' },  // First 4.x release
 ];
 
+// Version that unversioned @openzeppelin/ imports resolve to
+const DEFAULT_OZ_VERSION = '4.9.5';
+
+// Version used instead for sources whose unversioned imports only exist in OpenZeppelin 5.x
+const DEFAULT_OZ_V5_VERSION = '5.2.0';
+
+// Paths below contracts/ that exist in only one major version of OpenZeppelin (upgradeable files drop
+// their "Upgradeable" suffix before matching); a directory entry covers everything inside it
+const OZ_MAJOR_ONLY_PATHS = {
+  4: [
+    'security/',
+    'crosschain/',
+    'token/ERC777/',
+    'utils/Counters.sol',
+    'utils/Checkpoints.sol',
+    'utils/Timers.sol',
+    'utils/cryptography/draft-EIP712.sol',
+    'utils/introspection/ERC165Storage.sol',
+    'token/ERC20/extensions/draft-ERC20Permit.sol',
+    'token/ERC20/extensions/draft-IERC20Permit.sol',
+    'proxy/ERC1967/ERC1967Upgrade.sol',
+    'access/AccessControlEnumerable.sol'
+  ],
+  5: [
+    'access/manager/',
+    'access/extensions/',
+    'utils/types/',
+    'utils/Nonces.sol',
+    'utils/Pausable.sol',
+    'utils/ReentrancyGuard.sol',
+    'utils/ReentrancyGuardTransient.sol',
+    'utils/Panic.sol',
+    'utils/Packing.sol',
+    'utils/Comparators.sol',
+    'utils/SlotDerivation.sol',
+    'utils/TransientSlot.sol',
+    'utils/structs/Checkpoints.sol',
+    'utils/cryptography/MessageHashUtils.sol',
+    'interfaces/draft-IERC6093.sol',
+    'proxy/ERC1967/ERC1967Utils.sol',
+    'token/ERC721/utils/ERC721Utils.sol',
+    'token/ERC1155/utils/ERC1155Utils.sol',
+    'governance/extensions/GovernorStorage.sol'
+  ]
+};
+
 // Base dependencies (non-OpenZeppelin)
 const BASE_DEPENDENCIES = [
   {
@@ -34,6 +84,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'solmate-main',
     version: 'main',
     folderName: 'solmate',
+    importPaths: { 'solmate/': 'src/' },
     type: 'solmate'
   },
   {
@@ -43,6 +94,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'solady-main',
     version: 'main',
     folderName: 'solady',
+    importPaths: { 'solady/': 'src/' },
     type: 'solady'
   },
   {
@@ -52,6 +104,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'v2-core-master',
     version: 'master',
     folderName: 'uniswap-v2-core',
+    importPaths: { '@uniswap/v2-core/': '' },
     type: 'uniswap',
     subtype: 'v2-core'
   },
@@ -62,6 +115,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'v2-periphery-master',
     version: 'master',
     folderName: 'uniswap-v2-periphery',
+    importPaths: { '@uniswap/v2-periphery/': '' },
     type: 'uniswap',
     subtype: 'v2-periphery'
   },
@@ -72,6 +126,8 @@ const BASE_DEPENDENCIES = [
     extractDir: 'v3-core-main',
     version: 'main',
     folderName: 'uniswap-v3-core',
+    importPaths: { '@uniswap/v3-core/': '' },
+    pinnedVersions: ['1.0.0', '1.0.1'],
     type: 'uniswap',
     subtype: 'v3-core'
   },
@@ -82,6 +138,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'v3-periphery-main',
     version: 'main',
     folderName: 'uniswap-v3-periphery',
+    importPaths: { '@uniswap/v3-periphery/': '' },
     type: 'uniswap',
     subtype: 'v3-periphery'
   },
@@ -92,6 +149,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'aave-v3-core-master',
     version: 'master',
     folderName: 'aave-v3-core',
+    importPaths: { '@aave/core-v3/': '' },
     type: 'aave',
     subtype: 'v3-core'
   },
@@ -102,6 +160,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'aave-v3-periphery-master',
     version: 'master',
     folderName: 'aave-v3-periphery',
+    importPaths: { '@aave/periphery-v3/': '' },
     type: 'aave',
     subtype: 'v3-periphery'
   },
@@ -112,6 +171,10 @@ const BASE_DEPENDENCIES = [
     extractDir: 'chainlink-develop',
     version: 'develop',
     folderName: 'chainlink',
+    importPaths: { '@chainlink/contracts/': 'contracts/src/' },
+    // The npm package @chainlink/contracts is released from tags of the chainlink monorepo
+    tagFormat: 'contracts-v{version}',
+    pinnedVersions: ['0.8.0'],
     type: 'chainlink'
   },
   {
@@ -121,6 +184,8 @@ const BASE_DEPENDENCIES = [
     extractDir: 'ERC721A-main',
     version: 'main',
     folderName: 'erc721a',
+    importPaths: { 'erc721a/': 'contracts/' },
+    pinnedVersions: ['4.2.3'],
     type: 'erc721a'
   },
   {
@@ -130,6 +195,7 @@ const BASE_DEPENDENCIES = [
     extractDir: 'compound-protocol-master',
     version: 'master',
     folderName: 'compound-v2',
+    importPaths: { '@compound-protocol/': '' },
     type: 'compound',
     subtype: 'v2'
   },
@@ -140,11 +206,58 @@ const BASE_DEPENDENCIES = [
     extractDir: 'comet-main',
     version: 'main',
     folderName: 'compound-v3',
+    importPaths: { '@compound-v3/': '' },
     type: 'compound',
     subtype: 'v3'
   }
 ];
 
+/**
+ * Get the git ref a version of a dependency is published under
+ * @param {Object} dependency - Dependency configuration
+ * @param {string} version - Version from an import path (e.g. "1.0.1") or a commit hash
+ * @returns {string} Tag (per the dependency's tagFormat, "v{version}" by default) or the commit hash itself
+ */
+function getGitRef(dependency, version) {
+  if (/^[0-9a-f]{7,40}$/.test(version)) {
+    return version;
+  }
+  return (dependency.tagFormat || 'v{version}').replace('{version}', version);
+}
+
+/**
+ * Get the version-in-path remappings of a dependency, such as "@uniswap/v3-core@1.0.1/=lib/uniswap-v3-core-1.0.1/"
+ * @param {Object} dependency - Dependency configuration with importPaths
+ * @param {string} version - Version as written in import paths
+ * @param {string} folderName - Folder under lib/ the version is installed in
+ * @returns {Array<string>} One remapping per import path of the dependency
+ */
+function getVersionedRemappings(dependency, version, folderName) {
+  return Object.entries(dependency.importPaths || {}).map(([prefix, subdir]) =>
+    `${prefix.slice(0, -1)}@${version}/=lib/${folderName}/${subdir}`);
+}
+
+// Generate a versioned folder for every pinned version of the base dependencies
+const VERSIONED_DEPENDENCIES = [];
+
+BASE_DEPENDENCIES.forEach(({ pinnedVersions = [], ...dependency }) => {
+  pinnedVersions.forEach(version => {
+    const ref = getGitRef(dependency, version);
+    const repoName = dependency.repo.split('/')[1];
+    
+    VERSIONED_DEPENDENCIES.push({
+      ...dependency,
+      name: `${dependency.name} ${version}`,
+      url: `https://github.com/${dependency.repo}/archive/${ref === version ? '' : 'refs/tags/'}${ref}.zip`,
+      // GitHub drops the "v" of tags like v1.0.0 from the archive directory name
+      extractDir: `${repoName}-${ref.replace(/^v(\d)/, '$1')}`,
+      version: ref,
+      folderName: `${dependency.folderName}-${version}`,
+      versionSuffix: version
+    });
+  });
+});
+
 // Generate OpenZeppelin dependencies for each version
 const OZ_DEPENDENCIES = [];
 
@@ -162,9 +275,11 @@ OZ_VERSIONS.forEach(ozVersion => {
     version: versionTag,
     folderName: `openzeppelin-contracts-${ozVersion.folderSuffix}`,
     versionSuffix: ozVersion.folderSuffix,
+    importPaths: { '@openzeppelin/contracts/': 'contracts/' },
     type: 'openzeppelin',
     subtype: 'contracts',
-    isLatest: ozVersion.version === 'latest' || ozVersion.version === 'v4.9.5' // Mark both latest and 4.9.5 as latest for remappings
+    minSolidity: ozVersion.minSolidity,
+    isDefault: ozVersion.folderSuffix === DEFAULT_OZ_VERSION // Unversioned imports resolve to the default version
   });
   
   // Upgradeable contracts
@@ -176,24 +291,34 @@ OZ_VERSIONS.forEach(ozVersion => {
     version: versionTag,
     folderName: `openzeppelin-contracts-upgradeable-${ozVersion.folderSuffix}`,
     versionSuffix: ozVersion.folderSuffix,
+    importPaths: { '@openzeppelin/contracts-upgradeable/': 'contracts/' },
     type: 'openzeppelin',
     subtype: 'contracts-upgradeable',
-    isLatest: ozVersion.version === 'latest' || ozVersion.version === 'v4.9.5' // Mark both latest and 4.9.5 as latest for remappings
+    minSolidity: ozVersion.minSolidity,
+    isDefault: ozVersion.folderSuffix === DEFAULT_OZ_VERSION // Unversioned imports resolve to the default version
   });
 });
 
 // All dependencies combined
-const ALL_DEPENDENCIES = [...BASE_DEPENDENCIES, ...OZ_DEPENDENCIES];
+const ALL_DEPENDENCIES = [...BASE_DEPENDENCIES, ...VERSIONED_DEPENDENCIES, ...OZ_DEPENDENCIES];
 
 // Export everything
 module.exports = {
   versions: {
     openzeppelin: OZ_VERSIONS
   },
+  openzeppelin: {
+    defaultVersion: DEFAULT_OZ_VERSION,
+    defaultV5Version: DEFAULT_OZ_V5_VERSION,
+    majorOnlyPaths: OZ_MAJOR_ONLY_PATHS
+  },
   dependencies: {
     base: BASE_DEPENDENCIES,
+    versioned: VERSIONED_DEPENDENCIES,
     openzeppelin: OZ_DEPENDENCIES,
     all: ALL_DEPENDENCIES
   },
-  default: ALL_DEPENDENCIES
+  default: ALL_DEPENDENCIES,
+  getGitRef,
+  getVersionedRemappings
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Admin Controller
+ * Administrative endpoints for operating the compilation service
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const cacheService = require('../services/cacheService');
+const compilerService = require('../services/compilerService');
+const { requireAdminToken } = require('../middleware/adminAuth');
+const { getCompilerRegistrationValidationRules, getCompilerMirrorValidationRules, validate } = require('../utils/validators');
+
+router.use(requireAdminToken);
+
+/**
+ * @route GET /api/v1/admin/cache
+ * @description Get compilation cache statistics
+ * @access Admin
+ */
+router.get('/cache', (req, res) => {
+  return res.status(200).json({
+    success: true,
+    cache: cacheService.getStats()
+  });
+});
+
+/**
+ * @route DELETE /api/v1/admin/cache
+ * @description Purge all cached compilation results
+ * @access Admin
+ */
+router.delete('/cache', (req, res) => {
+  logger.info('Received request to purge the compilation cache');
+  const removed = cacheService.purge();
+  
+  return res.status(200).json({
+    success: true,
+    message: `Purged ${removed} cached compilation results`,
+    removed
+  });
+});
+
+/**
+ * @route POST /api/v1/admin/compilers
+ * @description Install a solc binary from a file on this machine
+ * @access Admin
+ */
+router.post('/compilers', getCompilerRegistrationValidationRules(), validate, async (req, res, next) => {
+  try {
+    const { file, version, sha256, force } = req.body;
+    logger.info(`Received request to register a compiler from ${file}`);
+    
+    const compiler = await compilerService.registerCompiler({ file, version, sha256, force });
+    
+    return res.status(201).json({
+      success: true,
+      message: `Registered Solidity ${compiler.version}`,
+      compiler
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/compilers/mirror
+ * @description Install solc binaries from a local mirror of binaries.soliditylang.org
+ * @access Admin
+ */
+router.post('/compilers/mirror', getCompilerMirrorValidationRules(), validate, async (req, res, next) => {
+  try {
+    const { mirror, versions, force } = req.body;
+    logger.info(`Received request to register compilers from mirror ${mirror}`);
+    
+    const { registered, skipped } = await compilerService.registerCompilersFromMirror({ mirror, versions, force });
+    
+    return res.status(200).json({
+      success: true,
+      message: `Registered ${registered.length} compilers, skipped ${skipped.length}`,
+      registered,
+      skipped
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
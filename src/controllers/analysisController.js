@@ -0,0 +1,85 @@
+/**
+ * Analysis Controller
+ * Compiles contracts and runs static analysis detectors over their AST
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const compilationService = require('../services/compilationService');
+const analysisService = require('../services/analysisService');
+const { getAnalysisValidationRules, validate } = require('../utils/validators');
+const { ApiError } = require('../middleware/errorHandler');
+const sarif = require('../utils/sarif');
+
+/**
+ * @route GET /api/v1/analyze/detectors
+ * @description List the available static analysis detectors
+ * @access Public
+ */
+router.get('/detectors', (req, res) => {
+  res.status(200).json({
+    success: true,
+    detectors: analysisService.listDetectors()
+  });
+});
+
+/**
+ * @route POST /api/v1/analyze
+ * @description Compile a smart contract and report the findings of static analysis detectors
+ * @access Public
+ */
+router.post('/', getAnalysisValidationRules(), validate, async (req, res, next) => {
+  try {
+    const { contractCode, sources, solidityVersion, evmVersion, optimize, optimizeRuns, contractName, remappings, libraries, lockfile } = req.body;
+    
+    // Unknown detectors fail the request before anything is compiled
+    const detectors = analysisService.resolveDetectors(req.body.detectors);
+    logger.info(`Received analysis request: ${contractName || 'Contract'} (${detectors.length} detectors)`);
+    
+    const result = await compilationService.compileContract({
+      contractCode,
+      sources,
+      solidityVersion,
+      evmVersion,
+      optimize: optimize !== undefined ? optimize : true,
+      optimizeRuns: optimizeRuns || 200,
+      contractName: contractName || 'Contract',
+      remappings,
+      libraries,
+      lockfile,
+      analysis: detectors
+    });
+    res.set('X-Cache', result.cacheStatus);
+    
+    if (!result.analysis) {
+      throw new ApiError('Compiler did not produce a build-info file', 500);
+    }
+    
+    if (sarif.acceptsSarif(req)) {
+      return sarif.sendSarif(res, 200, sarif.createSarifLog({
+        diagnostics: result.diagnostics,
+        compiler: result.compiler,
+        analysis: result.analysis,
+        detectors: analysisService.listDetectors().filter(detector => result.analysis.detectors.includes(detector.id))
+      }));
+    }
+    
+    const { findings } = result.analysis;
+    return res.status(200).json({
+      success: true,
+      message: findings.length === 0 ? 'No issues found' : `Found ${findings.length} issues`,
+      ...result.analysis,
+      diagnostics: result.diagnostics || [],
+      compiler: result.compiler
+    });
+  } catch (error) {
+    // Compiler errors are results too for code scanning tools
+    if (sarif.acceptsSarif(req) && error instanceof ApiError && error.details && error.details.diagnostics) {
+      return sarif.sendSarif(res, error.statusCode, sarif.createSarifLog({ diagnostics: error.details.diagnostics, compiler: error.details.compiler }));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Codegen Controller
+ * Generates TypeScript contract bindings from ABIs
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const codegenService = require('../services/codegenService');
+const { getCodegenValidationRules, validate } = require('../utils/validators');
+
+/**
+ * @route POST /api/v1/codegen/typescript
+ * @description Generate typed ethers v6 or viem bindings for contract ABIs
+ * @access Public
+ */
+router.post('/typescript', getCodegenValidationRules(), validate, (req, res, next) => {
+  try {
+    const { contracts, targets = ['ethers-v6'] } = req.body;
+    logger.info(`Received codegen request: ${Object.keys(contracts).length} contracts (${targets.join(', ')})`);
+    
+    // Accept plain ABIs as well as the contract objects of compile responses
+    const abis = {};
+    for (const [key, value] of Object.entries(contracts)) {
+      abis[key] = Array.isArray(value) ? value : value.abi;
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Generated ${targets.join(', ')} bindings`,
+      typescript: codegenService.generateBindings(abis, targets)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
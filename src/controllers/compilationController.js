@@ -8,99 +8,111 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const compilationService = require('../services/compilationService');
 const dependencyService = require('../services/dependencyService');
-const { getCompilationValidationRules, validate } = require('../utils/validators');
+const jobService = require('../services/jobService');
+const compilerService = require('../services/compilerService');
+const artifactService = require('../services/artifactService');
+const { getCompilationValidationRules, getStandardJsonValidationRules, validate } = require('../utils/validators');
+const { ApiError } = require('../middleware/errorHandler');
+const sarif = require('../utils/sarif');
+const { hasErrors } = require('../utils/diagnostics');
+const contractSize = require('../utils/contractSize');
+
+// Interval between keep-alive comments on job event streams
+const SSE_HEARTBEAT_MS = 15000;
 
 /**
- * Extract specific contract details from compilation result
- * @param {Object} result - Compilation result
- * @param {string} targetContractName - Name of the contract to extract
- * @returns {Object} Contract details or null if not found
+ * Shape a compiled contract for API responses
+ * @param {Object} contractData - Contract entry from the processed compilation result
+ * @returns {Object} Contract details returned to clients, including the extra outputs the request asked for
  */
-function extractSpecificContract(result, targetContractName) {
-  // If result is not in expected format, return null
-  if (!result.contracts || Object.keys(result.contracts).length === 0) {
-    return null;
-  }
+function formatContractOutput(contractData) {
+  const { abi, bytecode, deployedBytecode, gasEstimates, methodIdentifiers, linkReferences, size, ...extraOutputs } = contractData;
+  
+  return {
+    abi,
+    bytecode,
+    deployedBytecode,
+    gasEstimates,
+    methodIdentifiers,
+    linkReferences,
+    size,
+    ...extraOutputs
+  };
+}
 
-  logger.info(`Looking for contract: ${targetContractName} in compilation results`);
-  logger.info(`Available contracts: ${Object.keys(result.contracts).join(', ')}`);
+/**
+ * Get the source outputs of a compilation for API responses
+ * @param {Object} result - Processed compilation result
+ * @param {Array<string>} [outputs=[]] - Outputs the request asked for
+ * @returns {Object|undefined} Source path -> { id, ast } when the AST was requested
+ */
+function formatSourceOutputs(result, outputs = []) {
+  return outputs.includes('ast') ? result.sources : undefined;
+}
 
-  // Approach 1: Look for full path that ends with ":TargetContractName"
-  // This matches the format "src/SimpleToken.sol:SimpleToken"
-  for (const [contractPath, contractData] of Object.entries(result.contracts)) {
-    if (contractPath.endsWith(`:${targetContractName}`)) {
-      logger.info(`Found target contract at path: ${contractPath} (exact path match)`);
-      return {
-        abi: contractData.abi,
-        bytecode: contractData.bytecode,
-        deployedBytecode: contractData.deployedBytecode,
-        gasEstimates: contractData.gasEstimates
-      };
-    }
-  }
-  
-  // Approach 2: Look for exact match on just the contract name
-  // Extract contract names from paths and check for matches
-  for (const [contractPath, contractData] of Object.entries(result.contracts)) {
-    // Extract contract name from path
-    const contractName = contractPath.split(':').pop();
-    
-    if (contractName === targetContractName) {
-      logger.info(`Found target contract at path: ${contractPath} (contract name match)`);
-      return {
-        abi: contractData.abi,
-        bytecode: contractData.bytecode,
-        deployedBytecode: contractData.deployedBytecode,
-        gasEstimates: contractData.gasEstimates
-      };
-    }
+/**
+ * Get the total size of the submitted source code
+ * @param {Object} body - Request body
+ * @returns {number} Number of characters across all sources
+ */
+function getSourceSize({ contractCode, sources }) {
+  if (sources) {
+    return Object.values(sources).reduce((total, content) => total + content.length, 0);
   }
-  
-  // Approach 3: Check each contract key for the target name (case-insensitive)
-  // This is a more flexible approach for finding the contract
-  for (const [contractPath, contractData] of Object.entries(result.contracts)) {
-    const contractPathLower = contractPath.toLowerCase();
-    const targetNameLower = targetContractName.toLowerCase();
-    
-    // Check if the contract path contains the target name
-    if (contractPathLower.includes(targetNameLower)) {
-      // Additional check to ensure we're not matching a substring of another contract name
-      // For example, "Token" should not match "TokenManager" unless necessary
-      const pathParts = contractPath.split(/[:\/]/);
-      
-      // Check if any part exactly matches the target name (case-insensitive)
-      if (pathParts.some(part => part.toLowerCase() === targetNameLower)) {
-        logger.info(`Found target contract at path: ${contractPath} (partial match)`);
-        return {
-          abi: contractData.abi,
-          bytecode: contractData.bytecode,
-          deployedBytecode: contractData.deployedBytecode,
-          gasEstimates: contractData.gasEstimates
-        };
-      }
-    }
+  return contractCode.length;
+}
+
+/**
+ * Send framework artifacts as a zip download
+ * @param {Object} res - Express response
+ * @param {Object} artifacts - Artifacts of a compilation result ({ format, files })
+ * @param {string} fileName - Name of the downloaded file
+ * @returns {Promise<void>}
+ */
+async function sendArtifactArchive(res, artifacts, fileName) {
+  res.status(200).set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  await artifactService.writeArtifactArchive(artifacts.files, res);
+}
+
+/**
+ * Get the contracts of a compilation that exceed the EIP-170 or EIP-3860 size limit
+ * @param {Object} result - Processed compilation result
+ * @returns {Object<string, Object>} Fully qualified name -> size (see contractSize.getContractSize)
+ */
+function getOversizedContracts(result) {
+  const oversized = {};
+  for (const contractPath of contractSize.findOversizedContracts(result.contracts)) {
+    oversized[contractPath] = result.contracts[contractPath].size;
   }
-  
-  // Approach 4: Last resort - just check all contracts and return the first one
-  // Only do this if targetContractName was explicitly provided in the request
-  // This avoids returning random contracts when the default "Contract" name is used
-  if (result.contracts && Object.keys(result.contracts).length === 1) {
-    // If there's only one contract, return it
-    const contractPath = Object.keys(result.contracts)[0];
-    const contractData = result.contracts[contractPath];
-    
-    logger.info(`Only one contract found: ${contractPath}, returning it as fallback`);
-    return {
-      abi: contractData.abi,
-      bytecode: contractData.bytecode,
-      deployedBytecode: contractData.deployedBytecode,
-      gasEstimates: contractData.gasEstimates
-    };
+  return oversized;
+}
+
+/**
+ * Describe the contracts that exceed a size limit
+ * @param {Object<string, Object>} oversized - Oversized contracts (see getOversizedContracts)
+ * @returns {string} Error message
+ */
+function formatSizeLimitMessage(oversized) {
+  return `${Object.keys(oversized).join(', ')} exceed${Object.keys(oversized).length === 1 ? 's' : ''} the EIP-170 runtime or EIP-3860 initcode size limit`;
+}
+
+/**
+ * Send the diagnostics of a failed compilation as SARIF, if the request asked for SARIF
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} error - Compilation error
+ * @returns {boolean} True if the SARIF log was sent
+ */
+function sendFailureSarif(req, res, error) {
+  if (!sarif.acceptsSarif(req) || !(error instanceof ApiError) || !error.details || !error.details.diagnostics) {
+    return false;
   }
   
-  // If no match, return null
-  logger.warn(`Could not find contract matching "${targetContractName}" in compilation results`);
-  return null;
+  sarif.sendSarif(res, error.statusCode, sarif.createSarifLog({ diagnostics: error.details.diagnostics, compiler: error.details.compiler }));
+  return true;
 }
 
 /**
@@ -112,100 +124,238 @@ router.post('/', getCompilationValidationRules(), validate, async (req, res, nex
   try {
     const {
       contractCode,
+      sources,
       solidityVersion,
       evmVersion,
       optimize,
       optimizeRuns,
-      contractName
+      contractName,
+      remappings,
+      libraries,
+      lockfile,
+      outputs,
+      contracts: selectedContracts,
+      artifactFormat,
+      codegen,
+      docs,
+      sizeLimits,
+      sizeReport
     } = req.body;
     
     const targetContractName = contractName || 'Contract';
-    logger.info(`Received compilation request: ${targetContractName} (${contractCode.length} chars)`);
+    const sourceSize = getSourceSize(req.body);
+    logger.info(`Received compilation request: ${targetContractName} (${sources ? `${Object.keys(sources).length} files, ` : ''}${sourceSize} chars)`);
     
     // Validate request size
-    if (contractCode.length > 1000000) { // Additional check beyond validator
+    if (sourceSize > 1000000) { // Additional check beyond validator
       throw new Error('Contract code is too large');
     }
     
-    // Compile the contract
-    const result = await compilationService.compileContract({
+    const compileOptions = {
       contractCode,
+      sources,
       solidityVersion,
       evmVersion,
       optimize: optimize !== undefined ? optimize : true,
       optimizeRuns: optimizeRuns || 200,
-      contractName: targetContractName
-    });
+      contractName: targetContractName,
+      remappings,
+      libraries,
+      lockfile,
+      outputs,
+      artifactFormat,
+      codegen,
+      docs
+    };
+    
+    // Async mode: return a job ID right away and let the client poll for the result
+    if (req.query.async === 'true') {
+      if (sizeReport) {
+        throw new ApiError('sizeReport is only available for synchronous compilations', 400);
+      }
+      
+      const job = await compilationService.submitCompilation(compileOptions);
+      const statusUrl = `${req.baseUrl}/jobs/${job.id}`;
+      
+      res.set('X-Cache', job.cacheStatus);
+      return res.status(202).location(statusUrl).json({
+        success: true,
+        message: 'Compilation queued',
+        jobId: job.id,
+        status: job.status,
+        queuePosition: jobService.getQueuePosition(job),
+        statusUrl
+      });
+    }
+    
+    // Compile the contract
+    const result = await compilationService.compileContract(compileOptions);
+    const diagnostics = result.diagnostics || [];
+    const sourceOutputs = formatSourceOutputs(result, outputs);
+    const strict = req.query.strict === 'true';
+    res.set('X-Cache', result.cacheStatus);
     
-    // Extract the targeted contract
-    const specificContract = extractSpecificContract(result, targetContractName);
+    // Code scanning tools only need the diagnostics
+    if (sarif.acceptsSarif(req)) {
+      const compiled = Boolean(result.contracts && Object.keys(result.contracts).length > 0);
+      return sarif.sendSarif(res, compiled ? 200 : 400, sarif.createSarifLog({ diagnostics, compiler: result.compiler }));
+    }
+    
+    const oversized = getOversizedContracts(result);
+    const hasOversized = Object.keys(oversized).length > 0;
+    if (hasOversized) {
+      logger.warn(formatSizeLimitMessage(oversized));
+    }
+    const report = sizeReport ? await compilationService.createSizeReport(compileOptions, sizeReport) : null;
     
-    if (specificContract) {
+    // Fields shared by every response to a finished compilation
+    const details = {
+      ...(sourceOutputs && { sources: sourceOutputs }),
+      diagnostics,
+      compiler: result.compiler,
+      remappings: result.remappings,
+      lockfile: result.lockfile,
+      ...(result.artifacts && { artifacts: result.artifacts }),
+      ...(result.typescript && { typescript: result.typescript }),
+      ...(result.docs && { docs: result.docs }),
+      ...(hasOversized && { sizeLimitExceeded: oversized }),
+      ...(report && { sizeReport: report }),
+      // Include full result only if detailed flag is provided
+      ...(req.query.detailed === 'true' && { fullResult: result })
+    };
+    
+    if (!result.contracts || Object.keys(result.contracts).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: sources
+          ? 'Compilation did not produce any valid contracts'
+          : `Compilation did not produce any valid contracts. The contract "${targetContractName}" may have syntax errors.`,
+        ...details
+      });
+    }
+    
+    // Contracts that cannot be deployed fail the request when the size limits are enforced
+    if (sizeLimits === 'error' && hasOversized) {
+      return res.status(422).json({
+        success: false,
+        message: formatSizeLimitMessage(oversized),
+        ...details
+      });
+    }
+    
+    // Only the listed contracts, keyed by their fully qualified "path:Contract" names
+    if (selectedContracts) {
+      const selection = compilationService.selectContracts(result, selectedContracts, { strict });
+      const contracts = {};
+      for (const contractPath of selection.contractPaths) {
+        contracts[contractPath] = formatContractOutput(result.contracts[contractPath]);
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: selection.unmatched.length === 0
+          ? 'Compilation successful'
+          : `Compilation successful; no contract matches ${selection.unmatched.join(', ')}`,
+        contracts,
+        ...(selection.unmatched.length > 0 && { unmatchedContracts: selection.unmatched }),
+        ...details
+      });
+    }
+    
+    // Multi-file projects return every contract keyed by its fully qualified "path:Contract" name
+    if (sources) {
+      const contracts = {};
+      for (const [contractPath, contractData] of Object.entries(result.contracts)) {
+        contracts[contractPath] = formatContractOutput(contractData);
+      }
+      
+      const [contractPath] = contractName
+        ? compilationService.selectContracts(result, [contractName], { strict }).contractPaths
+        : [];
+      const specificContract = contractPath ? formatContractOutput(result.contracts[contractPath]) : null;
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Compilation successful',
+        ...(specificContract && { contract: specificContract }),
+        contracts,
+        ...details
+      });
+    }
+    
+    // Extract the targeted contract; the code is written to src/<contractName>.sol, so a plain name means the contract
+    // of that file rather than a library contract of the same name
+    const targetSelector = targetContractName.includes(':')
+      ? targetContractName
+      : `src/${targetContractName}.sol:${targetContractName}`;
+    const [contractPath] = compilationService.selectContracts(result, [targetSelector], { strict }).contractPaths;
+    
+    if (contractPath) {
       // Return just the specific contract requested
       return res.status(200).json({
         success: true,
         message: 'Compilation successful',
-        contract: specificContract,
+        contract: formatContractOutput(result.contracts[contractPath]),
         // Include all contracts if includeAll=true is specified
         ...(req.query.includeAll === 'true' && { allContracts: result.contracts }),
-        // Include full result only if detailed flag is provided
-        ...(req.query.detailed === 'true' && { fullResult: result })
+        ...details
       });
-    } else {
-      // If the specific contract is not found, check if we have any contracts at all
-      if (result.contracts && Object.keys(result.contracts).length > 0) {
-        logger.warn(`Target contract "${targetContractName}" not found in compilation output, searching with broader criteria`);
-        
-        // Look for any contract path that contains the target name
-        for (const [contractPath, contractData] of Object.entries(result.contracts)) {
-          if (contractPath.includes(targetContractName)) {
-            logger.info(`Found contract with similar name: ${contractPath}`);
-            return res.status(200).json({
-              success: true,
-              message: `Found similar contract: ${contractPath}`,
-              contract: {
-                abi: contractData.abi,
-                bytecode: contractData.bytecode,
-                deployedBytecode: contractData.deployedBytecode,
-                gasEstimates: contractData.gasEstimates
-              },
-              // Include all contracts if includeAll=true is specified
-              ...(req.query.includeAll === 'true' && { allContracts: result.contracts }),
-              // Include full result only if detailed flag is provided
-              ...(req.query.detailed === 'true' && { fullResult: result })
-            });
-          }
-        }
-        
-        // If we reach here, include all compiled contracts
-        const contractsMap = {};
-        
-        for (const [contractPath, contractData] of Object.entries(result.contracts)) {
-          const name = contractPath.split(':').pop();
-          contractsMap[name] = {
-            abi: contractData.abi,
-            bytecode: contractData.bytecode,
-            deployedBytecode: contractData.deployedBytecode,
-            gasEstimates: contractData.gasEstimates
-          };
-        }
-        
-        return res.status(200).json({
-          success: true,
-          message: `Target contract "${targetContractName}" not found in compilation output, returning all compiled contracts`,
-          contracts: contractsMap,
-          // Include full result only if detailed flag is provided
-          ...(req.query.detailed === 'true' && { fullResult: result })
-        });
-      } else {
-        // No contracts compiled successfully
-        return res.status(400).json({
-          success: false,
-          message: `Compilation did not produce any valid contracts. The contract "${targetContractName}" may have syntax errors.`,
-          ...(req.query.detailed === 'true' && { fullResult: result })
-        });
-      }
     }
+    
+    // No contract has the target name, so return all compiled contracts, keyed by their fully qualified names since
+    // several files may declare the same contract name
+    logger.warn(`Target contract "${targetContractName}" not found in compilation output`);
+    const contractsMap = {};
+    
+    for (const [contractPath, contractData] of Object.entries(result.contracts)) {
+      contractsMap[contractPath] = formatContractOutput(contractData);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Target contract "${targetContractName}" not found in compilation output, returning all compiled contracts`,
+      contracts: contractsMap,
+      ...details
+    });
+  } catch (error) {
+    if (sendFailureSarif(req, res, error)) {
+      return;
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/v1/compile/artifacts
+ * @description Compile a smart contract and download its artifacts as a zip in a framework's layout
+ * @access Public
+ */
+router.post('/artifacts', getCompilationValidationRules(), validate, async (req, res, next) => {
+  try {
+    const { contractCode, sources, solidityVersion, evmVersion, optimize, optimizeRuns, contractName, remappings, libraries, lockfile } = req.body;
+    const artifactFormat = req.body.artifactFormat || 'hardhat';
+    logger.info(`Received artifact request: ${contractName || 'Contract'} (${getSourceSize(req.body)} chars, ${artifactFormat})`);
+    
+    const result = await compilationService.compileContract({
+      contractCode,
+      sources,
+      solidityVersion,
+      evmVersion,
+      optimize: optimize !== undefined ? optimize : true,
+      optimizeRuns: optimizeRuns || 200,
+      contractName: contractName || 'Contract',
+      remappings,
+      libraries,
+      lockfile,
+      artifactFormat
+    });
+    res.set('X-Cache', result.cacheStatus);
+    
+    if (!result.artifacts) {
+      throw new ApiError('Compiler did not produce a build-info file', 500);
+    }
+    
+    return await sendArtifactArchive(res, result.artifacts, `${artifactFormat}-artifacts.zip`);
   } catch (error) {
     next(error);
   }
@@ -220,46 +370,157 @@ router.post('/check', getCompilationValidationRules(), validate, async (req, res
   try {
     const {
       contractCode,
+      sources,
       solidityVersion,
       evmVersion,
       optimize,
       optimizeRuns,
-      contractName
+      contractName,
+      remappings,
+      libraries,
+      lockfile,
+      sizeLimits
     } = req.body;
     
-    logger.info(`Received compilation check request: ${contractName || 'Contract'} (${contractCode.length} chars)`);
+    const sourceSize = getSourceSize(req.body);
+    logger.info(`Received compilation check request: ${contractName || 'Contract'} (${sourceSize} chars)`);
     
     // Validate request size
-    if (contractCode.length > 1000000) {
+    if (sourceSize > 1000000) {
       throw new Error('Contract code is too large');
     }
     
     // Compile the contract
-    await compilationService.compileContract({
+    const result = await compilationService.compileContract({
       contractCode,
+      sources,
       solidityVersion,
       evmVersion,
       optimize: optimize !== undefined ? optimize : true,
       optimizeRuns: optimizeRuns || 200,
-      contractName: contractName || 'Contract'
+      contractName: contractName || 'Contract',
+      remappings,
+      libraries,
+      lockfile
     });
+    res.set('X-Cache', result.cacheStatus);
+    
+    const sizes = {};
+    for (const [contractPath, contractData] of Object.entries(result.contracts || {})) {
+      sizes[contractPath] = contractData.size;
+    }
+    const oversized = getOversizedContracts(result);
+    const hasOversized = Object.keys(oversized).length > 0;
+    const hasCompileErrors = hasErrors(result.diagnostics || []);
+    
+    // SARIF logs get the status the JSON response would have
+    if (sarif.acceptsSarif(req)) {
+      const status = hasCompileErrors ? 400 : (sizeLimits === 'error' && hasOversized ? 422 : 200);
+      return sarif.sendSarif(res, status, sarif.createSarifLog({ diagnostics: result.diagnostics, compiler: result.compiler }));
+    }
+    
+    if (hasCompileErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contract does not compile',
+        diagnostics: result.diagnostics
+      });
+    }
+    
+    if (sizeLimits === 'error' && hasOversized) {
+      return res.status(422).json({
+        success: false,
+        message: formatSizeLimitMessage(oversized),
+        diagnostics: result.diagnostics || [],
+        sizes,
+        sizeLimitExceeded: oversized
+      });
+    }
     
     // Return simplified result
     return res.status(200).json({
       success: true,
-      message: 'Contract compiles successfully'
+      message: hasOversized ? `Contract compiles successfully, but ${formatSizeLimitMessage(oversized)}` : 'Contract compiles successfully',
+      diagnostics: result.diagnostics || [],
+      sizes,
+      ...(hasOversized && { sizeLimitExceeded: oversized }),
+      compiler: result.compiler,
+      remappings: result.remappings,
+      lockfile: result.lockfile
     });
   } catch (error) {
+    // Only compile failures are reported as such; other API errors, e.g. a contract no available compiler can build
+    // (422) or forge failing to run (500), keep their status
+    if (error instanceof ApiError && error.statusCode !== 400) {
+      return next(error);
+    }
+    if (sendFailureSarif(req, res, error)) {
+      return;
+    }
     if (error instanceof Error) {
       return res.status(400).json({
         success: false,
-        message: error.message
+        message: error.message,
+        ...(error.details && { diagnostics: error.details.diagnostics })
       });
     }
     next(error);
   }
 });
 
+/**
+ * @route POST /api/v1/compile/standard-json
+ * @description Compile a solc Standard JSON input and return the raw Standard JSON output
+ * @access Public
+ */
+router.post('/standard-json', getStandardJsonValidationRules(), validate, async (req, res, next) => {
+  try {
+    const { solidityVersion } = req.query;
+    
+    logger.info(`Received Standard JSON compilation request (${Object.keys(req.body.sources).length} sources)`);
+    
+    const output = await compilationService.compileStandardJson(req.body, { solidityVersion });
+    
+    // Like solc, the output carries compiler errors; reflect them in the status code
+    const hasErrors = (output.errors || []).some(error => error.severity === 'error');
+    
+    return res.status(hasErrors ? 400 : 200).json(output);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/v1/compile/resolve-imports
+ * @description Report how the imports of a compilation request resolve, without compiling
+ * @access Public
+ */
+router.post('/resolve-imports', getCompilationValidationRules(), validate, async (req, res, next) => {
+  try {
+    const { contractCode, sources, contractName, remappings, libraries, lockfile } = req.body;
+    logger.info(`Received import resolution request: ${contractName || 'Contract'} (${getSourceSize(req.body)} chars)`);
+    
+    const report = await compilationService.resolveImports({
+      contractCode,
+      sources,
+      contractName: contractName || 'Contract',
+      remappings,
+      libraries,
+      lockfile
+    });
+    
+    return res.status(200).json({
+      success: true,
+      message: report.unresolved.length === 0
+        ? `Resolved all imports of ${report.files.length} files`
+        : `Unresolved imports: ${report.unresolved.length}`,
+      ...report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route POST /api/v1/compile/debug
  * @description Debug compilation output
@@ -269,25 +530,34 @@ router.post('/debug', getCompilationValidationRules(), validate, async (req, res
   try {
     const {
       contractCode,
+      sources,
       solidityVersion,
       evmVersion,
       optimize,
       optimizeRuns,
-      contractName
+      contractName,
+      remappings,
+      libraries,
+      lockfile
     } = req.body;
     
     const targetContractName = contractName || 'Contract';
-    logger.info(`Received debug compilation request: ${targetContractName} (${contractCode.length} chars)`);
+    logger.info(`Received debug compilation request: ${targetContractName} (${getSourceSize(req.body)} chars)`);
     
     // Compile the contract
     const result = await compilationService.compileContract({
       contractCode,
+      sources,
       solidityVersion,
       evmVersion,
       optimize: optimize !== undefined ? optimize : true,
       optimizeRuns: optimizeRuns || 200,
-      contractName: targetContractName
+      contractName: targetContractName,
+      remappings,
+      libraries,
+      lockfile
     });
+    res.set('X-Cache', result.cacheStatus);
     
     // Return the raw compilation result
     return res.status(200).json({
@@ -304,6 +574,143 @@ router.post('/debug', getCompilationValidationRules(), validate, async (req, res
   }
 });
 
+/**
+ * @route GET /api/v1/compile/jobs
+ * @description List compilation jobs known to the registry
+ * @access Public
+ */
+router.get('/jobs', (req, res) => {
+  const jobs = jobService.listJobs()
+    .filter(job => !req.query.status || job.status === req.query.status)
+    .map(job => jobService.serializeJob(job, { includeResult: false }));
+  
+  return res.status(200).json({
+    success: true,
+    ...jobService.getStats(),
+    jobs
+  });
+});
+
+/**
+ * @route GET /api/v1/compile/jobs/:id
+ * @description Get the status, queue position, timings and result of a compilation job
+ * @access Public
+ */
+router.get('/jobs/:id', (req, res, next) => {
+  const job = jobService.getJob(req.params.id);
+  
+  if (!job) {
+    return next(new ApiError(`Job not found: ${req.params.id}`, 404));
+  }
+  
+  return res.status(200).json({
+    success: true,
+    job: jobService.serializeJob(job)
+  });
+});
+
+/**
+ * @route GET /api/v1/compile/jobs/:id/artifacts
+ * @description Download the artifacts of a finished compilation job that was submitted with an artifactFormat
+ * @access Public
+ */
+router.get('/jobs/:id/artifacts', async (req, res, next) => {
+  try {
+    const job = jobService.getJob(req.params.id);
+    
+    if (!job) {
+      throw new ApiError(`Job not found: ${req.params.id}`, 404);
+    }
+    if (job.status !== 'succeeded') {
+      throw new ApiError(`Job ${job.id} is ${job.status}; artifacts are available once it succeeded`, 409);
+    }
+    if (!job.result.artifacts) {
+      throw new ApiError(`Job ${job.id} was not submitted with an artifactFormat`, 404);
+    }
+    
+    return await sendArtifactArchive(res, job.result.artifacts, `${job.id}-${job.result.artifacts.format}-artifacts.zip`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/v1/compile/jobs/:id/stream
+ * @description Stream the progress of a compilation job as Server-Sent Events
+ * @access Public
+ */
+router.get('/jobs/:id/stream', (req, res, next) => {
+  const job = jobService.getJob(req.params.id);
+  
+  if (!job) {
+    return next(new ApiError(`Job not found: ${req.params.id}`, 404));
+  }
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let unsubscribe = () => {};
+  let closed = false;
+  
+  // Comment lines keep proxies from closing an idle connection during long builds
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+    
+    if (event.type === 'done') {
+      close();
+    }
+  };
+  
+  // Reconnecting EventSource clients only receive the events they missed
+  const afterEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  unsubscribe = jobService.subscribeToJob(job, sendEvent, { afterEventId });
+  
+  // The replay may already have ended the stream; a finished job has nothing left to send either way
+  if (closed) {
+    unsubscribe();
+  } else if (jobService.isJobFinished(job)) {
+    close();
+  }
+  
+  req.on('close', close);
+});
+
+/**
+ * @route DELETE /api/v1/compile/jobs/:id
+ * @description Cancel a queued or running compilation job
+ * @access Public
+ */
+router.delete('/jobs/:id', (req, res, next) => {
+  try {
+    const job = jobService.cancelJob(req.params.id);
+    
+    return res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: jobService.serializeJob(job, { includeResult: false })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route GET /api/v1/compile/dependencies
  * @description List all installed dependencies with their import paths
@@ -402,12 +809,21 @@ router.get('/status', async (req, res) => {
       logger.warn('Error counting dependencies:', error);
     }
     
+    let installedCompilers = [];
+    try {
+      installedCompilers = await compilerService.listInstalledVersions();
+    } catch (error) {
+      logger.warn('Error listing installed compilers:', error);
+    }
+    
     return res.status(200).json({
       success: true,
       status: 'Compilation service is running',
       defaultSolidityVersion: config.foundry.defaultSolidityVersion,
       defaultEvmVersion: config.foundry.defaultEvmVersion,
+      installedCompilers,
       maxConcurrentCompilations: config.limits.maxConcurrentCompilations,
+      jobs: jobService.getStats(),
       installedDependencies: dependencyCount
     });
   } catch (error) {
@@ -0,0 +1,35 @@
+/**
+ * Compiler Controller
+ * Lists the Solidity compilers available to the service
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const compilerService = require('../services/compilerService');
+
+/**
+ * @route GET /api/v1/compilers
+ * @description List the solc builds installed on disk
+ * @access Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const compilers = await compilerService.listCompilers();
+    logger.debug(`Listing ${compilers.length} installed compilers`);
+    
+    return res.status(200).json({
+      success: true,
+      path: await compilerService.getCompilersPath(),
+      defaultVersion: config.foundry.defaultSolidityVersion,
+      offline: config.foundry.offline,
+      count: compilers.length,
+      compilers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
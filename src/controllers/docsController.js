@@ -0,0 +1,65 @@
+/**
+ * Docs Controller
+ * Generates contract documentation from the NatSpec of a compilation
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const compilationService = require('../services/compilationService');
+const { getCompilationValidationRules, validate } = require('../utils/validators');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * @route POST /api/v1/docs
+ * @description Compile a smart contract and return Markdown and HTML documentation of its contracts
+ * @access Public
+ */
+router.post('/', getCompilationValidationRules(), validate, async (req, res, next) => {
+  try {
+    const { contractCode, sources, solidityVersion, evmVersion, optimize, optimizeRuns, contractName, remappings, libraries, lockfile } = req.body;
+    const docs = req.body.docs || ['markdown', 'html'];
+    logger.info(`Received docs request: ${contractName || 'Contract'} (${docs.join(', ')})`);
+    
+    const result = await compilationService.compileContract({
+      contractCode,
+      sources,
+      solidityVersion,
+      evmVersion,
+      optimize: optimize !== undefined ? optimize : true,
+      optimizeRuns: optimizeRuns || 200,
+      contractName: contractName || 'Contract',
+      remappings,
+      libraries,
+      lockfile,
+      docs
+    });
+    res.set('X-Cache', result.cacheStatus);
+    
+    if (!result.docs) {
+      throw new ApiError('Compiler did not produce a build-info file', 500);
+    }
+    
+    // Documentation of the listed contracts only, when the request names any
+    let contractPaths = Object.keys(result.docs);
+    if (req.body.contracts) {
+      contractPaths = compilationService.selectContracts(result, req.body.contracts, { strict: req.query.strict === 'true' }).contractPaths;
+    }
+    
+    const selectedDocs = {};
+    for (const contractPath of contractPaths) {
+      selectedDocs[contractPath] = result.docs[contractPath];
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: `Generated documentation for ${contractPaths.length} contracts`,
+      docs: selectedDocs,
+      compiler: result.compiler
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
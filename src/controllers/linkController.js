@@ -0,0 +1,37 @@
+/**
+ * Link Controller
+ * Links deployed library addresses into compiled bytecode
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const linkService = require('../services/linkService');
+const { getLinkValidationRules, validate } = require('../utils/validators');
+
+/**
+ * @route POST /api/v1/link
+ * @description Replace the library placeholders of unlinked bytecode with library addresses
+ * @access Public
+ */
+router.post('/', getLinkValidationRules(), validate, (req, res, next) => {
+  try {
+    const { bytecode, linkReferences, libraries } = req.body;
+    logger.info(`Received link request: ${Object.keys(libraries).length} library addresses`);
+    
+    const result = linkService.linkBytecode({ bytecode, linkReferences, libraries });
+    const unlinked = Object.values(result.linkReferences).reduce((count, entries) => count + Object.keys(entries).length, 0);
+    
+    return res.status(200).json({
+      success: true,
+      message: unlinked === 0
+        ? `Linked ${result.linked.length} libraries`
+        : `Linked ${result.linked.length} libraries, ${unlinked} left unlinked`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
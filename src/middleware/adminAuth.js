@@ -0,0 +1,48 @@
+/**
+ * Admin authentication middleware
+ * Protects administrative endpoints with a shared token
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if both strings are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Require the configured admin token as a Bearer token or X-Admin-Token header
+ * Admin endpoints are disabled entirely when ADMIN_TOKEN is not set.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const requireAdminToken = (req, res, next) => {
+  if (!config.admin.token) {
+    return next(new ApiError('Admin API is disabled: ADMIN_TOKEN is not configured', 403));
+  }
+  
+  const authorization = req.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : req.get('X-Admin-Token') || '';
+  
+  if (!safeEqual(token, config.admin.token)) {
+    return next(new ApiError('Invalid or missing admin token', 401));
+  }
+  
+  next();
+};
+
+module.exports = {
+  requireAdminToken
+};
\ No newline at end of file
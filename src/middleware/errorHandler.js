@@ -7,11 +7,15 @@ const logger = require('../utils/logger');
 
 /**
  * Custom API Error class for operational errors
+ * @param {string} message - Error message
+ * @param {number} [statusCode=500] - HTTP status code
+ * @param {Object} [details] - Extra fields included in the error response (e.g. { diagnostics })
  */
 class ApiError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, details = undefined) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -45,6 +49,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    ...(err.isOperational && err.details),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       path: req.path,
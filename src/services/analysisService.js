@@ -0,0 +1,202 @@
+/**
+ * Analysis Service
+ * Runs static analysis detectors over the solc AST of a compilation
+ */
+
+const logger = require('../utils/logger');
+const { walk, parseSrc } = require('../utils/solidityAst');
+const { getLocation } = require('../utils/diagnostics');
+const { ApiError } = require('../middleware/errorHandler');
+const builtInDetectors = require('./detectors');
+
+// Finding severities, most severe first
+const SEVERITIES = ['high', 'medium', 'low', 'informational'];
+const CONFIDENCES = ['high', 'medium', 'low'];
+
+// Registered detectors by ID
+const detectors = new Map();
+
+/**
+ * Register a detector, replacing any detector with the same ID
+ * @param {Object} detector - Detector (see detectors/index.js)
+ * @returns {void}
+ */
+function registerDetector(detector) {
+  if (!detector || !/^[a-z0-9-]+$/.test(detector.id) || typeof detector.detect !== 'function') {
+    throw new Error('A detector needs a lowercase id and a detect function');
+  }
+  if (!SEVERITIES.includes(detector.severity) || !CONFIDENCES.includes(detector.confidence)) {
+    throw new Error(`Detector ${detector.id} has an invalid severity or confidence`);
+  }
+  detectors.set(detector.id, detector);
+}
+
+/**
+ * List the registered detectors
+ * @returns {Array<{id: string, title: string, description: string, severity: string, confidence: string}>} Detectors
+ */
+function listDetectors() {
+  return [...detectors.values()].map(({ id, title, description, severity, confidence }) => ({ id, title, description, severity, confidence }));
+}
+
+/**
+ * Resolve the detectors to run
+ * @param {Array<string>} [ids] - Detector IDs; all registered detectors when omitted
+ * @returns {Array<string>} Detector IDs
+ * @throws {ApiError} 400 if an ID is not registered
+ */
+function resolveDetectors(ids) {
+  if (!ids) {
+    return [...detectors.keys()];
+  }
+  
+  const unknown = ids.filter(id => !detectors.has(id));
+  if (unknown.length > 0) {
+    throw new ApiError(`Unknown detectors: ${unknown.join(', ')}`, 400, { availableDetectors: [...detectors.keys()] });
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Build the context detectors run in
+ * @param {Object} buildInfo - Forge build-info ({ input, output })
+ * @param {Array<string>} files - Source files to analyze
+ * @returns {Object} { sourceUnits, contracts, functions, declarations }
+ */
+function createContext(buildInfo, files) {
+  const context = { sourceUnits: [], contracts: [], functions: [], declarations: new Map() };
+  
+  for (const [sourceName, source] of Object.entries(buildInfo.output.sources || {})) {
+    if (!source.ast) {
+      continue;
+    }
+    
+    // Declarations of every source, so detectors can resolve references into libraries
+    walk(source.ast, (node) => {
+      if (node.id !== undefined) {
+        context.declarations.set(node.id, node);
+      }
+    });
+    
+    if (!files.includes(sourceName)) {
+      continue;
+    }
+    context.sourceUnits.push({ sourceName, ast: source.ast });
+    
+    for (const node of source.ast.nodes || []) {
+      if (node.nodeType === 'ContractDefinition') {
+        context.contracts.push({ sourceName, node });
+        for (const member of node.nodes || []) {
+          if (['FunctionDefinition', 'ModifierDefinition'].includes(member.nodeType) && member.body) {
+            context.functions.push({ sourceName, contract: node, node: member });
+          }
+        }
+      } else if (node.nodeType === 'FunctionDefinition' && node.body) {
+        context.functions.push({ sourceName, contract: null, node });
+      }
+    }
+  }
+  
+  return context;
+}
+
+/**
+ * Resolve the source location of an AST node
+ * @param {Object} node - AST node
+ * @param {Object} buildInfo - Forge build-info
+ * @param {Object<number, string>} sourceNames - Source names by source index
+ * @returns {Object} { file, start, length, line, column, snippet }; start and length are byte offsets, like in solc
+ */
+function getNodeLocation(node, buildInfo, sourceNames) {
+  const { start, length, sourceIndex } = parseSrc(node.src);
+  const file = sourceNames[sourceIndex] || null;
+  const source = file && buildInfo.input && buildInfo.input.sources && buildInfo.input.sources[file];
+  
+  if (!source || typeof source.content !== 'string') {
+    return { file, start, length, line: null, column: null, snippet: null };
+  }
+  
+  // solc counts bytes, so convert the offset for sources with multi-byte characters
+  const offset = Buffer.from(source.content, 'utf8').subarray(0, start).toString('utf8').length;
+  return { file, start, length, ...getLocation(source.content, offset) };
+}
+
+/**
+ * Find the contract and function a source range lies in
+ * @param {Object} context - Analysis context
+ * @param {string} file - Source file
+ * @param {number} start - Byte offset
+ * @returns {{contract: string|null, function: string|null}} Fully qualified contract name and function name
+ */
+function getEnclosingScope(context, file, start) {
+  const contains = node => {
+    const range = parseSrc(node.src);
+    return start >= range.start && start < range.start + range.length;
+  };
+  const contract = context.contracts.find(entry => entry.sourceName === file && contains(entry.node));
+  const fn = context.functions.find(entry => entry.sourceName === file && contains(entry.node));
+  
+  return {
+    contract: contract ? `${file}:${contract.node.name}` : null,
+    function: fn ? fn.node.name || fn.node.kind : null
+  };
+}
+
+/**
+ * Run detectors over the AST of a compilation
+ * A detector that fails is reported in `failedDetectors` without failing the analysis.
+ * @param {Object} buildInfo - Forge build-info ({ input, output }) with source ASTs
+ * @param {Object} options - Analysis options
+ * @param {Array<string>} options.detectors - IDs of the detectors to run (see resolveDetectors)
+ * @param {Array<string>} options.files - Source files to analyze; library sources are only used to resolve references
+ * @returns {Object} { detectors, findings, summary, failedDetectors }, findings ordered by severity and location
+ */
+function analyze(buildInfo, { detectors: ids, files }) {
+  const context = createContext(buildInfo, files);
+  const sourceNames = {};
+  for (const [sourceName, source] of Object.entries(buildInfo.output.sources || {})) {
+    sourceNames[source.id] = sourceName;
+  }
+  
+  const findings = [];
+  const failedDetectors = [];
+  for (const id of ids) {
+    const detector = detectors.get(id);
+    try {
+      for (const finding of detector.detect(context)) {
+        const location = getNodeLocation(finding.node, buildInfo, sourceNames);
+        findings.push({
+          detector: detector.id,
+          title: detector.title,
+          severity: finding.severity || detector.severity,
+          confidence: finding.confidence || detector.confidence,
+          message: finding.message,
+          ...getEnclosingScope(context, location.file, location.start),
+          location
+        });
+      }
+    } catch (error) {
+      logger.error(`Detector ${id} failed: ${error.message}`);
+      failedDetectors.push({ detector: id, message: error.message });
+    }
+  }
+  
+  findings.sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+    || String(a.location.file).localeCompare(String(b.location.file))
+    || a.location.start - b.location.start);
+  
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+  logger.info(`Static analysis of ${files.length} files with ${ids.length} detectors found ${findings.length} issues`);
+  
+  return { detectors: ids, findings, summary, failedDetectors };
+}
+
+builtInDetectors.forEach(registerDetector);
+
+module.exports = {
+  registerDetector,
+  listDetectors,
+  resolveDetectors,
+  analyze
+};
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Artifact Service
+ * Converts forge build-info into the contract artifacts of Hardhat, Foundry and Truffle projects
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const archiver = require('archiver');
+const logger = require('../utils/logger');
+
+// Output selectors each format needs beyond forge's default output
+const ARTIFACT_OUTPUTS = {
+  hardhat: [],
+  foundry: ['metadata'],
+  truffle: ['metadata', 'userdoc', 'devdoc']
+};
+
+/**
+ * Get the output selectors to request from forge for an artifact format
+ * @param {string} format - Artifact format
+ * @returns {Array<string>} Output selectors (see foundryService.compileContract's extraOutput)
+ */
+function getArtifactOutputs(format) {
+  return ARTIFACT_OUTPUTS[format] || [];
+}
+
+/**
+ * Add the 0x prefix bytecode has in framework artifacts
+ * @param {string} [bytecode] - Bytecode from a solc contract output
+ * @returns {string} 0x-prefixed bytecode ("0x" when there is none, e.g. for interfaces)
+ */
+function toHex(bytecode) {
+  return bytecode && bytecode.startsWith('0x') ? bytecode : `0x${bytecode || ''}`;
+}
+
+/**
+ * List every contract in the output of a build-info file
+ * @param {Object} buildInfo - Forge build-info ({ id, input, output })
+ * @returns {Array<{sourceName: string, contractName: string, contract: Object}>} Contracts in source order
+ */
+function listContracts(buildInfo) {
+  const contracts = [];
+  for (const [sourceName, sourceContracts] of Object.entries(buildInfo.output.contracts || {})) {
+    for (const [contractName, contract] of Object.entries(sourceContracts)) {
+      contracts.push({ sourceName, contractName, contract });
+    }
+  }
+  return contracts;
+}
+
+/**
+ * Get the ID of a build-info file
+ * @param {Object} buildInfo - Forge build-info
+ * @returns {string} Forge's build ID, or a hash of the compiler input if it has none
+ */
+function getBuildInfoId(buildInfo) {
+  return buildInfo.id || crypto.createHash('md5').update(JSON.stringify(buildInfo.input || {})).digest('hex');
+}
+
+/**
+ * Build Hardhat artifacts: artifacts/<source>/<Contract>.json with a .dbg.json pointing at artifacts/build-info/
+ * @param {Object} buildInfo - Forge build-info
+ * @param {string} solcVersion - Compiler version
+ * @returns {Object<string, Object>} Artifact path -> JSON content
+ */
+function createHardhatArtifacts(buildInfo, solcVersion) {
+  const buildInfoId = getBuildInfoId(buildInfo);
+  const files = {
+    [`artifacts/build-info/${buildInfoId}.json`]: {
+      _format: 'hh-sol-build-info-1',
+      id: buildInfoId,
+      solcVersion,
+      solcLongVersion: buildInfo.solcLongVersion || solcVersion,
+      input: buildInfo.input,
+      output: buildInfo.output
+    }
+  };
+  
+  for (const { sourceName, contractName, contract } of listContracts(buildInfo)) {
+    const evm = contract.evm || {};
+    const bytecode = evm.bytecode || {};
+    const deployedBytecode = evm.deployedBytecode || {};
+    const artifactDir = `artifacts/${sourceName}`;
+    
+    files[`${artifactDir}/${contractName}.json`] = {
+      _format: 'hh-sol-artifact-1',
+      contractName,
+      sourceName,
+      abi: contract.abi || [],
+      bytecode: toHex(bytecode.object),
+      deployedBytecode: toHex(deployedBytecode.object),
+      linkReferences: bytecode.linkReferences || {},
+      deployedLinkReferences: deployedBytecode.linkReferences || {}
+    };
+    files[`${artifactDir}/${contractName}.dbg.json`] = {
+      _format: 'hh-sol-dbg-1',
+      buildInfo: path.posix.relative(artifactDir, `artifacts/build-info/${buildInfoId}.json`)
+    };
+  }
+  
+  return files;
+}
+
+/**
+ * Build Foundry artifacts: out/<File.sol>/<Contract>.json and the build-info under out/build-info/
+ * Like forge, artifacts are named after the source file only, unless two sources share a file name.
+ * @param {Object} buildInfo - Forge build-info
+ * @returns {Object<string, Object>} Artifact path -> JSON content
+ */
+function createFoundryArtifacts(buildInfo) {
+  const files = {
+    [`out/build-info/${getBuildInfoId(buildInfo)}.json`]: buildInfo
+  };
+  const sourceNames = Object.keys(buildInfo.output.contracts || {});
+  const sources = buildInfo.output.sources || {};
+  
+  for (const { sourceName, contractName, contract } of listContracts(buildInfo)) {
+    const fileName = path.posix.basename(sourceName);
+    const isUnique = sourceNames.filter(other => path.posix.basename(other) === fileName).length === 1;
+    const evm = contract.evm || {};
+    const bytecode = evm.bytecode || {};
+    const deployedBytecode = evm.deployedBytecode || {};
+    
+    files[`out/${isUnique ? fileName : sourceName}/${contractName}.json`] = {
+      abi: contract.abi || [],
+      bytecode: {
+        object: toHex(bytecode.object),
+        sourceMap: bytecode.sourceMap,
+        linkReferences: bytecode.linkReferences || {}
+      },
+      deployedBytecode: {
+        object: toHex(deployedBytecode.object),
+        sourceMap: deployedBytecode.sourceMap,
+        linkReferences: deployedBytecode.linkReferences || {},
+        immutableReferences: deployedBytecode.immutableReferences || {}
+      },
+      methodIdentifiers: evm.methodIdentifiers || {},
+      ...(contract.metadata && { rawMetadata: contract.metadata, metadata: JSON.parse(contract.metadata) }),
+      ...(sources[sourceName] && { id: sources[sourceName].id })
+    };
+  }
+  
+  return files;
+}
+
+/**
+ * Build Truffle artifacts: build/contracts/<Contract>.json
+ * Truffle keys artifacts by contract name alone, so of several contracts with the same name the last one is kept.
+ * @param {Object} buildInfo - Forge build-info
+ * @param {string} solcVersion - Compiler version
+ * @returns {Object<string, Object>} Artifact path -> JSON content
+ */
+function createTruffleArtifacts(buildInfo, solcVersion) {
+  const files = {};
+  const inputSources = (buildInfo.input && buildInfo.input.sources) || {};
+  const outputSources = buildInfo.output.sources || {};
+  const updatedAt = new Date().toISOString();
+  
+  for (const { sourceName, contractName, contract } of listContracts(buildInfo)) {
+    const artifactPath = `build/contracts/${contractName}.json`;
+    if (files[artifactPath]) {
+      logger.warn(`Truffle artifact ${artifactPath} of ${files[artifactPath].sourcePath} is replaced by the one of ${sourceName}`);
+    }
+    
+    const evm = contract.evm || {};
+    const bytecode = evm.bytecode || {};
+    const deployedBytecode = evm.deployedBytecode || {};
+    
+    files[artifactPath] = {
+      contractName,
+      abi: contract.abi || [],
+      metadata: contract.metadata || '',
+      bytecode: toHex(bytecode.object),
+      deployedBytecode: toHex(deployedBytecode.object),
+      immutableReferences: deployedBytecode.immutableReferences || {},
+      sourceMap: bytecode.sourceMap || '',
+      deployedSourceMap: deployedBytecode.sourceMap || '',
+      source: inputSources[sourceName] ? inputSources[sourceName].content : '',
+      sourcePath: sourceName,
+      ast: outputSources[sourceName] ? outputSources[sourceName].ast : undefined,
+      compiler: { name: 'solc', version: solcVersion },
+      networks: {},
+      schemaVersion: '3.4.16',
+      updatedAt,
+      devdoc: contract.devdoc || {},
+      userdoc: contract.userdoc || {}
+    };
+  }
+  
+  return files;
+}
+
+/**
+ * Build the artifact files of a compilation in a framework's layout
+ * @param {Object} buildInfo - Forge build-info ({ id, input, output })
+ * @param {string} format - Artifact format ("hardhat", "foundry" or "truffle")
+ * @param {Object} options - Artifact options
+ * @param {string} options.solcVersion - Version of the compiler that produced the build
+ * @returns {Object<string, Object>} Artifact path -> JSON content
+ */
+function createArtifacts(buildInfo, format, { solcVersion }) {
+  switch (format) {
+    case 'hardhat':
+      return createHardhatArtifacts(buildInfo, solcVersion);
+    case 'foundry':
+      return createFoundryArtifacts(buildInfo);
+    case 'truffle':
+      return createTruffleArtifacts(buildInfo, solcVersion);
+    default:
+      throw new Error(`Unknown artifact format: ${format}`);
+  }
+}
+
+/**
+ * Write artifact files to a zip archive
+ * @param {Object<string, Object>} files - Artifact path -> JSON content (see createArtifacts)
+ * @param {import('stream').Writable} output - Stream the archive is written to
+ * @returns {Promise<void>} Resolves once the archive is complete
+ */
+function writeArtifactArchive(files, output) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    
+    archive.on('error', reject);
+    archive.on('warning', warning => logger.warn(`Artifact archive: ${warning.message}`));
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    
+    archive.pipe(output);
+    for (const [artifactPath, content] of Object.entries(files)) {
+      archive.append(JSON.stringify(content, null, 2), { name: artifactPath });
+    }
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  getArtifactOutputs,
+  createArtifacts,
+  writeArtifactArchive
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Cache Service
+ * Content-addressed cache of processed compilation results
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const LruCache = require('../utils/lruCache');
+
+const cache = new LruCache({
+  maxEntries: config.cache.maxEntries,
+  maxSizeBytes: config.cache.maxSizeMb * 1024 * 1024,
+  ttlMs: config.cache.ttlMs
+});
+
+/**
+ * Compute the cache key of a compilation
+ * Sources are normalized (sorted paths, LF line endings) so that equivalent requests share an entry.
+ * @param {Object} input - Everything that determines the compilation output
+ * @param {Object<string, string>} input.sources - Map of project-relative path to source code
+ * @param {string} input.solidityVersion - Compiler version
+ * @param {string} input.evmVersion - EVM version
+ * @param {boolean} input.optimize - Whether the optimizer is enabled
+ * @param {number} input.optimizeRuns - Optimizer runs
+ * @param {Array<string>} [input.dependencies=[]] - Resolved dependency versions (e.g. "OpenZeppelin/openzeppelin-contracts@v4.9.5")
+ * @param {Array<string>} [input.remappings=[]] - Request remappings, in order
+ * @param {Array<string>} [input.libraryAddresses=[]] - Deployed libraries to link, as "file:Library:address"
+ * @param {Object} [input.lockfile] - Lockfile the compilation must match
+ * @param {Array<string>} [input.outputs=[]] - Extra outputs requested for the contracts
+ * @param {string} [input.artifactFormat] - Framework the result includes artifacts for
+ * @param {Array<string>} [input.codegen=[]] - TypeScript binding targets the result includes
+ * @param {Array<string>} [input.docs=[]] - Documentation formats the result includes
+ * @param {Array<string>} [input.analysis=[]] - Static analysis detectors the result includes findings of
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function computeCacheKey({ sources, solidityVersion, evmVersion, optimize, optimizeRuns, dependencies = [], remappings = [], libraryAddresses = [], lockfile = null, outputs = [], artifactFormat = null, codegen = [], docs = [], analysis = [] }) {
+  const normalizedSources = Object.keys(sources)
+    .sort()
+    .map(sourcePath => [sourcePath, sources[sourcePath].replace(/\r\n/g, '\n')]);
+  
+  const payload = JSON.stringify({
+    sources: normalizedSources,
+    solidityVersion,
+    evmVersion,
+    optimize: Boolean(optimize),
+    optimizeRuns: optimize ? Number(optimizeRuns) : null,
+    dependencies: [...new Set(dependencies)].sort(),
+    // Order matters: a later remapping wins over an earlier one with the same prefix
+    remappings,
+    libraryAddresses: [...new Set(libraryAddresses)].sort(),
+    lockfile,
+    outputs: [...new Set(outputs)].sort(),
+    artifactFormat,
+    codegen: [...new Set(codegen)].sort(),
+    docs: [...new Set(docs)].sort(),
+    analysis: [...new Set(analysis)].sort()
+  });
+  
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Get a cached compilation result
+ * @param {string} key - Cache key from computeCacheKey
+ * @returns {Object|undefined} Processed compilation result, or undefined on a miss
+ */
+function get(key) {
+  if (!config.cache.enabled) {
+    return undefined;
+  }
+  
+  const result = cache.get(key);
+  logger.debug(`Compilation cache ${result ? 'hit' : 'miss'}: ${key}`);
+  return result;
+}
+
+/**
+ * Store a compilation result
+ * @param {string} key - Cache key from computeCacheKey
+ * @param {Object} result - Processed compilation result
+ */
+function set(key, result) {
+  if (!config.cache.enabled) {
+    return;
+  }
+  
+  if (!cache.set(key, result)) {
+    logger.warn(`Compilation result for ${key} exceeds the cache size limit and was not cached`);
+  }
+}
+
+/**
+ * Remove every cached compilation result
+ * @returns {number} Number of entries removed
+ */
+function purge() {
+  const removed = cache.clear();
+  logger.info(`Purged ${removed} entries from the compilation cache`);
+  return removed;
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} Cache configuration, size and hit/miss counters
+ */
+function getStats() {
+  return {
+    enabled: config.cache.enabled,
+    ...cache.getStats()
+  };
+}
+
+module.exports = {
+  computeCacheKey,
+  get,
+  set,
+  purge,
+  getStats
+};
\ No newline at end of file
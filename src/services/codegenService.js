@@ -0,0 +1,473 @@
+/**
+ * Codegen Service
+ * Generates typed TypeScript contract bindings for ethers v6 and viem from compiled ABIs
+ */
+
+const logger = require('../utils/logger');
+
+// Members of ethers' BaseContract; functions with these names can only be called by their signature
+const BASE_CONTRACT_MEMBERS = ['target', 'interface', 'runner', 'filters', 'fallback', 'connect', 'attach', 'getAddress',
+  'getDeployedCode', 'waitForDeployment', 'deploymentTransaction', 'getFunction', 'getEvent', 'queryTransaction',
+  'queryFilter', 'on', 'once', 'emit', 'listenerCount', 'listeners', 'off', 'removeAllListeners', 'addListener',
+  'removeListener'];
+
+const HEX_TYPE = '`0x${string}`';
+
+// Words Solidity allows as parameter names that TypeScript does not (reserved words, strict mode reserved words,
+// and names strict mode forbids for parameters)
+const RESERVED_WORDS = ['await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof',
+  'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with',
+  'yield', 'implements', 'interface', 'let', 'package', 'private', 'protected', 'public', 'static', 'arguments', 'eval'];
+
+/**
+ * Get the contract name of a compiled contract key
+ * @param {string} key - Fully qualified "path:Contract" name or contract name
+ * @returns {string} Contract name
+ */
+function getContractName(key) {
+  return key.slice(key.lastIndexOf(':') + 1);
+}
+
+/**
+ * Give every contract a unique binding name
+ * Contracts are named after themselves; contracts that share a name get a numeric suffix in key order.
+ * @param {Array<string>} keys - Contract keys
+ * @returns {Object<string, string>} Contract key -> binding name
+ */
+function getBindingNames(keys) {
+  const names = {};
+  const counts = {};
+  for (const key of [...keys].sort()) {
+    const name = getContractName(key);
+    counts[name] = (counts[name] || 0) + 1;
+    names[key] = counts[name] === 1 ? name : `${name}_${counts[name]}`;
+  }
+  return names;
+}
+
+/**
+ * Split the internal type of a struct parameter into its namespace and name
+ * @param {string} [internalType] - Internal type, e.g. "struct Vault.Position[]"
+ * @returns {{namespace: string|null, name: string}|null} Struct name, or null if the parameter is not a named struct
+ */
+function parseStructName(internalType) {
+  const match = (internalType || '').match(/^struct ([\w$]+)(?:\.([\w$]+))?/);
+  if (!match) {
+    return null;
+  }
+  return match[2] ? { namespace: match[1], name: match[2] } : { namespace: null, name: match[1] };
+}
+
+/**
+ * Create the state of a binding file: the structs it declares and the library types it imports
+ * @param {string} target - Codegen target ("ethers-v6" or "viem")
+ * @returns {Object} Type context
+ */
+function createTypeContext(target) {
+  return { target, structs: new Map(), imports: new Set() };
+}
+
+/**
+ * Format the members of a tuple as an object type, or as a tuple type if any member is unnamed
+ * @param {Array<Object>} components - Tuple components
+ * @param {Object} context - Type context (see createTypeContext)
+ * @param {string} direction - "input" or "output"
+ * @returns {string} TypeScript type
+ */
+function formatTupleType(components, context, direction) {
+  const types = components.map(component => toTypeScriptType(component, context, direction));
+  const isNamed = components.length > 0 && components.every(component => component.name);
+  
+  if (!isNamed) {
+    return `${context.target === 'viem' ? 'readonly ' : ''}[${types.join(', ')}]`;
+  }
+  
+  const object = `{ ${components.map((component, index) => `${component.name}: ${types[index]}`).join('; ')} }`;
+  // ethers returns tuples as Results, which are arrays with named members
+  if (context.target === 'ethers-v6' && direction === 'output') {
+    return `[${components.map((component, index) => `${component.name}: ${types[index]}`).join(', ')}] & ${object}`;
+  }
+  return object;
+}
+
+/**
+ * Get the TypeScript type of an ABI parameter
+ * Named structs are recorded in the context and referenced by name.
+ * @param {Object} param - ABI parameter ({ type, internalType, components })
+ * @param {Object} context - Type context (see createTypeContext)
+ * @param {string} direction - "input" for arguments, "output" for return values, events and errors
+ * @returns {string} TypeScript type
+ */
+function toTypeScriptType(param, context, direction) {
+  const arrayMatch = param.type.match(/(\[\d*\])+$/);
+  if (arrayMatch) {
+    const dimensions = arrayMatch[0].match(/\[\d*\]/g).length;
+    const element = { ...param, type: param.type.slice(0, -arrayMatch[0].length) };
+    let type = toTypeScriptType(element, context, direction);
+    for (let dimension = 0; dimension < dimensions; dimension++) {
+      // viem decodes arrays as readonly arrays
+      type = context.target === 'viem' ? `ReadonlyArray<${type}>` : `${type}[]`;
+    }
+    return type;
+  }
+  
+  const isViem = context.target === 'viem';
+  const isInput = direction === 'input';
+  
+  if (param.type === 'tuple') {
+    const struct = parseStructName(param.internalType);
+    if (!struct) {
+      return formatTupleType(param.components || [], context, direction);
+    }
+    
+    const key = `${struct.namespace || ''}.${struct.name}`;
+    if (!context.structs.has(key)) {
+      context.structs.set(key, { ...struct, components: param.components || [] });
+    }
+    const typeName = `${struct.name}Struct${!isViem && !isInput ? 'Output' : ''}`;
+    return struct.namespace ? `${struct.namespace}.${typeName}` : typeName;
+  }
+  
+  const intMatch = param.type.match(/^u?int(\d*)$/);
+  if (intMatch) {
+    if (isViem) {
+      // viem decodes integers of up to 48 bits as numbers
+      return Number(intMatch[1] || 256) <= 48 ? 'number' : 'bigint';
+    }
+    if (isInput) {
+      context.imports.add('BigNumberish');
+      return 'BigNumberish';
+    }
+    return 'bigint';
+  }
+  
+  if (param.type === 'address') {
+    if (isViem) {
+      return HEX_TYPE;
+    }
+    if (isInput) {
+      context.imports.add('AddressLike');
+      return 'AddressLike';
+    }
+    return 'string';
+  }
+  
+  if (param.type === 'bytes' || /^bytes\d+$/.test(param.type)) {
+    if (isViem) {
+      return HEX_TYPE;
+    }
+    if (isInput) {
+      context.imports.add('BytesLike');
+      return 'BytesLike';
+    }
+    return 'string';
+  }
+  
+  if (param.type === 'bool') {
+    return 'boolean';
+  }
+  return 'string';
+}
+
+/**
+ * Format function parameters as a TypeScript parameter list
+ * @param {Array<Object>} inputs - ABI inputs
+ * @param {Object} context - Type context (see createTypeContext)
+ * @param {Array<string>} [reservedNames=[]] - Names of parameters the binding adds, e.g. ethers' overrides
+ * @returns {Array<string>} "name: type" entries; unnamed parameters are called argN, and parameters named like a
+ *   reserved word, a reserved name or an earlier parameter get an underscore suffix, e.g. class_
+ */
+function formatParameters(inputs, context, reservedNames = []) {
+  const names = new Set([...RESERVED_WORDS, ...reservedNames]);
+  return inputs.map((input, index) => {
+    let name = input.name || `arg${index}`;
+    while (names.has(name)) {
+      name = `${name}_`;
+    }
+    names.add(name);
+    return `${name}: ${toTypeScriptType(input, context, 'input')}`;
+  });
+}
+
+/**
+ * Format the return type of a function's outputs
+ * @param {Array<Object>} outputs - ABI outputs
+ * @param {Object} context - Type context (see createTypeContext)
+ * @returns {string} TypeScript type: void, the single output's type, or a tuple of all outputs
+ */
+function formatOutputType(outputs, context) {
+  if (outputs.length === 0) {
+    return 'void';
+  }
+  if (outputs.length === 1) {
+    return toTypeScriptType(outputs[0], context, 'output');
+  }
+  // viem returns several outputs as a plain array, even when they are named
+  if (context.target === 'viem') {
+    return `readonly [${outputs.map(output => toTypeScriptType(output, context, 'output')).join(', ')}]`;
+  }
+  return formatTupleType(outputs, context, 'output');
+}
+
+/**
+ * Format the argument type of an event or custom error
+ * @param {Array<Object>} inputs - ABI inputs of the event or error
+ * @param {Object} context - Type context (see createTypeContext)
+ * @returns {string} Object type of the named arguments, or a tuple type if any argument is unnamed
+ */
+function formatArgumentsType(inputs, context) {
+  if (inputs.length === 0) {
+    return context.target === 'viem' ? 'readonly []' : '[]';
+  }
+  if (inputs.every(input => input.name)) {
+    return `{ ${inputs.map(input => `${input.name}: ${toTypeScriptType(input, context, 'output')}`).join('; ')} }`;
+  }
+  return formatTupleType(inputs, context, 'output');
+}
+
+/**
+ * Get the canonical signature of an ABI function, event or error
+ * @param {Object} fragment - ABI fragment
+ * @returns {string} Signature such as "transfer(address,uint256)"
+ */
+function getSignature(fragment) {
+  const formatType = (param) => {
+    if (!param.type.startsWith('tuple')) {
+      return param.type;
+    }
+    return `(${(param.components || []).map(formatType).join(',')})${param.type.slice('tuple'.length)}`;
+  };
+  return `${fragment.name}(${(fragment.inputs || []).map(formatType).join(',')})`;
+}
+
+/**
+ * Get the type name of an overloaded event or error, made unique by its argument types
+ * Tuples are written with their component count, so "f((uint256,address))" and "f(uint256,address)" differ.
+ * @param {Object} fragment - ABI event or error
+ * @returns {string} Name such as "Transfer_address_uint256" or "Settled_tuple2Array_address_uint256", or the plain
+ *   name for the overload without arguments
+ */
+function getOverloadName(fragment) {
+  const formatType = (param) => {
+    const dimensions = (param.type.match(/\[\d*\]/g) || []).map(dimension => `Array${dimension.slice(1, -1)}`).join('');
+    if (!param.type.startsWith('tuple')) {
+      return `${param.type.replace(/\[.*$/, '')}${dimensions}`;
+    }
+    const components = param.components || [];
+    return [`tuple${components.length}${dimensions}`, ...components.map(formatType)].join('_');
+  };
+  const inputs = fragment.inputs || [];
+  return inputs.length > 0 ? `${fragment.name}_${inputs.map(formatType).join('_')}` : fragment.name;
+}
+
+/**
+ * Get the member names functions are declared under
+ * Overloaded functions are declared under their signatures, as ethers and viem cannot pick an overload by name.
+ * @param {Array<Object>} functions - ABI functions
+ * @param {Array<string>} [reservedNames=[]] - Names that must also be declared under the signature
+ * @returns {Array<string>} Member name of each function, quoted when it is a signature
+ */
+function getFunctionMemberNames(functions, reservedNames = []) {
+  return functions.map((fragment) => {
+    const isOverloaded = functions.filter(other => other.name === fragment.name).length > 1;
+    return isOverloaded || reservedNames.includes(fragment.name) ? `'${getSignature(fragment)}'` : fragment.name;
+  });
+}
+
+/**
+ * Declare the struct types recorded in a type context, grouped by namespace
+ * Declaring a struct can reference further structs, so this runs until no new struct is recorded.
+ * @param {Object} context - Type context (see createTypeContext)
+ * @returns {Object<string, Array<string>>} Namespace ("" for file-level structs) -> type declarations
+ */
+function declareStructs(context) {
+  const declarations = {};
+  const declared = new Set();
+  
+  while (declared.size < context.structs.size) {
+    for (const [key, struct] of [...context.structs]) {
+      if (declared.has(key)) {
+        continue;
+      }
+      declared.add(key);
+      
+      const namespace = struct.namespace || '';
+      declarations[namespace] = declarations[namespace] || [];
+      declarations[namespace].push(`export type ${struct.name}Struct = ${formatTupleType(struct.components, context, 'input')};`);
+      if (context.target === 'ethers-v6') {
+        declarations[namespace].push(`export type ${struct.name}StructOutput = ${formatTupleType(struct.components, context, 'output')};`);
+      }
+    }
+  }
+  
+  return declarations;
+}
+
+/**
+ * Declare the event and custom error argument types of a contract
+ * @param {Array<Object>} abi - Contract ABI
+ * @param {Object} context - Type context (see createTypeContext)
+ * @returns {Array<string>} Type declarations, named <Event>Event and <Error>Error
+ */
+function declareEventsAndErrors(abi, context) {
+  const declarations = [];
+  for (const kind of ['event', 'error']) {
+    const fragments = abi.filter(fragment => fragment.type === kind);
+    const suffix = kind === 'event' ? 'Event' : 'Error';
+    
+    for (const fragment of fragments) {
+      const isOverloaded = fragments.filter(other => other.name === fragment.name).length > 1;
+      const name = isOverloaded ? getOverloadName(fragment) : fragment.name;
+      declarations.push(`export type ${name}${suffix} = ${formatArgumentsType(fragment.inputs || [], context)};`);
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Assemble the namespaces of a binding file
+ * @param {string} bindingName - Binding name, whose namespace holds the event and error types
+ * @param {Array<string>} contractTypes - Event, error and function types of the contract
+ * @param {Object<string, Array<string>>} structs - Struct declarations by namespace (see declareStructs)
+ * @returns {string} Source of the declarations
+ */
+function formatNamespaces(bindingName, contractTypes, structs) {
+  const namespaces = { ...structs };
+  namespaces[bindingName] = [...(namespaces[bindingName] || []), ...contractTypes];
+  
+  const indent = lines => lines.map(line => `  ${line}`).join('\n');
+  return Object.entries(namespaces)
+    .filter(([, lines]) => lines.length > 0)
+    .map(([namespace, lines]) => (namespace
+      ? `export declare namespace ${namespace} {\n${indent(lines)}\n}`
+      : lines.join('\n')))
+    .join('\n\n');
+}
+
+/**
+ * Get the name of the ABI constant of a binding
+ * @param {string} bindingName - Binding name
+ * @returns {string} Constant name, e.g. "vaultAbi"
+ */
+function getAbiConstantName(bindingName) {
+  return `${bindingName.charAt(0).toLowerCase()}${bindingName.slice(1)}Abi`;
+}
+
+/**
+ * Generate the ethers v6 binding of a contract
+ * The contract interface extends BaseContract with a typed method per ABI function; connect<Contract> attaches it.
+ * @param {string} key - Contract key
+ * @param {string} bindingName - Binding name
+ * @param {Array<Object>} abi - Contract ABI
+ * @returns {string} TypeScript source
+ */
+function generateEthersBinding(key, bindingName, abi) {
+  const context = createTypeContext('ethers-v6');
+  const functions = abi.filter(fragment => fragment.type === 'function');
+  const memberNames = getFunctionMemberNames(functions, BASE_CONTRACT_MEMBERS);
+  
+  const methods = functions.map((fragment, index) => {
+    const isCall = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+    const parameters = [...formatParameters(fragment.inputs || [], context, ['overrides']), 'overrides?: Overrides'];
+    const result = isCall ? formatOutputType(fragment.outputs || [], context) : 'ContractTransactionResponse';
+    return `  ${memberNames[index]}(${parameters.join(', ')}): Promise<${result}>;`;
+  });
+  const contractTypes = declareEventsAndErrors(abi, context);
+  const structs = declareStructs(context);
+  
+  const typeImports = ['BaseContract', 'ContractRunner', ...context.imports];
+  if (functions.length > 0) {
+    typeImports.push('Overrides');
+  }
+  if (functions.some(fragment => fragment.stateMutability !== 'view' && fragment.stateMutability !== 'pure')) {
+    typeImports.push('ContractTransactionResponse');
+  }
+  
+  return [
+    `// Generated from the ABI of ${key}. Do not edit.`,
+    'import { Contract } from \'ethers\';',
+    `import type { ${typeImports.sort().join(', ')} } from 'ethers';`,
+    '',
+    `export const ${getAbiConstantName(bindingName)} = ${JSON.stringify(abi, null, 2)} as const;`,
+    '',
+    formatNamespaces(bindingName, contractTypes, structs),
+    '',
+    `export interface ${bindingName} extends BaseContract {`,
+    ...methods,
+    '}',
+    '',
+    `export function connect${bindingName}(address: string, runner?: ContractRunner | null): ${bindingName} {`,
+    `  return new Contract(address, ${getAbiConstantName(bindingName)}, runner) as unknown as ${bindingName};`,
+    '}',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate the viem binding of a contract
+ * viem infers call types from the constant ABI; the binding adds named struct, event, error and function types
+ * and get<Contract>Contract.
+ * @param {string} key - Contract key
+ * @param {string} bindingName - Binding name
+ * @param {Array<Object>} abi - Contract ABI
+ * @returns {string} TypeScript source
+ */
+function generateViemBinding(key, bindingName, abi) {
+  const context = createTypeContext('viem');
+  const functions = abi.filter(fragment => fragment.type === 'function');
+  const memberNames = getFunctionMemberNames(functions);
+  
+  const functionTypes = functions.map((fragment, index) => {
+    const args = `readonly [${formatParameters(fragment.inputs || [], context).join(', ')}]`;
+    return `  ${memberNames[index]}: { args: ${args}; outputs: ${formatOutputType(fragment.outputs || [], context)} };`;
+  });
+  const contractTypes = [
+    ...declareEventsAndErrors(abi, context),
+    ...(functionTypes.length > 0 ? ['export type Functions = {', ...functionTypes, '};'] : [])
+  ];
+  const structs = declareStructs(context);
+  
+  return [
+    `// Generated from the ABI of ${key}. Do not edit.`,
+    'import { getContract } from \'viem\';',
+    'import type { Address, Client } from \'viem\';',
+    '',
+    `export const ${getAbiConstantName(bindingName)} = ${JSON.stringify(abi, null, 2)} as const;`,
+    '',
+    formatNamespaces(bindingName, contractTypes, structs),
+    '',
+    `export function get${bindingName}Contract<TClient extends Client>(address: Address, client: TClient) {`,
+    `  return getContract({ address, abi: ${getAbiConstantName(bindingName)}, client });`,
+    '}',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate TypeScript bindings for compiled contracts
+ * Contracts without an ABI entry (e.g. libraries with only internal functions) get no binding.
+ * @param {Object<string, Array<Object>>} abis - Contract key ("path:Contract" or contract name) -> ABI
+ * @param {Array<string>} targets - Codegen targets ("ethers-v6", "viem")
+ * @returns {Object<string, Object<string, string>>} Target -> file name -> TypeScript source
+ */
+function generateBindings(abis, targets) {
+  const keys = Object.keys(abis).filter(key => Array.isArray(abis[key]) && abis[key].length > 0);
+  const bindingNames = getBindingNames(keys);
+  const bindings = {};
+  
+  for (const target of targets) {
+    const generate = target === 'viem' ? generateViemBinding : generateEthersBinding;
+    bindings[target] = {};
+    for (const key of keys) {
+      bindings[target][`${bindingNames[key]}.ts`] = generate(key, bindingNames[key], abis[key]);
+    }
+  }
+  
+  logger.debug(`Generated ${targets.join(', ')} bindings for ${keys.length} contracts`);
+  return bindings;
+}
+
+module.exports = {
+  generateBindings
+};
\ No newline at end of file
@@ -10,6 +10,17 @@ const logger = require('../utils/logger');
 const fileSystem = require('../utils/fileSystem');
 const foundryService = require('./foundryService');
 const dependencyService = require('./dependencyService');
+const jobService = require('./jobService');
+const cacheService = require('./cacheService');
+const compilerService = require('./compilerService');
+const lockfileService = require('./lockfileService');
+const artifactService = require('./artifactService');
+const codegenService = require('./codegenService');
+const docsService = require('./docsService');
+const analysisService = require('./analysisService');
+const diagnostics = require('../utils/diagnostics');
+const contractSize = require('../utils/contractSize');
+const { ApiError } = require('../middleware/errorHandler');
 
 // Use a default config if the real one doesn't exist yet
 let config;
@@ -28,141 +39,79 @@ try {
     dependencies: {
       preInstalled: true,
       libPath: './lib',
+    },
+    cache: {
+      enabled: false,
     }
   };
 }
 
-// Semaphore to limit concurrent compilations
-let activeCompilations = 0;
-const compilationQueue = [];
+// Outputs a compilation request can ask for in `outputs`, with the forge extra output selector that produces
+// each one; the selector is also the output's path in a solc contract output. The AST is always produced.
+const CONTRACT_OUTPUTS = {
+  metadata: 'metadata',
+  storageLayout: 'storageLayout',
+  userdoc: 'userdoc',
+  devdoc: 'devdoc',
+  sourceMap: 'evm.bytecode.sourceMap',
+  deployedSourceMap: 'evm.deployedBytecode.sourceMap',
+  linkReferences: 'evm.bytecode.linkReferences',
+  deployedLinkReferences: 'evm.deployedBytecode.linkReferences',
+  immutableReferences: 'evm.deployedBytecode.immutableReferences',
+  assembly: 'evm.assembly',
+  opcodes: 'evm.bytecode.opcodes',
+  deployedOpcodes: 'evm.deployedBytecode.opcodes',
+  ir: 'ir',
+  irOptimized: 'irOptimized'
+};
 
-/**
- * Process the next compilation in the queue if available
- */
-function processNextCompilation() {
-  if (compilationQueue.length > 0 && activeCompilations < config.limits.maxConcurrentCompilations) {
-    const { compileFn, resolve, reject } = compilationQueue.shift();
-    activeCompilations++;
-    
-    compileFn()
-      .then(result => {
-        activeCompilations--;
-        resolve(result);
-        processNextCompilation();
-      })
-      .catch(error => {
-        activeCompilations--;
-        reject(error);
-        processNextCompilation();
-      });
-  }
-}
+// Standard JSON output selectors that forge can add to its build through `extra_output`
+const EXTRA_OUTPUT_SELECTORS = [
+  'metadata',
+  'userdoc',
+  'devdoc',
+  'storageLayout',
+  'ir',
+  'irOptimized',
+  'evm.assembly',
+  'evm.legacyAssembly',
+  'evm.gasEstimates',
+  'evm.bytecode.opcodes',
+  'evm.bytecode.sourceMap',
+  'evm.bytecode.linkReferences',
+  'evm.deployedBytecode.opcodes',
+  'evm.deployedBytecode.sourceMap',
+  'evm.deployedBytecode.linkReferences',
+  'evm.deployedBytecode.immutableReferences',
+];
 
 /**
- * Queue a compilation function to run when resources are available
- * @param {Function} compileFn - Async function that performs compilation
- * @returns {Promise<any>} Result of the compilation
+ * Queue a compilation function as a job that runs when resources are available
+ * @param {Function} compileFn - Async function receiving { signal, job } that performs compilation
+ * @param {Object} [jobOptions] - Job type and description
+ * @returns {Object} Compilation job; `job.promise` settles with the compilation result
  */
-function queueCompilation(compileFn) {
-  return new Promise((resolve, reject) => {
-    compilationQueue.push({ compileFn, resolve, reject });
-    processNextCompilation();
-  });
+function queueCompilation(compileFn, jobOptions) {
+  return jobService.createJob(compileFn, jobOptions);
 }
 
 /**
- * Copy pre-installed libraries to temp directory
- * @param {string} tempDir - Temporary directory path
- * @returns {Promise<boolean>} True if libraries were successfully copied
+ * Extract the distinct imports of all source files
+ * Each file is parsed on its own, so an unterminated comment or string cannot hide the imports of the next file.
+ * @param {Object<string, string>} sourceFiles - Project source files (project-relative path -> content)
+ * @returns {Array<string>} Import paths, in order of first appearance
  */
-async function copyPreInstalledLibraries(tempDir) {
-  try {
-    // First, check if the lib directory exists in the project root
-    const rootLibPath = path.resolve(process.cwd(), 'lib');
-    const tempLibPath = path.join(tempDir, 'lib');
-    
-    logger.info(`Checking for libraries in: ${rootLibPath}`);
-    
-    if (await fs.pathExists(rootLibPath)) {
-      // Log what's in the lib directory
-      const libContents = await fs.readdir(rootLibPath);
-      logger.info(`Found ${libContents.length} items in lib directory: ${libContents.join(', ')}`);
-      
-      // Specifically check for openzeppelin-contracts
-      const hasOpenZeppelin = libContents.some(item => 
-        item === 'openzeppelin-contracts' || 
-        item.startsWith('openzeppelin-contracts-')
-      );
-      
-      if (hasOpenZeppelin) {
-        logger.info(`OpenZeppelin contracts found in lib directory`);
-      } else {
-        logger.warn(`OpenZeppelin contracts NOT found in lib directory`);
-      }
-      
-      // Create lib directory in temp dir
-      await fs.ensureDir(tempLibPath);
-      
-      // Copy libraries with detailed logging
-      logger.info(`Copying libraries from ${rootLibPath} to ${tempLibPath}`);
-      await fs.copy(rootLibPath, tempLibPath);
-      
-      // Verify the copy worked by checking the temp lib directory
-      if (await fs.pathExists(tempLibPath)) {
-        const tempLibContents = await fs.readdir(tempLibPath);
-        logger.info(`After copy: ${tempLibContents.length} items in temp lib directory: ${tempLibContents.join(', ')}`);
-        
-        // Double-check OpenZeppelin contracts
-        const hasOpenZeppelinInTemp = tempLibContents.some(item => 
-          item === 'openzeppelin-contracts' || 
-          item.startsWith('openzeppelin-contracts-')
-        );
-        
-        if (hasOpenZeppelinInTemp) {
-          logger.info(`✅ OpenZeppelin contracts successfully copied to temp directory`);
-        } else {
-          logger.warn(`❌ OpenZeppelin contracts NOT found in temp directory after copy`);
-        }
-      }
-      
-      // Copy remappings.txt if it exists
-      const remappingsPath = path.resolve(process.cwd(), 'remappings.txt');
-      if (await fs.pathExists(remappingsPath)) {
-        logger.info(`Copying remappings.txt from ${remappingsPath}`);
-        const remappingsContent = await fs.readFile(remappingsPath, 'utf8');
-        logger.info(`Remappings content: ${remappingsContent}`);
-        
-        await fs.copy(remappingsPath, path.join(tempDir, 'remappings.txt'));
-        logger.info(`✅ Copied remappings.txt to temporary directory`);
-        
-        // Verify remappings were copied correctly
-        const tempRemappingsPath = path.join(tempDir, 'remappings.txt');
-        if (await fs.pathExists(tempRemappingsPath)) {
-          const tempRemappingsContent = await fs.readFile(tempRemappingsPath, 'utf8');
-          logger.info(`Temp remappings content: ${tempRemappingsContent}`);
-        }
-      } else {
-        logger.warn(`remappings.txt not found at ${remappingsPath}`);
-      }
-      
-      return true;
-    } else {
-      logger.warn(`No lib directory found at ${rootLibPath}`);
-      return false;
-    }
-  } catch (error) {
-    logger.error(`Error copying pre-installed libraries: ${error.message}`, error);
-    return false;
-  }
+function extractSourceImports(sourceFiles) {
+  return [...new Set(Object.values(sourceFiles).flatMap(content => foundryService.extractImports(content)))];
 }
 
 /**
  * Diagnose dependency issues
  * @param {string} tempDir - Temporary directory path
- * @param {string} contractCode - Contract source code
+ * @param {Object<string, string>} sourceFiles - Project source files (project-relative path -> content)
  * @returns {Promise<Object>} Diagnosis results
  */
-async function diagnoseDependencies(tempDir, contractCode) {
+async function diagnoseDependencies(tempDir, sourceFiles) {
   const results = {
     imports: [],
     librariesFound: [],
@@ -175,7 +124,7 @@ async function diagnoseDependencies(tempDir, contractCode) {
   
   try {
     // 1. Extract imports from contract
-    results.imports = foundryService.extractImports(contractCode);
+    results.imports = extractSourceImports(sourceFiles);
     logger.info(`Contract imports: ${results.imports.join(', ')}`);
     
     // 2. Check if lib directory exists and what's in it
@@ -234,23 +183,317 @@ async function diagnoseDependencies(tempDir, contractCode) {
 }
 
 /**
- * Compile a smart contract
+ * Set up libraries and remappings in a temporary project for the given source files
+ * Libraries are linked from the shared store; only imports the store cannot satisfy are installed.
+ * Remappings are layered from lowest to highest precedence: the project defaults, the store remappings of
+ * linked libraries, remappings generated for installed dependencies, remappings into an inferred OpenZeppelin
+ * version (see dependencyService.inferOpenZeppelinVersion), the remappings of a lockfile,
+ * "<name>/=lib/<name>/" for every uploaded library, and finally the request's own remappings.
+ * @param {string} tempDir - Temporary project directory
+ * @param {Object<string, string>} sourceFiles - Project source files (project-relative path -> content)
+ * @param {Function} [reportPhase] - Called with (phase, data) as each setup step completes
+ * @param {Object} [options] - Request remappings, libraries and lockfile
+ * @param {Array<string>} [options.remappings=[]] - Request remappings
+ * @param {Object<string, string>} [options.libraryFiles={}] - Uploaded library files (see resolveLibraryFiles)
+ * @param {Object} [options.lockfile] - Lockfile of a previous compilation whose library contents must be used
+ * @param {boolean} [options.preferSources=false] - Resolve imports of the source files themselves instead of
+ *   remapping them into the store, and add no OpenZeppelin remappings (Standard JSON inputs, whose sources include
+ *   the libraries they were compiled with)
+ * @returns {Promise<Array<string>>} Effective remappings of the project
+ * @throws {ApiError} 422 if the libraries no longer match the lockfile
+ */
+async function prepareDependencies(tempDir, sourceFiles, reportPhase = () => {}, options = {}) {
+  const { remappings = [], libraryFiles = {}, lockfile, preferSources = false } = options;
+  const sourcePaths = preferSources ? Object.keys(sourceFiles) : undefined;
+  
+  // All source code combined, used for dependency installation
+  const contractCode = Object.values(sourceFiles).join('\n');
+  const imports = extractSourceImports(sourceFiles);
+  
+  // Unversioned OpenZeppelin imports resolve to 5.x when the sources use paths that only exist there; imports of
+  // submitted files say nothing about the library version
+  const openZeppelin = dependencyService.inferOpenZeppelinVersion(preferSources
+    ? imports.filter(importPath => sourceFiles[importPath] === undefined)
+    : imports);
+  const openZeppelinVersion = openZeppelin ? openZeppelin.version : undefined;
+  if (openZeppelin) {
+    logger.info(`Using OpenZeppelin ${openZeppelin.version} for unversioned imports: ${openZeppelin.reason}`);
+  }
+  const overrides = getRemappingOverrides({ remappings, libraryFiles, lockfile, openZeppelin: preferSources ? null : openZeppelin });
+  
+  // Uploaded libraries are written into the project; everything else is linked from the shared store
+  await fileSystem.createSourceFiles(tempDir, libraryFiles);
+  const { libraries, unresolved } = await dependencyService.linkLibraries(tempDir, sourceFiles, {
+    remappings: overrides,
+    files: libraryFiles,
+    sourcePaths
+  });
+  reportPhase('libraries', { linked: libraries, uploaded: getUploadedLibraryNames(libraryFiles) });
+  
+  if (unresolved.length > 0) {
+    logger.info(`${unresolved.length} imports are not available in the library store. Installing...`);
+    
+    if (unresolved.some(importPath => importPath.startsWith('@openzeppelin/contracts/'))) {
+      await dependencyService.installMinimalOpenZeppelinDependencies(tempDir, { defaultVersion: openZeppelinVersion });
+    }
+    
+    // Pre-install common dependencies if enabled
+    if (config.dependencies.preInstalled) {
+      await dependencyService.installPreConfiguredDependencies(tempDir);
+    }
+    
+    // Install missing dependencies and generate remappings for them
+    await dependencyService.installDependenciesFromImports(tempDir, contractCode, {
+      imports: unresolved,
+      pinnedVersions: lockfileService.getPinnedVersions(lockfile),
+      openZeppelinVersion
+    });
+    await dependencyService.processRemappings(tempDir, { openZeppelinVersion });
+  }
+  reportPhase('dependencies', { imports, unresolved });
+  
+  // Run diagnosis to verify the OpenZeppelin setup
+  if (imports.some(importPath => importPath.startsWith('@openzeppelin/'))) {
+    const diagnosisResult = await diagnoseDependencies(tempDir, sourceFiles);
+    logger.info('Dependency diagnosis after setup:', diagnosisResult);
+    
+    if (diagnosisResult.issues.length > 0) {
+      logger.warn(`Still have ${diagnosisResult.issues.length} dependency issues after setup.`);
+    }
+  }
+  
+  // Uploaded libraries and request remappings take precedence over everything generated
+  const effectiveRemappings = await dependencyService.applyRemappingOverrides(tempDir, overrides, { sourcePaths });
+  reportPhase('remappings', { remappings: effectiveRemappings });
+  
+  // Fail instead of compiling against anything other than the locked library contents
+  if (lockfile) {
+    await lockfileService.verifyLockfile(tempDir, lockfile);
+    reportPhase('lockfile', { verified: lockfile.libraries.map(library => library.folderName) });
+  }
+  
+  return effectiveRemappings;
+}
+
+/**
+ * Build the project files of uploaded libraries
+ * @param {Object<string, Object<string, string>|string>} [libraries={}] - Request libraries: library name -> map of
+ *   library-relative path to source code; address entries (see resolveLibraryAddresses) are skipped
+ * @returns {Object<string, string>} Map of project-relative path ("lib/<name>/<path>") to source code
+ */
+function resolveLibraryFiles(libraries = {}) {
+  const libraryFiles = {};
+  
+  for (const [name, files] of Object.entries(libraries)) {
+    if (typeof files === 'string') {
+      continue;
+    }
+    for (const [filePath, content] of Object.entries(files)) {
+      libraryFiles[`lib/${name}/${filePath.replace(/^\.\//, '')}`] = content;
+    }
+  }
+  
+  return libraryFiles;
+}
+
+/**
+ * Get the deployed library addresses to link against
+ * @param {Object<string, Object<string, string>|string>} [libraries={}] - Request libraries; entries whose value is a
+ *   string map "file:Library" to a deployed address, all others are uploaded sources (see resolveLibraryFiles)
+ * @returns {Array<string>} Sorted "file:Library:address" entries, the format forge's --libraries expects
+ */
+function resolveLibraryAddresses(libraries = {}) {
+  return Object.entries(libraries)
+    .filter(([, address]) => typeof address === 'string')
+    .map(([reference, address]) => `${reference}:${address}`)
+    .sort();
+}
+
+/**
+ * Get the names of the uploaded libraries
+ * @param {Object<string, string>} libraryFiles - Uploaded library files (see resolveLibraryFiles)
+ * @returns {Array<string>} Library names, sorted
+ */
+function getUploadedLibraryNames(libraryFiles) {
+  return [...new Set(Object.keys(libraryFiles).map(filePath => filePath.split('/')[1]))].sort();
+}
+
+/**
+ * Get the default remappings of uploaded libraries, so they can be imported as "<name>/..."
+ * @param {Object<string, string>} libraryFiles - Uploaded library files (see resolveLibraryFiles)
+ * @returns {Array<string>} One "<name>/=lib/<name>/" remapping per library
+ */
+function getLibraryRemappings(libraryFiles) {
+  return getUploadedLibraryNames(libraryFiles).map(name => `${name}/=lib/${name}/`);
+}
+
+/**
+ * Get the remappings that take precedence over everything the service generates
+ * @param {Object} options - Request remappings, uploaded library files (see resolveLibraryFiles), lockfile and
+ *   the inferred OpenZeppelin version (see dependencyService.inferOpenZeppelinVersion)
+ * @returns {Array<string>} Remappings into the inferred OpenZeppelin version, lockfile remappings, uploaded
+ *   library remappings, then the request's own remappings
+ */
+function getRemappingOverrides({ remappings = [], libraryFiles = {}, lockfile, openZeppelin }) {
+  return [
+    ...(openZeppelin ? dependencyService.getOpenZeppelinRemappings(openZeppelin.version) : []),
+    ...lockfileService.getLockedRemappings(lockfile),
+    ...getLibraryRemappings(libraryFiles),
+    ...remappings
+  ];
+}
+
+/**
+ * Create progress callbacks that publish compilation phases as job events
+ * @param {Function} emit - Job event emitter from the job context
+ * @returns {{reportPhase: Function, onOutput: Function}} Callbacks for prepareDependencies and forge
+ */
+function createProgressReporter(emit) {
+  return {
+    reportPhase: (phase, data = {}) => emit('phase', { phase, ...data }),
+    onOutput: (stream, chunk) => emit('output', { stream, chunk })
+  };
+}
+
+/**
+ * Build the map of project-relative source paths to write for a compilation
  * @param {Object} options - Compilation options
- * @returns {Promise<Object>} Compilation result
+ * @returns {Object<string, string>} Map of relative file path to source code
  */
-async function compileContract(options) {
+function resolveSourceFiles({ contractCode, sources, contractName = 'Contract' }) {
+  if (sources && Object.keys(sources).length > 0) {
+    const sourceFiles = {};
+    for (const [sourcePath, content] of Object.entries(sources)) {
+      sourceFiles[sourcePath.replace(/^\.\//, '')] = content;
+    }
+    return sourceFiles;
+  }
+  
+  // A fully qualified "path:Contract" name still names the file after the contract
+  return { [`src/${contractName.split(':').pop()}.sol`]: contractCode };
+}
+
+/**
+ * Resolve the external dependency versions a compilation will be built against
+ * @param {Object<string, string>} sourceFiles - Project source files, whose imports are not dependencies
+ * @param {Object} [openZeppelin] - Inferred OpenZeppelin version (see dependencyService.inferOpenZeppelinVersion)
+ * @returns {Array<string>} Sorted "repo@version" identifiers
+ */
+function getResolvedDependencies(sourceFiles, openZeppelin) {
+  const resolved = new Set();
+  
+  for (const importPath of extractSourceImports(sourceFiles)) {
+    // Relative imports and imports of submitted files are part of the sources themselves
+    if (importPath.startsWith('.') || sourceFiles[importPath]) {
+      continue;
+    }
+    
+    const dependency = dependencyService.resolveDependency(importPath, {
+      openZeppelinVersion: openZeppelin ? openZeppelin.version : undefined
+    });
+    resolved.add(dependency ? `${dependency.github}@${dependency.version}` : importPath);
+  }
+  
+  return [...resolved].sort();
+}
+
+/**
+ * Attach the cache status to a compilation result without making it part of the JSON output
+ * @param {Object} result - Processed compilation result
+ * @param {string} cacheStatus - HIT, MISS or BYPASS
+ * @returns {Object} Copy of the result with a non-enumerable `cacheStatus` property
+ */
+function withCacheStatus(result, cacheStatus) {
+  const copy = { ...result };
+  Object.defineProperty(copy, 'cacheStatus', { value: cacheStatus, enumerable: false });
+  return copy;
+}
+
+/**
+ * Submit a smart contract compilation without waiting for it to finish
+ * @param {Object} options - Compilation options
+ * @param {string} [options.contractCode] - Single-file contract source code
+ * @param {Object<string, string>} [options.sources] - Multi-file project sources (path -> content)
+ * @param {string} [options.solidityVersion] - Compiler version; chosen from the pragmas when omitted
+ * @param {Array<string>} [options.remappings] - Remappings that take precedence over the service's own
+ * @param {Object<string, Object<string, string>|string>} [options.libraries] - Uploaded library sources
+ *   (name -> path -> content) and deployed library addresses ("file:Library" -> address)
+ * @param {Object} [options.lockfile] - Lockfile of a previous compilation; the job fails if its libraries changed
+ * @param {Array<string>} [options.outputs] - Extra outputs to return for each contract (see CONTRACT_OUTPUTS), and "ast"
+ * @param {string} [options.artifactFormat] - Also build framework artifacts ("hardhat", "foundry" or "truffle")
+ * @param {Array<string>} [options.codegen] - Also generate TypeScript bindings for these targets ("ethers-v6", "viem")
+ * @param {Array<string>} [options.docs] - Also generate NatSpec documentation in these formats ("markdown", "html")
+ * @param {Array<string>} [options.analysis] - Also run these static analysis detectors (see analysisService.resolveDetectors)
+ * @returns {Promise<Object>} Compilation job
+ * @throws {ApiError} 422 if no available compiler satisfies the sources' pragmas
+ */
+async function submitCompilation(options) {
   const {
-    contractCode,
-    solidityVersion = config.foundry.defaultSolidityVersion,
+    sources,
     evmVersion = config.foundry.defaultEvmVersion,
     optimize = true,
     optimizeRuns = 200,
     contractName = 'Contract',
+    remappings = [],
+    libraries = {},
+    lockfile,
+    outputs = [],
+    artifactFormat,
+    codegen = [],
+    docs = [],
+    analysis = [],
   } = options;
   
+  const sourceFiles = resolveSourceFiles(options);
+  const libraryFiles = resolveLibraryFiles(libraries);
+  const libraryAddresses = resolveLibraryAddresses(libraries);
+  const isMultiFile = Boolean(sources);
+  
+  // All source code combined, used for logging
+  const contractCode = Object.values(sourceFiles).join('\n');
+  const jobOptions = { type: 'compile', description: isMultiFile ? `${Object.keys(sourceFiles).length} source files` : contractName };
+  
+  // The compiler version is part of the cache key, so it is chosen before looking up the cache
+  const imports = extractSourceImports(sourceFiles);
+  const openZeppelin = dependencyService.inferOpenZeppelinVersion(imports);
+  const compiler = await compilerService.selectCompilerVersion(sourceFiles, {
+    solidityVersion: options.solidityVersion,
+    remappings: getRemappingOverrides({ remappings, libraryFiles, lockfile, openZeppelin }),
+    files: libraryFiles,
+    constraints: dependencyService.getOpenZeppelinConstraints(imports, openZeppelin ? openZeppelin.version : undefined)
+  });
+  const solidityVersion = compiler.version;
+  
+  // Identical sources and settings always produce the same output, so serve them from the cache
+  const cacheKey = cacheService.computeCacheKey({
+    sources: { ...sourceFiles, ...libraryFiles },
+    remappings,
+    libraryAddresses,
+    lockfile,
+    outputs,
+    artifactFormat,
+    codegen,
+    docs,
+    analysis,
+    solidityVersion,
+    evmVersion,
+    optimize,
+    optimizeRuns,
+    dependencies: getResolvedDependencies(sourceFiles, openZeppelin),
+  });
+  const cachedResult = cacheService.get(cacheKey);
+  
+  if (cachedResult) {
+    logger.info(`Serving compilation of ${jobOptions.description} from cache`);
+    const job = jobService.createCompletedJob(cachedResult, jobOptions);
+    job.cacheStatus = 'HIT';
+    return job;
+  }
+  
   // Queue the compilation to manage concurrent compilations
-  return queueCompilation(async () => {
-    logger.info(`Starting compilation of contract (${contractCode.length} chars) with Solidity ${solidityVersion}, EVM ${evmVersion}`);
+  const job = queueCompilation(async ({ signal, emit }) => {
+    const { reportPhase, onOutput } = createProgressReporter(emit);
+    logger.info(`Starting compilation of ${Object.keys(sourceFiles).length} source file(s) (${contractCode.length} chars) with Solidity ${solidityVersion}, EVM ${evmVersion}`);
     
     let tempDir = null;
     let cleanupFn = null;
@@ -264,67 +507,69 @@ async function compileContract(options) {
       // Set up Foundry project structure
       await fileSystem.setupFoundryProject(tempDir);
       
-      // Create contract file
-      const contractPath = await fileSystem.createContractFile(
-        path.join(tempDir, 'src'),
-        contractCode,
-        `${contractName}.sol`
-      );
+      // Write every source file at its path inside the project
+      await fileSystem.createSourceFiles(tempDir, sourceFiles);
+      reportPhase('tempDir', { files: Object.keys(sourceFiles) });
       
-      // Check if contract uses OpenZeppelin
-      const usesOpenZeppelin = contractCode.includes('@openzeppelin/contracts/');
-      
-      if (usesOpenZeppelin) {
-        logger.info('Contract uses OpenZeppelin. Setting up dependencies...');
-        
-        // First try to copy pre-installed libraries
-        const librariesCopied = await copyPreInstalledLibraries(tempDir);
-        
-        if (!librariesCopied) {
-          logger.info('Pre-installed libraries not copied. Installing directly...');
-          
-          // Try direct installation as fallback
-          await dependencyService.installMinimalOpenZeppelinDependencies(tempDir);
-        }
-        
-        // Process remappings
-        await dependencyService.processRemappings(tempDir);
-        
-        // Run diagnosis to verify setup
-        const diagnosisResult = await diagnoseDependencies(tempDir, contractCode);
-        logger.info('Dependency diagnosis after setup:', diagnosisResult);
-        
-        if (diagnosisResult.issues.length > 0) {
-          logger.warn(`Still have ${diagnosisResult.issues.length} dependency issues after setup.`);
-        }
-      }
-      
-      // Pre-install common dependencies if enabled
-      if (config.dependencies.preInstalled) {
-        await dependencyService.installPreConfiguredDependencies(tempDir);
-      }
-      
-      // Parse imports and install missing dependencies
-      await dependencyService.installDependenciesFromImports(tempDir, contractCode);
-      
-      // Process remappings
-      await dependencyService.processRemappings(tempDir);
+      // Resolve libraries and remappings for the contract's imports
+      signal.throwIfAborted();
+      const effectiveRemappings = await prepareDependencies(tempDir, sourceFiles, reportPhase, { remappings, libraryFiles, lockfile });
+      const resultLockfile = await lockfileService.createLockfile(tempDir, { sourceFiles, remappings: effectiveRemappings, libraryFiles });
       
       // Compile the contract
+      signal.throwIfAborted();
+      reportPhase('forge', { solidityVersion, evmVersion });
       const compilationResult = await foundryService.compileContract(tempDir, {
         solidityVersion,
+        solcPath: compiler.path,
         evmVersion,
         optimize,
         optimizeRuns,
+        libraries: libraryAddresses,
+        extraOutput: getExtraOutput(outputs, { artifactFormat, docs }),
+        paths: isMultiFile ? Object.keys(sourceFiles) : [],
+        signal,
+        onOutput,
       });
       
       // Process the result to extract relevant information
-      const processedResult = processCompilationResult(compilationResult, contractName);
+      const processedResult = processCompilationResult(compilationResult, contractName, outputs, evmVersion);
+      processedResult.compiler = { version: compiler.version, reason: compiler.reason };
+      processedResult.remappings = effectiveRemappings;
+      processedResult.lockfile = resultLockfile;
+      if (artifactFormat && compilationResult.output) {
+        processedResult.artifacts = {
+          format: artifactFormat,
+          files: artifactService.createArtifacts(compilationResult, artifactFormat, { solcVersion: solidityVersion })
+        };
+      }
+      if (codegen.length > 0 && processedResult.contracts) {
+        const abis = {};
+        for (const [contractPath, contract] of Object.entries(processedResult.contracts)) {
+          abis[contractPath] = contract.abi;
+        }
+        processedResult.typescript = codegenService.generateBindings(abis, codegen);
+      }
+      if (docs.length > 0 && compilationResult.output) {
+        processedResult.docs = docsService.generateDocs(compilationResult, docs);
+      }
+      if (analysis.length > 0 && compilationResult.output) {
+        processedResult.analysis = analysisService.analyze(compilationResult, { detectors: analysis, files: Object.keys(sourceFiles) });
+      }
       
-      logger.info(`Successfully compiled contract: ${contractName}`);
+      logger.info(`Successfully compiled contract: ${isMultiFile ? Object.keys(sourceFiles).join(', ') : contractName}`);
+      cacheService.set(cacheKey, processedResult);
       return processedResult;
     } catch (error) {
       logger.error(`Compilation failed: ${error.message}`, error);
+      
+      // Keep the message, status code and diagnostics of compiler failures
+      if (error instanceof ApiError) {
+        throw new ApiError(error.message, error.statusCode, {
+          ...error.details,
+          compiler: { version: compiler.version, reason: compiler.reason }
+        });
+      }
       throw new Error(`Compilation failed: ${error.message}`);
     } finally {
       // Clean up the temporary directory
@@ -332,23 +577,250 @@ async function compileContract(options) {
         await fileSystem.cleanupDirectory(tempDir, cleanupFn);
       }
     }
+  }, jobOptions);
+  
+  job.cacheStatus = config.cache.enabled ? 'MISS' : 'BYPASS';
+  return job;
+}
+
+/**
+ * Get the output selectors to pass to forge for a compilation request
+ * @param {Array<string>} outputs - Requested extra outputs (see CONTRACT_OUTPUTS)
+ * @param {Object} [derived] - Requested results that are built from outputs of their own
+ * @param {string} [derived.artifactFormat] - Requested artifact format
+ * @param {Array<string>} [derived.docs=[]] - Requested documentation formats
+ * @returns {Array<string>} Output selectors without duplicates
+ */
+function getExtraOutput(outputs, { artifactFormat, docs = [] } = {}) {
+  const selectors = outputs.filter(output => CONTRACT_OUTPUTS[output]).map(output => CONTRACT_OUTPUTS[output]);
+  return [...new Set([
+    ...selectors,
+    ...artifactService.getArtifactOutputs(artifactFormat),
+    ...(docs.length > 0 ? docsService.getDocsOutputs() : [])
+  ])];
+}
+
+/**
+ * Compile a smart contract
+ * @param {Object} options - Compilation options (see submitCompilation)
+ * @returns {Promise<Object>} Compilation result; its non-enumerable `cacheStatus` tells whether it came from the cache
+ */
+async function compileContract(options) {
+  const job = await submitCompilation(options);
+  const result = await job.promise;
+  return withCacheStatus(result, job.cacheStatus);
+}
+
+/**
+ * Compare the contract sizes of a compilation across optimizer run counts
+ * Every run count is an ordinary compilation with the optimizer enabled, so repeated reports come from the cache.
+ * Artifacts, bindings, documentation and analysis are not built for them.
+ * @param {Object} options - Compilation options (see submitCompilation)
+ * @param {Array<number>} runCounts - Optimizer run counts to compare
+ * @returns {Promise<Object>} { optimizeRuns, contracts, smallest }: the sizes of each contract per run count (see
+ *   contractSize.getContractSize), and the run counts with the smallest runtime and initcode of each contract
+ */
+async function createSizeReport(options, runCounts) {
+  const { contractCode, sources, solidityVersion, evmVersion, contractName, remappings, libraries, lockfile } = options;
+  const optimizeRuns = [...new Set(runCounts.map(Number))].sort((a, b) => a - b);
+  
+  const results = await Promise.all(optimizeRuns.map(runs => compileContract({
+    contractCode,
+    sources,
+    solidityVersion,
+    evmVersion,
+    contractName,
+    remappings,
+    libraries,
+    lockfile,
+    optimize: true,
+    optimizeRuns: runs
+  })));
+  
+  const contracts = {};
+  results.forEach((result, index) => {
+    for (const [contractPath, contract] of Object.entries(result.contracts || {})) {
+      contracts[contractPath] = [...(contracts[contractPath] || []), { optimizeRuns: optimizeRuns[index], ...contract.size }];
+    }
   });
+  
+  // Ties go to the lowest run count
+  const smallest = {};
+  for (const [contractPath, sizes] of Object.entries(contracts)) {
+    const findSmallest = key => sizes.reduce((best, entry) => (entry[key] < best[key] ? entry : best)).optimizeRuns;
+    smallest[contractPath] = { runtime: findSmallest('runtimeSize'), initcode: findSmallest('initcodeSize') };
+  }
+  
+  return { optimizeRuns, contracts, smallest };
+}
+
+/**
+ * Translate Standard JSON settings into foundry.toml profile settings
+ * @param {Object} settings - Standard JSON `settings` object
+ * @returns {Object} Profile settings for fileSystem.setupFoundryProject
+ */
+function buildStandardJsonProfile(settings = {}) {
+  const { optimizer = {}, metadata = {}, libraries = {}, outputSelection = {} } = settings;
+  
+  // Collect every selector requested for any file or contract
+  const requestedOutputs = new Set();
+  for (const fileSelection of Object.values(outputSelection)) {
+    for (const selectors of Object.values(fileSelection || {})) {
+      (Array.isArray(selectors) ? selectors : []).forEach(selector => requestedOutputs.add(selector));
+    }
+  }
+  
+  const extraOutput = requestedOutputs.has('*')
+    ? EXTRA_OUTPUT_SELECTORS
+    : EXTRA_OUTPUT_SELECTORS.filter(selector => requestedOutputs.has(selector));
+  
+  // Libraries are written as "file:Library:address"
+  const libraryEntries = [];
+  for (const [file, entries] of Object.entries(libraries)) {
+    for (const [name, address] of Object.entries(entries)) {
+      libraryEntries.push(`${file}:${name}:${address}`);
+    }
+  }
+  
+  return {
+    optimizer: Boolean(optimizer.enabled),
+    optimizer_runs: optimizer.runs !== undefined ? optimizer.runs : 200,
+    optimizer_details: optimizer.details,
+    via_ir: settings.viaIR,
+    bytecode_hash: metadata.bytecodeHash,
+    use_literal_content: metadata.useLiteralContent,
+    cbor_metadata: metadata.appendCBOR,
+    libraries: libraryEntries.length > 0 ? libraryEntries : undefined,
+    extra_output: extraOutput.length > 0 ? extraOutput : undefined,
+  };
+}
+
+/**
+ * Compile a solc Standard JSON input
+ * Uses the same queue and dependency resolution as compileContract.
+ * @param {Object} input - Standard JSON input ({ language, sources, settings })
+ * @param {Object} [options] - Compilation options
+ * @param {string} [options.solidityVersion] - Compiler version to use; chosen from the pragmas when omitted
+ * @returns {Promise<Object>} Raw Standard JSON output
+ */
+async function compileStandardJson(input, options = {}) {
+  const settings = input.settings || {};
+  const optimizer = settings.optimizer || {};
+  const evmVersion = settings.evmVersion || config.foundry.defaultEvmVersion;
+  
+  const sourceFiles = {};
+  for (const [sourcePath, source] of Object.entries(input.sources)) {
+    sourceFiles[sourcePath.replace(/^\.\//, '')] = source.content;
+  }
+  
+  // The input's sources include the libraries it was compiled with, so only its own remappings apply to them
+  const compiler = await compilerService.selectCompilerVersion(sourceFiles, {
+    solidityVersion: options.solidityVersion,
+    remappings: settings.remappings,
+    sourcePaths: Object.keys(sourceFiles)
+  });
+  const solidityVersion = compiler.version;
+  
+  const job = queueCompilation(async ({ signal, emit }) => {
+    const { reportPhase, onOutput } = createProgressReporter(emit);
+    logger.info(`Starting Standard JSON compilation of ${Object.keys(sourceFiles).length} source file(s) with Solidity ${solidityVersion}, EVM ${evmVersion}`);
+    
+    let tempDir = null;
+    let cleanupFn = null;
+    
+    try {
+      const tempDirResult = await fileSystem.createTempDirectory();
+      tempDir = tempDirResult.path;
+      cleanupFn = tempDirResult.cleanup;
+      
+      // Optimizer, metadata, libraries and output selection go into foundry.toml
+      await fileSystem.setupFoundryProject(tempDir, buildStandardJsonProfile(settings));
+      await fileSystem.createSourceFiles(tempDir, sourceFiles);
+      reportPhase('tempDir', { files: Object.keys(sourceFiles) });
+      
+      // Remappings from the input take precedence over generated ones, and library sources in the input over the store
+      signal.throwIfAborted();
+      await prepareDependencies(tempDir, sourceFiles, reportPhase, { remappings: settings.remappings, preferSources: true });
+      
+      signal.throwIfAborted();
+      reportPhase('forge', { solidityVersion, evmVersion });
+      const buildInfo = await foundryService.compileContract(tempDir, {
+        solidityVersion,
+        solcPath: compiler.path,
+        evmVersion,
+        optimize: Boolean(optimizer.enabled),
+        optimizeRuns: optimizer.runs !== undefined ? optimizer.runs : 200,
+        paths: Object.keys(sourceFiles),
+        signal,
+        onOutput,
+      });
+      
+      if (!buildInfo.output) {
+        throw new ApiError('Compiler did not produce a build-info file', 500);
+      }
+      
+      logger.info('Successfully compiled Standard JSON input');
+      return buildInfo.output;
+    } catch (error) {
+      // Report compiler failures the way solc does: as entries in the output's errors array
+      if (error instanceof ApiError && error.statusCode === 400) {
+        const parsed = (error.details && error.details.diagnostics) || [];
+        
+        if (diagnostics.hasErrors(parsed)) {
+          return { errors: parsed.map(diagnostics.toSolcError) };
+        }
+        
+        return {
+          errors: [{
+            component: 'general',
+            severity: 'error',
+            type: 'CompilerError',
+            message: error.message,
+            formattedMessage: error.message
+          }]
+        };
+      }
+      
+      logger.error(`Standard JSON compilation failed: ${error.message}`, error);
+      throw error;
+    } finally {
+      if (tempDir && cleanupFn) {
+        await fileSystem.cleanupDirectory(tempDir, cleanupFn);
+      }
+    }
+  }, { type: 'standard-json', description: `${Object.keys(sourceFiles).length} source files` });
+  
+  return job.promise;
+}
+
+/**
+ * Get the value at a dot-separated path of a solc contract output
+ * @param {Object} contract - Contract output
+ * @param {string} selector - Output selector such as "evm.bytecode.sourceMap"
+ * @returns {*} Value, or undefined if the output was not produced
+ */
+function getContractOutput(contract, selector) {
+  return selector.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), contract);
 }
 
 /**
  * Process the compilation result to extract relevant information
  * @param {Object} result - Raw compilation result
  * @param {string} contractName - Name of the contract
+ * @param {Array<string>} [outputs=[]] - Extra outputs to keep (see CONTRACT_OUTPUTS), and "ast" to keep source ASTs
+ * @param {string} [evmVersion] - EVM version the contracts are compiled for, which decides the size limits
  * @returns {Object} Processed compilation result
  */
-function processCompilationResult(result, contractName) {
+function processCompilationResult(result, contractName, outputs = [], evmVersion) {
   try {
     // Handle format from build-info file
     if (result.output && result.output.contracts) {
       const processedResult = {
         success: true,
         contracts: {},
-        sources: {}
+        sources: {},
+        // Warnings and info messages from solc, with source locations
+        diagnostics: diagnostics.fromSolcErrors(result.output.errors, result.input && result.input.sources)
       };
       
       // Process contracts
@@ -360,8 +832,21 @@ function processCompilationResult(result, contractName) {
             bytecode: contract.evm.bytecode.object,
             deployedBytecode: contract.evm.deployedBytecode.object,
             gasEstimates: contract.evm.gasEstimates,
-            methodIdentifiers: contract.evm.methodIdentifiers
+            methodIdentifiers: contract.evm.methodIdentifiers,
+            // Libraries whose address is still a placeholder in the bytecode; empty once every library is linked
+            linkReferences: (contract.evm.bytecode && contract.evm.bytecode.linkReferences) || {},
+            size: contractSize.getContractSize({
+              bytecode: contract.evm.bytecode.object,
+              deployedBytecode: contract.evm.deployedBytecode.object
+            }, { evmVersion })
           };
+          
+          // Only the requested extra outputs are returned
+          for (const output of outputs) {
+            if (CONTRACT_OUTPUTS[output]) {
+              processedResult.contracts[contractKey][output] = getContractOutput(contract, CONTRACT_OUTPUTS[output]);
+            }
+          }
         }
       }
       
@@ -370,7 +855,7 @@ function processCompilationResult(result, contractName) {
         for (const [sourcePath, source] of Object.entries(result.output.sources)) {
           processedResult.sources[sourcePath] = {
             id: source.id,
-            ast: source.ast
+            ...(outputs.includes('ast') && { ast: source.ast })
           };
         }
       }
@@ -399,6 +884,87 @@ function processCompilationResult(result, contractName) {
   }
 }
 
+/**
+ * Find the contracts of a compilation result that a selector names exactly
+ * @param {Object} result - Processed compilation result
+ * @param {string} selector - Fully qualified "path:Contract" name, or a contract name
+ * @returns {Array<string>} Fully qualified names of the matching contracts
+ */
+function findContracts(result, selector) {
+  const contractPaths = Object.keys(result.contracts || {});
+  
+  if (selector.includes(':')) {
+    return contractPaths.filter(contractPath => contractPath === selector);
+  }
+  return contractPaths.filter(contractPath => contractPath.slice(contractPath.lastIndexOf(':') + 1) === selector);
+}
+
+/**
+ * Select contracts of a compilation result by exact name
+ * A contract name that several source files declare never selects one of them: it has to be fully qualified.
+ * @param {Object} result - Processed compilation result
+ * @param {Array<string>} selectors - Fully qualified "path:Contract" names or contract names
+ * @param {Object} [options] - Selection options
+ * @param {boolean} [options.strict=false] - Fail instead of skipping selectors without an exact match
+ * @returns {{contractPaths: Array<string>, unmatched: Array<string>}} Fully qualified names of the selected contracts,
+ *   and the selectors that matched no contract
+ * @throws {ApiError} 409 for an ambiguous contract name, listing the candidates; 404 in strict mode for a selector
+ *   without a match, listing the available contracts
+ */
+function selectContracts(result, selectors, { strict = false } = {}) {
+  const contractPaths = [];
+  const unmatched = [];
+  
+  for (const selector of selectors) {
+    const matches = findContracts(result, selector);
+    
+    if (matches.length > 1) {
+      throw new ApiError(`Contract name "${selector}" is ambiguous, use one of ${matches.join(', ')}`, 409, {
+        candidates: matches
+      });
+    }
+    if (strict && matches.length === 0) {
+      throw new ApiError(`No contract named exactly "${selector}" in compilation output`, 404, {
+        availableContracts: Object.keys(result.contracts || {})
+      });
+    }
+    
+    if (matches.length === 0) {
+      unmatched.push(selector);
+      continue;
+    }
+    if (!contractPaths.includes(matches[0])) {
+      contractPaths.push(matches[0]);
+    }
+  }
+  
+  return { contractPaths, unmatched };
+}
+
+/**
+ * Report how the imports of a compilation request resolve, without compiling
+ * @param {Object} options - Compilation options (sources, remappings and libraries are used)
+ * @returns {Promise<Object>} Import report (see dependencyService.getImportReport)
+ */
+async function resolveImports(options) {
+  const { remappings = [], libraries = {}, lockfile } = options;
+  const sourceFiles = resolveSourceFiles(options);
+  const libraryFiles = resolveLibraryFiles(libraries);
+  
+  const openZeppelin = dependencyService.inferOpenZeppelinVersion(extractSourceImports(sourceFiles));
+  
+  return dependencyService.getImportReport(sourceFiles, {
+    remappings: getRemappingOverrides({ remappings, libraryFiles, lockfile, openZeppelin }),
+    files: libraryFiles,
+    openZeppelinVersion: openZeppelin ? openZeppelin.version : undefined
+  });
+}
+
 module.exports = {
-  compileContract
+  compileContract,
+  submitCompilation,
+  createSizeReport,
+  compileStandardJson,
+  resolveImports,
+  selectContracts
 };
\ No newline at end of file
@@ -0,0 +1,389 @@
+/**
+ * Compiler Service
+ * Finds the solc builds installed on this machine and selects the compiler for a compilation
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const solcVersion = require('../utils/solcVersion');
+const dependencyService = require('./dependencyService');
+const { ApiError } = require('../middleware/errorHandler');
+
+// First solc release that supports each EVM version as a compilation target
+const EVM_VERSION_SUPPORT = [
+  ['homestead', '0.4.21'],
+  ['tangerineWhistle', '0.4.21'],
+  ['spuriousDragon', '0.4.21'],
+  ['byzantium', '0.4.21'],
+  ['constantinople', '0.4.21'],
+  ['petersburg', '0.5.5'],
+  ['istanbul', '0.5.14'],
+  ['berlin', '0.8.5'],
+  ['london', '0.8.7'],
+  ['paris', '0.8.18'],
+  ['shanghai', '0.8.20'],
+  ['cancun', '0.8.24'],
+];
+
+// Maximum time a registered binary may take to report its version
+const VERSION_PROBE_TIMEOUT_MS = 10000;
+
+// SHA-256 checksums of compiler binaries, keyed by path and invalidated when the file changes
+const checksums = new Map();
+
+/**
+ * Get the directory forge installs solc builds into
+ * Uses SVM_PATH when set; otherwise ~/.svm, or the XDG data directory used by newer Foundry releases.
+ * @returns {Promise<string>} Absolute path of the svm directory
+ */
+async function getCompilersPath() {
+  if (config.foundry.svmPath) {
+    return path.resolve(config.foundry.svmPath);
+  }
+  
+  const legacyPath = path.join(os.homedir(), '.svm');
+  if (await fs.pathExists(legacyPath)) {
+    return legacyPath;
+  }
+  
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'svm');
+}
+
+/**
+ * List the solc versions installed in the svm directory
+ * Every installation is a "<version>/solc-<version>" binary.
+ * @returns {Promise<Array<string>>} Installed versions, oldest first
+ */
+async function listInstalledVersions() {
+  const compilersPath = await getCompilersPath();
+  
+  if (!await fs.pathExists(compilersPath)) {
+    return [];
+  }
+  
+  const versions = [];
+  for (const entry of await fs.readdir(compilersPath)) {
+    if (solcVersion.parseVersion(entry) && await fs.pathExists(path.join(compilersPath, entry, `solc-${entry}`))) {
+      versions.push(entry);
+    }
+  }
+  
+  return versions.sort(solcVersion.compareVersions);
+}
+
+/**
+ * Get the path of an installed solc binary
+ * @param {string} version - Compiler version
+ * @returns {Promise<string|null>} Absolute binary path, or null if the version is not installed
+ */
+async function getInstalledCompilerPath(version) {
+  if (!solcVersion.parseVersion(version)) {
+    return null;
+  }
+  
+  const binaryPath = path.join(await getCompilersPath(), version, `solc-${version}`);
+  return await fs.pathExists(binaryPath) ? binaryPath : null;
+}
+
+/**
+ * Get the compiler versions a compilation may use without downloading
+ * The configured default version is a candidate too, as forge fetches it on demand, unless the
+ * service runs offline.
+ * @returns {Promise<Array<string>>} Available versions, oldest first
+ */
+async function getAvailableVersions() {
+  const versions = new Set(await listInstalledVersions());
+  if (!config.foundry.offline) {
+    versions.add(config.foundry.defaultSolidityVersion);
+  }
+  return [...versions].sort(solcVersion.compareVersions);
+}
+
+/**
+ * Get the EVM versions a compiler version can target
+ * @param {string} version - Compiler version
+ * @returns {Array<string>} Supported EVM versions, oldest first
+ */
+function getSupportedEvmVersions(version) {
+  return EVM_VERSION_SUPPORT
+    .filter(([, minimumVersion]) => solcVersion.compareVersions(version, minimumVersion) >= 0)
+    .map(([evmVersion]) => evmVersion);
+}
+
+/**
+ * Compute the SHA-256 checksum of a file, reusing the last result while the file is unchanged
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex-encoded checksum
+ */
+async function getChecksum(filePath) {
+  const stats = await fs.stat(filePath);
+  const cached = checksums.get(filePath);
+  
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached.sha256;
+  }
+  
+  const sha256 = await new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+  
+  checksums.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, sha256 });
+  return sha256;
+}
+
+/**
+ * List the installed solc builds
+ * @returns {Promise<Array<Object>>} Compilers with version, path, SHA-256 checksum and supported EVM versions, oldest first
+ */
+async function listCompilers() {
+  const compilers = [];
+  
+  for (const version of await listInstalledVersions()) {
+    const binaryPath = await getInstalledCompilerPath(version);
+    compilers.push({
+      version,
+      path: binaryPath,
+      sha256: await getChecksum(binaryPath),
+      evmVersions: getSupportedEvmVersions(version),
+      isDefault: version === config.foundry.defaultSolidityVersion
+    });
+  }
+  
+  return compilers;
+}
+
+/**
+ * Ask a solc binary for its version
+ * @param {string} binaryPath - Path to the binary
+ * @returns {Promise<string|null>} Version (e.g. "0.8.21"), or null if the binary could not be run
+ */
+function probeCompilerVersion(binaryPath) {
+  return new Promise((resolve) => {
+    execFile(binaryPath, ['--version'], { timeout: VERSION_PROBE_TIMEOUT_MS }, (error, stdout) => {
+      const match = !error && stdout.match(/Version:\s*(\d+\.\d+\.\d+)/);
+      resolve(match ? match[1] : null);
+    });
+  });
+}
+
+/**
+ * Install a solc binary from a local file into the svm directory
+ * @param {Object} options - Registration options
+ * @param {string} options.file - Path of the solc binary on this machine
+ * @param {string} [options.version] - Compiler version; detected by running the binary when omitted
+ * @param {string} [options.sha256] - Expected SHA-256 checksum of the binary
+ * @param {boolean} [options.force=false] - Replace an installed build of the same version
+ * @returns {Promise<Object>} Registered compiler (see listCompilers)
+ * @throws {ApiError} 400 if the binary is missing, its version is unknown or its checksum does not match;
+ *   409 if the version is already installed and `force` is not set
+ */
+async function registerCompiler({ file, version, sha256, force = false }) {
+  const sourcePath = path.resolve(file);
+  
+  if (!await fs.pathExists(sourcePath) || !(await fs.stat(sourcePath)).isFile()) {
+    throw new ApiError(`Compiler binary not found: ${sourcePath}`, 400);
+  }
+  
+  const checksum = await getChecksum(sourcePath);
+  if (sha256 && checksum !== sha256.replace(/^0x/, '').toLowerCase()) {
+    throw new ApiError(`Checksum mismatch for ${sourcePath}: expected ${sha256}, got ${checksum}`, 400);
+  }
+  
+  const detectedVersion = await probeCompilerVersion(sourcePath);
+  if (version && detectedVersion && version !== detectedVersion) {
+    throw new ApiError(`${sourcePath} reports version ${detectedVersion}, not ${version}`, 400);
+  }
+  
+  const compilerVersion = version || detectedVersion;
+  if (!compilerVersion) {
+    throw new ApiError(`Could not determine the version of ${sourcePath}; pass it as "version"`, 400);
+  }
+  if (!solcVersion.parseVersion(compilerVersion)) {
+    throw new ApiError(`Invalid compiler version: ${compilerVersion}`, 400);
+  }
+  
+  if (!force && await getInstalledCompilerPath(compilerVersion)) {
+    throw new ApiError(`Solidity ${compilerVersion} is already installed`, 409);
+  }
+  
+  const targetPath = path.join(await getCompilersPath(), compilerVersion, `solc-${compilerVersion}`);
+  await fs.ensureDir(path.dirname(targetPath));
+  await fs.copy(sourcePath, targetPath, { overwrite: true });
+  await fs.chmod(targetPath, 0o755);
+  
+  logger.info(`Registered Solidity ${compilerVersion} from ${sourcePath}`);
+  
+  return {
+    version: compilerVersion,
+    path: targetPath,
+    sha256: checksum,
+    evmVersions: getSupportedEvmVersions(compilerVersion),
+    isDefault: compilerVersion === config.foundry.defaultSolidityVersion
+  };
+}
+
+/**
+ * Install solc binaries from a local mirror of binaries.soliditylang.org
+ * The mirror is a platform directory (e.g. "linux-amd64") containing list.json and the binaries it lists.
+ * Every binary is verified against the checksum in list.json.
+ * @param {Object} options - Mirror options
+ * @param {string} options.mirror - Path of the mirror directory
+ * @param {Array<string>} [options.versions] - Versions to install; every release in list.json when omitted
+ * @param {boolean} [options.force=false] - Replace installed builds of the same versions
+ * @returns {Promise<{registered: Array<Object>, skipped: Array<Object>}>} Installed compilers and skipped versions with the reason
+ * @throws {ApiError} 400 if the mirror has no list.json or a requested version is not in it
+ */
+async function registerCompilersFromMirror({ mirror, versions, force = false }) {
+  const mirrorPath = path.resolve(mirror);
+  const listPath = path.join(mirrorPath, 'list.json');
+  
+  if (!await fs.pathExists(listPath)) {
+    throw new ApiError(`Not a solc mirror: ${listPath} not found`, 400);
+  }
+  
+  const list = await fs.readJson(listPath);
+  const releases = list.releases || {};
+  const requestedVersions = versions || Object.keys(releases);
+  
+  const missing = requestedVersions.filter(version => !releases[version]);
+  if (missing.length > 0) {
+    throw new ApiError(`Versions not available in the mirror: ${missing.join(', ')}`, 400);
+  }
+  
+  const registered = [];
+  const skipped = [];
+  
+  for (const version of requestedVersions) {
+    const build = (list.builds || []).find(entry => entry.path === releases[version]);
+    
+    if (!force && await getInstalledCompilerPath(version)) {
+      skipped.push({ version, reason: 'Already installed' });
+      continue;
+    }
+    
+    try {
+      registered.push(await registerCompiler({
+        file: path.join(mirrorPath, releases[version]),
+        version,
+        sha256: build && build.sha256,
+        force
+      }));
+    } catch (error) {
+      logger.warn(`Skipping Solidity ${version} from mirror: ${error.message}`);
+      skipped.push({ version, reason: error.message });
+    }
+  }
+  
+  return { registered, skipped };
+}
+
+/**
+ * Select the Solidity compiler version for a compilation
+ * An explicitly requested version is used as is, as long as it meets the library requirements. Otherwise the `pragma solidity` ranges of the sources
+ * and of every library file they import are collected, and the newest available compiler that
+ * satisfies all of them is chosen.
+ * @param {Object<string, string>} sourceFiles - Project source files (project-relative path -> content)
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.solidityVersion] - Explicitly requested version
+ * @param {Array<string>} [options.remappings=[]] - Extra remappings used to resolve imports
+ * @param {Object<string, string>} [options.files={}] - Uploaded library files imports may resolve to
+ * @param {Array<string>} [options.sourcePaths] - Source paths whose imports skip the store's remappings
+ *   (see dependencyService.getImportGraph)
+ * @param {Array<{file: string, pragma: string}>} [options.constraints=[]] - Requirements of libraries that may not
+ *   be in the library store yet, such as OpenZeppelin 5.x requiring ">=0.8.20"
+ * @returns {Promise<{version: string, reason: string, constraints: Array<Object>, path: string|null}>}
+ *   Chosen version, why it was chosen, and the installed binary (null if forge has to fetch it)
+ * @throws {ApiError} 422 if no available compiler satisfies every pragma, the requested one does not satisfy
+ *   the library requirements, or the requested one is missing offline
+ */
+async function selectCompilerVersion(sourceFiles, options = {}) {
+  const { solidityVersion, remappings = [], files = {}, sourcePaths, constraints: libraryConstraints = [] } = options;
+  
+  if (solidityVersion) {
+    const unsatisfied = solcVersion.parseVersion(solidityVersion)
+      ? libraryConstraints.filter(constraint => !solcVersion.satisfies(solidityVersion, constraint.pragma))
+      : [];
+    if (unsatisfied.length > 0) {
+      throw new ApiError(
+        `Solidity ${solidityVersion} does not satisfy ${unsatisfied.map(constraint => `${constraint.pragma} required by ${constraint.file}`).join(' and ')}`,
+        422,
+        { constraints: unsatisfied }
+      );
+    }
+    
+    const binaryPath = await getInstalledCompilerPath(solidityVersion);
+    
+    if (!binaryPath && config.foundry.offline && solidityVersion !== 'latest') {
+      throw new ApiError(`Solidity ${solidityVersion} is not installed and the service runs offline`, 422, {
+        availableVersions: await getAvailableVersions()
+      });
+    }
+    
+    return { version: solidityVersion, reason: 'Requested explicitly', constraints: [], path: binaryPath };
+  }
+  
+  const graph = await dependencyService.getImportGraph(sourceFiles, { remappings, files, sourcePaths });
+  const constraints = [...libraryConstraints];
+  for (const [file, node] of Object.entries(graph.files)) {
+    for (const pragma of node.pragmas) {
+      if (solcVersion.parseRange(pragma)) {
+        constraints.push({ file, pragma });
+      } else {
+        // Leave malformed pragmas to the compiler, which reports them with a source location
+        logger.warn(`Ignoring unparsable pragma solidity "${pragma}" in ${file}`);
+      }
+    }
+  }
+  
+  if (constraints.length === 0) {
+    return {
+      version: config.foundry.defaultSolidityVersion,
+      reason: 'No pragma solidity found; using the default version',
+      constraints,
+      path: await getInstalledCompilerPath(config.foundry.defaultSolidityVersion)
+    };
+  }
+  
+  const availableVersions = await getAvailableVersions();
+  const ranges = [...new Set(constraints.map(constraint => constraint.pragma))];
+  const version = solcVersion.maxSatisfying(availableVersions, ranges);
+  
+  if (!version) {
+    throw new ApiError(
+      `No available Solidity compiler satisfies pragma solidity ${ranges.join(' and ')}`,
+      422,
+      { constraints, availableVersions }
+    );
+  }
+  
+  logger.info(`Selected Solidity ${version} for pragma solidity ${ranges.join(', ')}`);
+  
+  return {
+    version,
+    reason: `Newest available compiler satisfying pragma solidity ${ranges.join(', ')}`,
+    constraints,
+    path: await getInstalledCompilerPath(version)
+  };
+}
+
+module.exports = {
+  getCompilersPath,
+  listInstalledVersions,
+  getInstalledCompilerPath,
+  getAvailableVersions,
+  getSupportedEvmVersions,
+  listCompilers,
+  registerCompiler,
+  registerCompilersFromMirror,
+  selectCompilerVersion
+};
\ No newline at end of file
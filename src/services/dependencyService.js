@@ -10,6 +10,8 @@ const logger = require('../utils/logger');
 const config = require('../config/config');
 const dependencies = require('../config/dependencies');
 const foundryService = require('./foundryService');
+const importGraphService = require('./importGraphService');
+const fileSystem = require('../utils/fileSystem');
 
 /**
  * Map of common import patterns to GitHub repositories
@@ -22,6 +24,9 @@ const DEPENDENCY_MAPPING = {
   
   // OpenZeppelin mappings - versioned format
   '@openzeppelin/contracts@latest/': 'OpenZeppelin/openzeppelin-contracts#main',
+  '@openzeppelin/contracts@5.2.0/': 'OpenZeppelin/openzeppelin-contracts#v5.2.0',
+  '@openzeppelin/contracts@5.1.0/': 'OpenZeppelin/openzeppelin-contracts#v5.1.0',
+  '@openzeppelin/contracts@5.0.2/': 'OpenZeppelin/openzeppelin-contracts#v5.0.2',
   '@openzeppelin/contracts@4.9.5/': 'OpenZeppelin/openzeppelin-contracts#v4.9.5',
   '@openzeppelin/contracts@4.9.4/': 'OpenZeppelin/openzeppelin-contracts#v4.9.4',
   '@openzeppelin/contracts@4.9.3/': 'OpenZeppelin/openzeppelin-contracts#v4.9.3',
@@ -40,6 +45,9 @@ const DEPENDENCY_MAPPING = {
   
   // OpenZeppelin upgradeable mappings - versioned format
   '@openzeppelin/contracts-upgradeable@latest/': 'OpenZeppelin/openzeppelin-contracts-upgradeable#main',
+  '@openzeppelin/contracts-upgradeable@5.2.0/': 'OpenZeppelin/openzeppelin-contracts-upgradeable#v5.2.0',
+  '@openzeppelin/contracts-upgradeable@5.1.0/': 'OpenZeppelin/openzeppelin-contracts-upgradeable#v5.1.0',
+  '@openzeppelin/contracts-upgradeable@5.0.2/': 'OpenZeppelin/openzeppelin-contracts-upgradeable#v5.0.2',
   '@openzeppelin/contracts-upgradeable@4.9.5/': 'OpenZeppelin/openzeppelin-contracts-upgradeable#v4.9.5',
   '@openzeppelin/contracts-upgradeable@4.9.4/': 'OpenZeppelin/openzeppelin-contracts-upgradeable#v4.9.4',
   '@openzeppelin/contracts-upgradeable@4.9.3/': 'OpenZeppelin/openzeppelin-contracts-upgradeable#v4.9.3',
@@ -78,27 +86,117 @@ const DEPENDENCY_MAPPING = {
 
 /**
  * Extracts version information from a versioned import path
- * @param {string} importPath - Import path like '@openzeppelin/contracts@4.9.5/token/ERC20/ERC20.sol'
+ * @param {string} importPath - Import path like '@openzeppelin/contracts@4.9.5/token/ERC20/ERC20.sol' or 'solmate@<commit>/tokens/ERC20.sol'
  * @returns {Object|null} Version information or null if not a versioned import
  */
 function extractVersionInfo(importPath) {
-  // Pattern matches: @openzeppelin/contracts@4.9.5/
-  const versionedPattern = /^@([^\/]+)\/([^@\/]+)@([^\/]+)\//;
+  // Pattern matches: @openzeppelin/contracts@4.9.5/ and unscoped packages such as erc721a@4.2.3/
+  const versionedPattern = /^(?:@([^\/@]+)\/)?([^@\/]+)@([^\/]+)\//;
   const match = importPath.match(versionedPattern);
   
   if (match) {
+    const fullPackage = match[1] ? `@${match[1]}/${match[2]}` : match[2];
     return {
-      namespace: match[1], // e.g. "openzeppelin"
+      namespace: match[1] || null, // e.g. "openzeppelin", or null for unscoped packages
       package: match[2],   // e.g. "contracts" or "contracts-upgradeable"
       version: match[3],   // e.g. "4.9.5"
-      fullPackage: `@${match[1]}/${match[2]}`, // e.g. "@openzeppelin/contracts"
-      versionedPackage: `@${match[1]}/${match[2]}@${match[3]}` // e.g. "@openzeppelin/contracts@4.9.5"
+      fullPackage, // e.g. "@openzeppelin/contracts"
+      versionedPackage: `${fullPackage}@${match[3]}` // e.g. "@openzeppelin/contracts@4.9.5"
     };
   }
   
   return null;
 }
 
+/**
+ * Find the configured dependency an import package belongs to
+ * @param {string} fullPackage - Package as written in imports (e.g. "@uniswap/v3-core" or "solmate")
+ * @returns {Object|null} Dependency from config/dependencies.js whose importPaths include the package, or null
+ */
+function findDependencyByPackage(fullPackage) {
+  return dependencies.default.find(dep => dep.importPaths && dep.importPaths[`${fullPackage}/`] !== undefined) || null;
+}
+
+/**
+ * Get the major OpenZeppelin version an unversioned import only exists in
+ * @param {string} importPath - Import path like '@openzeppelin/contracts/utils/Pausable.sol'
+ * @returns {number|null} 4 or 5, or null if the path is not an unversioned OpenZeppelin import specific to one major
+ */
+function getOpenZeppelinMajor(importPath) {
+  const match = importPath.match(/^@openzeppelin\/contracts(?:-upgradeable)?\/(.+)$/);
+  if (!match) {
+    return null;
+  }
+  
+  // Upgradeable files are named after the contracts they wrap, e.g. utils/PausableUpgradeable.sol
+  const contractPath = match[1].replace(/Upgradeable\.sol$/, '.sol');
+  for (const [major, paths] of Object.entries(dependencies.openzeppelin.majorOnlyPaths)) {
+    if (paths.some(onlyPath => onlyPath.endsWith('/') ? contractPath.startsWith(onlyPath) : contractPath === onlyPath)) {
+      return Number(major);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Infer the OpenZeppelin version unversioned imports should resolve to
+ * Sources importing paths that only exist in OpenZeppelin 5.x get the default 5.x version; all others keep the
+ * default version. Sources that mix 4.x-only and 5.x-only paths keep the default version.
+ * @param {Array<string>} imports - Import paths of the sources
+ * @returns {{version: string, reason: string}|null} Inferred version and why, or null to use the default version
+ */
+function inferOpenZeppelinVersion(imports) {
+  const v4Only = imports.find(importPath => getOpenZeppelinMajor(importPath) === 4);
+  const v5Only = imports.find(importPath => getOpenZeppelinMajor(importPath) === 5);
+  
+  if (!v5Only) {
+    return null;
+  }
+  if (v4Only) {
+    logger.warn(`Sources import both ${v4Only} (OpenZeppelin 4.x) and ${v5Only} (OpenZeppelin 5.x); using the default version`);
+    return null;
+  }
+  
+  return {
+    version: dependencies.openzeppelin.defaultV5Version,
+    reason: `${v5Only} only exists in OpenZeppelin 5.x`
+  };
+}
+
+/**
+ * Get the remappings that point unversioned OpenZeppelin imports at a version in the library store
+ * @param {string} version - OpenZeppelin version (e.g. "5.2.0")
+ * @returns {Array<string>} Remappings for @openzeppelin/, @openzeppelin/contracts/ and @openzeppelin/contracts-upgradeable/
+ */
+function getOpenZeppelinRemappings(version) {
+  return [
+    `@openzeppelin/=lib/openzeppelin-contracts-${version}/`,
+    `@openzeppelin/contracts/=lib/openzeppelin-contracts-${version}/contracts/`,
+    `@openzeppelin/contracts-upgradeable/=lib/openzeppelin-contracts-upgradeable-${version}/contracts/`
+  ];
+}
+
+/**
+ * Get the compiler requirements of the OpenZeppelin versions a compilation uses
+ * @param {Array<string>} imports - Import paths of the sources
+ * @param {string} [openZeppelinVersion] - Version unversioned imports resolve to (see inferOpenZeppelinVersion)
+ * @returns {Array<{file: string, pragma: string}>} Version ranges, such as ">=0.8.20" for OpenZeppelin 5.x
+ */
+function getOpenZeppelinConstraints(imports, openZeppelinVersion) {
+  const versions = new Set([openZeppelinVersion || dependencies.openzeppelin.defaultVersion]);
+  for (const importPath of imports) {
+    const versionInfo = extractVersionInfo(importPath);
+    if (versionInfo && versionInfo.namespace === 'openzeppelin') {
+      versions.add(versionInfo.version);
+    }
+  }
+  
+  return dependencies.dependencies.openzeppelin
+    .filter(dep => dep.subtype === 'contracts' && dep.minSolidity && versions.has(dep.versionSuffix))
+    .map(dep => ({ file: `lib/${dep.folderName}`, pragma: `>=${dep.minSolidity}` }));
+}
+
 /**
  * Verify library structure in a directory
  * @param {string} libraryDir - Library directory path
@@ -177,6 +275,39 @@ async function verifyLibraryStructure(libraryDir) {
   }
 }
 
+/**
+ * Check whether a library in a project's lib/ directory is linked from the shared library store
+ * @param {string} projectPath - Path to the Foundry project
+ * @param {string} folderName - Library folder under lib/
+ * @returns {Promise<boolean>} True if the library is a symlink (see linkLibraries)
+ */
+async function isLinkedLibrary(projectPath, folderName) {
+  try {
+    const stats = await fs.lstat(path.join(projectPath, 'lib', folderName));
+    return stats.isSymbolicLink();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Install a dependency into a project with forge, unless the library it installs into is linked from the store.
+ * Forge installs into lib/<repository name>, which for a linked library would write into the shared store.
+ * @param {string} projectPath - Path to the Foundry project
+ * @param {string} repo - GitHub repository (user/repo)
+ * @param {string} version - Version, tag, branch or commit to install
+ * @returns {Promise<boolean>} True if the dependency was installed
+ */
+async function installProjectDependency(projectPath, repo, version) {
+  const folderName = repo ? repo.split('/').pop() : '';
+  if (folderName && await isLinkedLibrary(projectPath, folderName)) {
+    logger.info(`Not installing ${repo}@${version}: lib/${folderName} is linked from the library store`);
+    return false;
+  }
+  
+  return foundryService.installDependency(projectPath, repo, version);
+}
+
 /**
  * Installs all pre-configured dependencies in a project
  * @param {string} projectPath - Path to the Foundry project
@@ -187,14 +318,14 @@ async function installPreConfiguredDependencies(projectPath) {
   
   const installedDeps = [];
   
-  // Flatten the dependencies array
-  const allDependencies = Object.values(dependencies).flat();
+  // Only the dependency list: the config module also exports version tables and helpers
+  const allDependencies = dependencies.default;
   
   // Install each dependency
   for (const dep of allDependencies) {
     try {
       const { github, version, alias, versionSuffix } = dep;
-      const success = await foundryService.installDependency(projectPath, github, version);
+      const success = await installProjectDependency(projectPath, github, version);
       
       if (success) {
         installedDeps.push({ 
@@ -205,8 +336,8 @@ async function installPreConfiguredDependencies(projectPath) {
           success: true 
         });
         
-        // If this is an OpenZeppelin dependency with a version suffix, add special remappings
-        if (github.includes('OpenZeppelin') && versionSuffix) {
+        // Dependencies with a version suffix are also importable through version-in-path remappings
+        if (versionSuffix) {
           await addVersionedRemappings(projectPath, github, versionSuffix, alias);
         }
       } else {
@@ -237,49 +368,56 @@ async function installPreConfiguredDependencies(projectPath) {
 }
 
 /**
- * Install minimal OpenZeppelin dependencies with proper versioning
+ * Install the OpenZeppelin version unversioned imports resolve to, with minimal stubs if the install fails
  * @param {string} projectPath - Path to the project
+ * @param {Object} [options] - Installation options
+ * @param {string} [options.defaultVersion] - Version unversioned imports resolve to (see inferOpenZeppelinVersion);
+ *   the configured default when omitted
  * @returns {Promise<boolean>} True if successful
  */
-async function installMinimalOpenZeppelinDependencies(projectPath) {
+async function installMinimalOpenZeppelinDependencies(projectPath, options = {}) {
+  const defaultVersion = options.defaultVersion || dependencies.openzeppelin.defaultVersion;
+  
   try {
-    logger.info('Installing minimal OpenZeppelin dependencies with proper versioning');
-    
-    // Install different versions of OpenZeppelin
-    const versions = ['4.9.5', '4.9.3', '4.8.0', '4.7.0', '4.6.0', '4.5.0', '4.4.2', '4.3.3', '4.2.0', '4.1.0', '4.0.0'];
+    // Only the version unversioned imports resolve to is installed: every other install is a network round trip
+    const folderName = `openzeppelin-contracts-${defaultVersion}`;
+    logger.info(`Installing minimal OpenZeppelin v${defaultVersion} dependencies`);
     
-    for (const version of versions) {
+    // A version linked from the library store is complete, and writing into it would change the store
+    if (await isLinkedLibrary(projectPath, folderName)) {
+      logger.debug(`OpenZeppelin v${defaultVersion} is linked from the library store`);
+    } else {
       // Create versioned OpenZeppelin directory
-      const ozDir = path.join(projectPath, 'lib', `openzeppelin-contracts-${version}`);
+      const ozDir = path.join(projectPath, 'lib', folderName);
       await fs.ensureDir(ozDir);
       
       // Clone OpenZeppelin contracts with specific version
-      const cloneResult = await foundryService.installDependency(
+      const cloneResult = await installProjectDependency(
         projectPath,
         'OpenZeppelin/openzeppelin-contracts',
-        `v${version}`
+        `v${defaultVersion}`
       );
       
       if (!cloneResult) {
         // If clone fails, create minimal structure
-        logger.warn(`Failed to clone OpenZeppelin v${version}. Creating minimal structure.`);
+        logger.warn(`Failed to clone OpenZeppelin v${defaultVersion}. Creating minimal structure.`);
         
         // Create contracts structure
         await fs.ensureDir(path.join(ozDir, 'contracts', 'token', 'ERC20', 'extensions'));
         await fs.ensureDir(path.join(ozDir, 'contracts', 'access'));
         
         // Create basic OpenZeppelin stubs
-        await createMinimalContractStubs(ozDir, version);
+        await createMinimalContractStubs(ozDir, defaultVersion);
       }
       
       // Add proper versioned remappings
-      await addVersionedRemappings(projectPath, 'openzeppelin-contracts', version, `openzeppelin-contracts-${version}`);
+      await addVersionedRemappings(projectPath, 'openzeppelin-contracts', defaultVersion, folderName);
     }
     
-    // Create basic remappings for the default version (4.9.5)
+    // Create basic remappings for the default version
     const remappings = [
-      '@openzeppelin/=lib/openzeppelin-contracts-4.9.5/',
-      '@openzeppelin/contracts/=lib/openzeppelin-contracts-4.9.5/contracts/'
+      `@openzeppelin/=lib/openzeppelin-contracts-${defaultVersion}/`,
+      `@openzeppelin/contracts/=lib/openzeppelin-contracts-${defaultVersion}/contracts/`
     ];
     
     // Write remappings.txt
@@ -315,11 +453,15 @@ async function installMinimalOpenZeppelinDependencies(projectPath) {
  * @returns {Promise<void>}
  */
 async function createMinimalContractStubs(basePath, version) {
+  // OpenZeppelin 5.x requires Solidity 0.8.20 and takes the initial owner in the Ownable constructor
+  const isV5 = parseInt(version, 10) >= 5;
+  const pragma = isV5 ? '^0.8.20' : '^0.8.0';
+  
   // Create ERC20.sol
   await fs.writeFile(
     path.join(basePath, 'contracts', 'token', 'ERC20', 'ERC20.sol'),
     `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ${pragma};
 
 /**
  * @dev Implementation of the {IERC20} interface for OpenZeppelin v${version}.
@@ -356,7 +498,7 @@ contract ERC20 {
   await fs.writeFile(
     path.join(basePath, 'contracts', 'token', 'ERC20', 'extensions', 'ERC20Burnable.sol'),
     `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ${pragma};
 
 import "../ERC20.sol";
 
@@ -380,7 +522,7 @@ abstract contract ERC20Burnable is ERC20 {
   await fs.writeFile(
     path.join(basePath, 'contracts', 'access', 'Ownable.sol'),
     `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ${pragma};
 
 /**
  * @dev Contract module which provides a basic access control mechanism for OpenZeppelin v${version}.
@@ -388,9 +530,11 @@ pragma solidity ^0.8.0;
 abstract contract Ownable {
     address private _owner;
     
-    constructor() {
+    ${isV5 ? `constructor(address initialOwner) {
+        _owner = initialOwner;
+    }` : `constructor() {
         _owner = msg.sender;
-    }
+    }`}
     
     function owner() public view virtual returns (address) {
         return _owner;
@@ -440,15 +584,21 @@ function addVersionPathRemapping(folderName, versionSuffix, isUpgradeable = fals
 /**
  * Resolve dependency from import path
  * @param {string} importPath - Import path from contract
+ * @param {Object} [options] - Resolution options
+ * @param {string} [options.openZeppelinVersion] - OpenZeppelin version for unversioned imports (see
+ *   inferOpenZeppelinVersion); the configured default when omitted
  * @returns {Object|null} Dependency information or null if can't be resolved
  */
-function resolveDependency(importPath) {
+function resolveDependency(importPath, options = {}) {
   // Validate input
   if (!importPath || typeof importPath !== 'string') {
     logger.error(`Invalid import path: ${importPath}`);
     return null;
   }
 
+  // Unversioned OpenZeppelin imports resolve to the default or inferred version
+  const openZeppelinVersion = `v${options.openZeppelinVersion || dependencies.openzeppelin.defaultVersion}`;
+
   // First check if this is a versioned import path
   const versionInfo = extractVersionInfo(importPath);
   if (versionInfo) {
@@ -462,6 +612,15 @@ function resolveDependency(importPath) {
       };
     }
     
+    // Configured libraries know which git ref each version is published under
+    const configured = findDependencyByPackage(versionInfo.fullPackage);
+    if (configured) {
+      return {
+        github: configured.repo,
+        version: dependencies.getGitRef(configured, versionInfo.version),
+      };
+    }
+    
     // Fall back to the base package without version if specific version not found
     const baseKey = `${versionInfo.fullPackage}/`;
     if (DEPENDENCY_MAPPING[baseKey]) {
@@ -478,11 +637,11 @@ function resolveDependency(importPath) {
       // Split the repo if it contains a version (e.g., "repo#v1.0.0")
       const repoParts = repo.split('#');
       
-      // For OpenZeppelin packages, prefer v4.9.5 (latest stable) if no version specified
+      // For OpenZeppelin packages, use the default (or inferred) version if no version specified
       if (repoParts[0].includes('openzeppelin') && !repoParts[1]) {
         return {
           github: repoParts[0],
-          version: 'v4.9.5', // Default to latest stable OpenZeppelin
+          version: openZeppelinVersion,
         };
       }
       
@@ -497,7 +656,7 @@ function resolveDependency(importPath) {
   if (importPath.includes('@openzeppelin/contracts/')) {
     return {
       github: 'OpenZeppelin/openzeppelin-contracts',
-      version: 'v4.9.5', // Default to latest stable version
+      version: openZeppelinVersion,
     };
   }
   
@@ -515,17 +674,158 @@ function resolveDependency(importPath) {
   return null;
 }
 
+/**
+ * Get the absolute path of the shared library store
+ * @returns {string} Library store directory
+ */
+function getLibraryStorePath() {
+  return path.resolve(config.dependencies.libPath);
+}
+
+/**
+ * Get the remappings that apply to the shared library store
+ * These are the store's remappings.txt plus a "<dir>/=lib/<dir>/" entry for every library it does not remap.
+ * When remappings.txt maps the same prefix more than once, only the last entry is kept, as solc would use it.
+ * @returns {Promise<Array<string>>} Remappings in "[context:]prefix=target" form
+ */
+async function getLibraryStoreRemappings() {
+  const storePath = getLibraryStorePath();
+  let remappings = [];
+  
+  const remappingsPath = path.resolve(process.cwd(), 'remappings.txt');
+  if (await fs.pathExists(remappingsPath)) {
+    const content = await fs.readFile(remappingsPath, 'utf8');
+    remappings = content.split('\n').map(line => line.trim()).filter(line => line !== '');
+  }
+  
+  const lastIndexByKey = new Map(remappings.map((remapping, index) => [getRemappingKey(remapping), index]));
+  remappings = remappings.filter((remapping, index) => lastIndexByKey.get(getRemappingKey(remapping)) === index);
+  
+  const defaultRemappings = [];
+  if (await fs.pathExists(storePath)) {
+    for (const dir of await fs.readdir(storePath)) {
+      if (!lastIndexByKey.has(`${dir}/`)) {
+        defaultRemappings.push(`${dir}/=lib/${dir}/`);
+      }
+    }
+  }
+  
+  return [...defaultRemappings, ...remappings];
+}
+
+/**
+ * Drop the remappings that would redirect imports of a compilation's own source files
+ * Standard JSON inputs carry the library sources they were verified with under their import paths
+ * (e.g. "@openzeppelin/contracts/token/ERC20/ERC20.sol"), which must not be remapped into the store.
+ * @param {Array<string>} remappings - Remappings in "[context:]prefix=target" form
+ * @param {Array<string>} [sourcePaths] - Source paths that imports resolve to as they are; nothing is dropped when omitted
+ * @returns {Array<string>} Remappings whose prefix covers none of the source paths
+ */
+function removeShadowedRemappings(remappings, sourcePaths) {
+  if (!sourcePaths) {
+    return remappings;
+  }
+  
+  return remappings.filter((remapping) => {
+    const parsed = importGraphService.parseRemapping(remapping);
+    return !parsed || !sourcePaths.some(sourcePath => sourcePath.startsWith(parsed.prefix));
+  });
+}
+
+/**
+ * Walk the import graph of a compilation through the shared library store
+ * @param {Object<string, string>} sourceFiles - Project source files (project-relative path -> content)
+ * @param {Object} [options] - Graph options
+ * @param {Array<string>} [options.remappings=[]] - Extra remappings that take precedence over the store's
+ * @param {Object<string, string>} [options.files={}] - Uploaded library files (project-relative path -> content)
+ * @param {Array<string>} [options.sourcePaths] - Source paths whose imports skip the store's remappings
+ *   (see removeShadowedRemappings)
+ * @returns {Promise<Object>} Import graph (see importGraphService.buildImportGraph)
+ */
+async function getImportGraph(sourceFiles, options = {}) {
+  const remappings = removeShadowedRemappings(await getLibraryStoreRemappings(), options.sourcePaths);
+  
+  return importGraphService.buildImportGraph({
+    sources: sourceFiles,
+    files: options.files,
+    remappings: [...remappings, ...(options.remappings || [])],
+    libPath: getLibraryStorePath()
+  });
+}
+
+/**
+ * Make the libraries a compilation needs available to its project without copying them.
+ * The import graph of the sources is walked through the store's remappings, and only the library
+ * roots it reaches are symlinked into the project's lib/ directory. The store is shared by all
+ * compilations and must never be written to. Libraries uploaded with the request are already in the
+ * project and take the place of store libraries with the same name.
+ * @param {string} projectPath - Path to the Foundry project
+ * @param {Object<string, string>} sourceFiles - Project source files (project-relative path -> content)
+ * @param {Object} [options] - Link options
+ * @param {Array<string>} [options.remappings=[]] - Extra remappings that take precedence over the store's when walking imports
+ * @param {Object<string, string>} [options.files={}] - Uploaded library files already written to the project
+ * @param {Array<string>} [options.sourcePaths] - Source paths whose imports skip the store's remappings
+ *   (see removeShadowedRemappings)
+ * @returns {Promise<{libraries: Array<string>, unresolved: Array<string>}>} Linked library roots and imports not found in the store
+ */
+async function linkLibraries(projectPath, sourceFiles, options = {}) {
+  const storePath = getLibraryStorePath();
+  const remappings = removeShadowedRemappings(await getLibraryStoreRemappings(), options.sourcePaths);
+  const graph = await getImportGraph(sourceFiles, options);
+  
+  // Uploaded libraries and sources under lib/ (as in Foundry build-info input) are already in the project
+  const uploadedLibraries = new Set([...Object.keys(options.files || {}), ...Object.keys(sourceFiles)]
+    .map(importGraphService.getLibraryRoot));
+  const libraries = graph.libraries.filter(library => !uploadedLibraries.has(library));
+  
+  const projectLibPath = path.join(projectPath, 'lib');
+  await fs.ensureDir(projectLibPath);
+  
+  for (const library of libraries) {
+    await fs.ensureSymlink(path.join(storePath, library), path.join(projectLibPath, library), 'dir');
+  }
+  
+  if (libraries.length > 0) {
+    // Keep only remappings into linked libraries, in their original order so resolution is unchanged
+    const linkedRemappings = remappings.filter((remapping) => {
+      const parsed = importGraphService.parseRemapping(remapping);
+      return parsed && libraries.includes(importGraphService.getLibraryRoot(parsed.target));
+    });
+    await writeRemappings(projectPath, linkedRemappings);
+    
+    // Symlinked files resolve into the store, which solc may only read when it is allowed
+    await fileSystem.setFoundryProfileSetting(projectPath, 'allow_paths', [storePath]);
+  }
+  
+  const unresolved = [...new Set(graph.unresolved.map(entry => entry.importPath))];
+  logger.info(`Linked ${libraries.length} libraries from ${storePath}: ${libraries.join(', ') || 'none'}`);
+  if (unresolved.length > 0) {
+    logger.warn(`Imports not found in the library store: ${unresolved.join(', ')}`);
+  }
+  
+  return {
+    libraries,
+    unresolved
+  };
+}
+
 /**
  * Install missing dependencies from contract imports
  * @param {string} projectPath - Path to the Foundry project
  * @param {string} contractCode - Solidity contract code
+ * @param {Object} [options] - Installation options
+ * @param {Array<string>} [options.imports] - Imports to install, instead of all imports found in the code
+ * @param {Object<string, string>} [options.pinnedVersions={}] - Versions (tags, branches or commits) to install
+ *   instead of the resolved ones, by GitHub repository
+ * @param {string} [options.openZeppelinVersion] - OpenZeppelin version for unversioned imports
  * @returns {Promise<Array>} List of dynamically installed dependencies
  */
-async function installDependenciesFromImports(projectPath, contractCode) {
+async function installDependenciesFromImports(projectPath, contractCode, options = {}) {
   logger.info('Analyzing contract for external dependencies');
   
   // Extract all imports from the contract code
-  const imports = foundryService.extractImports(contractCode);
+  const imports = options.imports || foundryService.extractImports(contractCode);
+  const pinnedVersions = options.pinnedVersions || {};
   
   if (imports.length === 0) {
     logger.info('No external imports found in contract');
@@ -534,48 +834,19 @@ async function installDependenciesFromImports(projectPath, contractCode) {
   
   logger.info(`Found ${imports.length} imports in contract, resolving dependencies`);
   
-  // First, try to copy pre-installed libraries if available
-  const libPath = path.resolve(process.cwd(), 'lib');
-  const tempLibPath = path.join(projectPath, 'lib');
-  let preInstalledCopied = false;
-  
-  // Check if we have pre-installed libraries
-  if (await fs.pathExists(libPath)) {
-    try {
-      logger.info('Copying pre-installed dependencies...');
-      await fs.ensureDir(tempLibPath);
-      await fs.copy(libPath, tempLibPath);
-      
-      // Also copy remappings.txt if it exists
-      const remappingsPath = path.resolve(process.cwd(), 'remappings.txt');
-      if (await fs.pathExists(remappingsPath)) {
-        await fs.copy(remappingsPath, path.join(projectPath, 'remappings.txt'));
-      }
-      
-      preInstalledCopied = true;
-      logger.info('Pre-installed dependencies copied successfully');
-    } catch (error) {
-      logger.error('Error copying pre-installed dependencies:', error);
-    }
-  }
-  
-  // If we successfully copied pre-installed dependencies, we can skip further installation
-  if (preInstalledCopied) {
-    return [{ success: true, message: 'Pre-installed dependencies copied' }];
-  }
-  
-  // If we couldn't copy pre-installed dependencies, try to install individually
+  // Install each dependency individually
   const installedDeps = [];
   const processedRepos = new Set(); // Track repos we've already processed
   
   for (const importPath of imports) {
     try {
-      const dependency = resolveDependency(importPath);
+      const resolved = resolveDependency(importPath, { openZeppelinVersion: options.openZeppelinVersion });
       
-      if (!dependency) {
+      if (!resolved) {
         logger.debug(`Could not resolve dependency for import: ${importPath}`);
         continue;
       }
+      const dependency = { ...resolved, version: pinnedVersions[resolved.github] || resolved.version };
       
       // Skip if we've already processed this repo+version combination
       const repoKey = `${dependency.github}@${dependency.version}`;
@@ -586,7 +857,7 @@ async function installDependenciesFromImports(projectPath, contractCode) {
       processedRepos.add(repoKey);
       
       // Install the dependency
-      const success = await foundryService.installDependency(
+      const success = await installProjectDependency(
         projectPath,
         dependency.github,
         dependency.version
@@ -635,9 +906,13 @@ async function installDependenciesFromImports(projectPath, contractCode) {
 /**
  * Process remappings for dependencies
  * @param {string} projectPath - Path to the Foundry project
+ * @param {Object} [options] - Remapping options
+ * @param {string} [options.openZeppelinVersion] - OpenZeppelin version unversioned imports resolve to;
+ *   the configured default when omitted
  * @returns {Promise<void>}
  */
-async function processRemappings(projectPath) {
+async function processRemappings(projectPath, options = {}) {
+  const defaultVersion = options.openZeppelinVersion || dependencies.openzeppelin.defaultVersion;
   logger.debug('Processing remappings for dependencies');
   
   try {
@@ -710,8 +985,8 @@ async function processRemappings(projectPath) {
             logger.info(`Added versioned remapping: ${versionedRemapping}`);
           }
           
-          // If this is version 4.9.5 (or latest), make it the default
-          if (version === '4.9.5' || latestVersion === version) {
+          // If this is the default version, make it the default
+          if (version === defaultVersion) {
             remappings.push(`@openzeppelin/=lib/${dir}/`);
             remappings.push(`@openzeppelin/contracts/=lib/${dir}/contracts/`);
           }
@@ -777,46 +1052,97 @@ async function processRemappings(projectPath) {
     // Remove duplicates
     const uniqueRemappings = [...new Set(remappings)];
     
-    // Write remappings to remappings.txt
-    const remappingsPath = path.join(projectPath, 'remappings.txt');
-    await fs.writeFile(remappingsPath, uniqueRemappings.join('\n'));
-    logger.debug(`Updated remappings.txt with ${uniqueRemappings.length} entries`);
-    
-    // Write to foundry.toml as well
-    const foundryTomlPath = path.join(projectPath, 'foundry.toml');
-    if (await fs.pathExists(foundryTomlPath)) {
-      let foundryConfig = await fs.readFile(foundryTomlPath, 'utf8');
-      
-      // Check if remappings are already defined
-      const remappingsRegex = /remappings\s*=\s*\[(.*?)\]/s;
-      if (remappingsRegex.test(foundryConfig)) {
-        // Replace existing remappings
-        foundryConfig = foundryConfig.replace(
-          remappingsRegex, 
-          `remappings = [\n    ${uniqueRemappings.map(r => `"${r}"`).join(',\n    ')}\n]`
-        );
-      } else {
-        // Add remappings
-        foundryConfig = foundryConfig.replace(
-          /\[profile\.default\](.*?)(\n\[|$)/s, 
-          `[profile.default]$1\nremappings = [\n    ${uniqueRemappings.map(r => `"${r}"`).join(',\n    ')}\n]\n\n$2`
-        );
-      }
-      
-      await fs.writeFile(foundryTomlPath, foundryConfig);
-      logger.debug(`Updated foundry.toml with remappings`);
-    }
-    
+    // Write remappings to remappings.txt and foundry.toml
+    await writeRemappings(projectPath, uniqueRemappings);
   } catch (error) {
     logger.error('Error processing remappings:', error);
     // Non-fatal error, continue with compilation
   }
 }
 
+/**
+ * Write the full remapping list to remappings.txt and foundry.toml
+ * @param {string} projectPath - Path to the Foundry project
+ * @param {Array<string>} remappings - Remappings in "[context:]prefix=target" form
+ * @returns {Promise<void>}
+ */
+async function writeRemappings(projectPath, remappings) {
+  const remappingsPath = path.join(projectPath, 'remappings.txt');
+  await fs.writeFile(remappingsPath, remappings.join('\n'));
+  logger.debug(`Updated remappings.txt with ${remappings.length} entries`);
+  
+  const foundryTomlPath = path.join(projectPath, 'foundry.toml');
+  if (await fs.pathExists(foundryTomlPath)) {
+    let foundryConfig = await fs.readFile(foundryTomlPath, 'utf8');
+    const remappingsSection = `remappings = [\n    ${remappings.map(r => `"${r}"`).join(',\n    ')}\n]`;
+    
+    // Check if remappings are already defined
+    const remappingsRegex = /remappings\s*=\s*\[(.*?)\]/s;
+    if (remappingsRegex.test(foundryConfig)) {
+      // Replace existing remappings
+      foundryConfig = foundryConfig.replace(remappingsRegex, remappingsSection);
+    } else {
+      // Add remappings
+      foundryConfig = foundryConfig.replace(
+        /\[profile\.default\](.*?)(\n\[|$)/s, 
+        `[profile.default]$1\n${remappingsSection}\n\n$2`
+      );
+    }
+    
+    await fs.writeFile(foundryTomlPath, foundryConfig);
+    logger.debug(`Updated foundry.toml with remappings`);
+  }
+}
+
+/**
+ * Get the key a remapping is matched on ("context:prefix"), used to detect overrides
+ * @param {string} remapping - Remapping in "[context:]prefix=target" form
+ * @returns {string} Remapping key
+ */
+function getRemappingKey(remapping) {
+  return remapping.split('=')[0].trim();
+}
+
+/**
+ * Layer remapping overrides on top of the project's current remappings.
+ * An override replaces any existing remapping with the same context and prefix.
+ * @param {string} projectPath - Path to the Foundry project
+ * @param {Array<string>} overrides - Remappings that take precedence
+ * @param {Object} [options] - Override options
+ * @param {Array<string>} [options.sourcePaths] - Source paths that generated remappings must not redirect
+ *   (see removeShadowedRemappings); overrides are kept as they are
+ * @returns {Promise<Array<string>>} Effective remappings written to the project
+ */
+async function applyRemappingOverrides(projectPath, overrides = [], options = {}) {
+  const remappingsPath = path.join(projectPath, 'remappings.txt');
+  let fileRemappings = [];
+  
+  if (await fs.pathExists(remappingsPath)) {
+    const content = await fs.readFile(remappingsPath, 'utf8');
+    fileRemappings = content.split('\n').map(line => line.trim()).filter(line => line !== '');
+  }
+  
+  const existingRemappings = removeShadowedRemappings(fileRemappings, options.sourcePaths);
+  if (overrides.length === 0 && existingRemappings.length === fileRemappings.length) {
+    return existingRemappings;
+  }
+  
+  const overriddenKeys = new Set(overrides.map(getRemappingKey));
+  const effectiveRemappings = [
+    ...existingRemappings.filter(r => !overriddenKeys.has(getRemappingKey(r))),
+    ...overrides
+  ];
+  
+  await writeRemappings(projectPath, [...new Set(effectiveRemappings)]);
+  logger.info(`Applied ${overrides.length} remapping overrides`);
+  
+  return effectiveRemappings;
+}
+
 /**
  * Add version-in-path style remappings to remappings.txt
  * @param {string} projectPath - Path to the project directory
- * @param {string} repo - GitHub repository (user/repo)
+ * @param {string} repo - GitHub repository (user/repo) or repository name
  * @param {string} version - Version string (e.g., "4.9.5")
  * @param {string} folderName - Name of the folder where the dependency is installed
  * @returns {Promise<boolean>} True if successful
@@ -825,18 +1151,11 @@ async function addVersionedRemappings(projectPath, repo, version, folderName) {
   try {
     logger.info(`Adding versioned remappings for ${repo} version ${version}`);
     
-    // Determine the remappings based on repository
-    const remappings = [];
-    
-    if (repo.includes('openzeppelin-contracts')) {
-      // For standard contracts
-      // Version-specific format: @openzeppelin/contracts@4.9.5/=lib/openzeppelin-contracts-4.9.5/contracts/
-      remappings.push(`@openzeppelin/contracts@${version}/=lib/${folderName}/contracts/`);
-    } else if (repo.includes('openzeppelin-contracts-upgradeable')) {
-      // For upgradeable contracts
-      // Version-specific format: @openzeppelin/contracts-upgradeable@4.9.5/=lib/openzeppelin-contracts-upgradeable-4.9.5/contracts/
-      remappings.push(`@openzeppelin/contracts-upgradeable@${version}/=lib/${folderName}/contracts/`);
-    }
+    // Derive the remappings from the import paths of the configured library,
+    // e.g. @openzeppelin/contracts@4.9.5/=lib/openzeppelin-contracts-4.9.5/contracts/
+    const configured = dependencies.default.find(dep =>
+      (dep.repo === repo || dep.repo.split('/')[1] === repo) && dep.importPaths);
+    const remappings = configured ? dependencies.getVersionedRemappings(configured, version, folderName) : [];
     
     if (remappings.length === 0) {
       logger.warn(`No versioned remappings defined for ${repo}`);
@@ -963,16 +1282,452 @@ async function updateFoundryToml(projectPath, remapping) {
   }
 }
 
+/**
+ * Find the git directory of a library checkout
+ * Submodule checkouts have a .git file pointing at the real git directory.
+ * @param {string} libraryPath - Library directory
+ * @returns {Promise<string|null>} Git directory, or null if the library is not a git checkout
+ */
+async function findGitDirectory(libraryPath) {
+  const gitPath = path.join(libraryPath, '.git');
+  
+  if (!await fs.pathExists(gitPath)) {
+    return null;
+  }
+  if ((await fs.stat(gitPath)).isDirectory()) {
+    return gitPath;
+  }
+  
+  const match = (await fs.readFile(gitPath, 'utf8')).match(/^gitdir:\s*(.+)$/m);
+  return match ? path.resolve(libraryPath, match[1].trim()) : null;
+}
+
+/**
+ * Read the checked-out commit and refs of a library checkout
+ * @param {string} libraryPath - Library directory
+ * @returns {Promise<{refs: Map<string, string>, branch: string|null, commit: string|null}|null>}
+ *   Refs by name, the checked-out branch ref (null when detached) and commit, or null if not a git checkout
+ */
+async function readGitState(libraryPath) {
+  const gitDir = await findGitDirectory(libraryPath);
+  if (!gitDir || !await fs.pathExists(path.join(gitDir, 'HEAD'))) {
+    return null;
+  }
+  
+  // Collect refs from packed-refs and loose ref files
+  const refs = new Map();
+  const packedRefsPath = path.join(gitDir, 'packed-refs');
+  if (await fs.pathExists(packedRefsPath)) {
+    for (const line of (await fs.readFile(packedRefsPath, 'utf8')).split('\n')) {
+      const match = line.match(/^([0-9a-f]{40}) (refs\/\S+)$/);
+      if (match) {
+        refs.set(match[2], match[1]);
+      }
+    }
+  }
+  for (const refDir of ['refs/heads', 'refs/tags']) {
+    const refPath = path.join(gitDir, refDir);
+    if (await fs.pathExists(refPath)) {
+      for (const name of await fs.readdir(refPath)) {
+        const refFile = path.join(refPath, name);
+        if ((await fs.stat(refFile)).isFile()) {
+          refs.set(`${refDir}/${name}`, (await fs.readFile(refFile, 'utf8')).trim());
+        }
+      }
+    }
+  }
+  
+  const head = (await fs.readFile(path.join(gitDir, 'HEAD'), 'utf8')).trim();
+  const branch = head.startsWith('ref: ') ? head.slice('ref: '.length) : null;
+  
+  return { refs, branch, commit: (branch ? refs.get(branch) : head) || null };
+}
+
+/**
+ * Detect the version of a library from git metadata: a tag on the checked-out commit, else the branch or commit
+ * @param {string} libraryPath - Library directory
+ * @returns {Promise<string|null>} Tag, branch or short commit hash, or null if not a git checkout
+ */
+async function detectGitVersion(libraryPath) {
+  const state = await readGitState(libraryPath);
+  if (!state) {
+    return null;
+  }
+  
+  const { refs, branch, commit } = state;
+  const tag = [...refs.entries()].find(([ref, sha]) => ref.startsWith('refs/tags/') && sha === commit);
+  if (tag) {
+    return tag[0].slice('refs/tags/'.length);
+  }
+  if (branch) {
+    return branch.replace(/^refs\/heads\//, '');
+  }
+  return commit ? commit.slice(0, 7) : null;
+}
+
+/**
+ * Detect the full hash of the commit a library checkout is on
+ * @param {string} libraryPath - Library directory
+ * @returns {Promise<string|null>} 40-character commit hash, or null if not a git checkout
+ */
+async function detectGitCommit(libraryPath) {
+  const state = await readGitState(libraryPath);
+  return state && /^[0-9a-f]{40}$/.test(state.commit || '') ? state.commit : null;
+}
+
+/**
+ * Get the GitHub repository a library folder was installed from
+ * @param {string} folderName - Library folder name (e.g. "openzeppelin-contracts-4.9.5" or "solmate")
+ * @returns {string|null} Repository in "owner/repo" form, or null if the folder is not a known library
+ */
+function getLibraryRepository(folderName) {
+  const configured = dependencies.default.find(dep => dep.folderName === folderName);
+  if (configured && configured.repo) {
+    return configured.repo;
+  }
+  
+  // Libraries installed at compile time are cloned into a folder named after the repository
+  const repositories = Object.values(DEPENDENCY_MAPPING).map(repo => repo.split('#')[0]);
+  return repositories.find(repo => repo.split('/')[1] === folderName) || null;
+}
+
+/**
+ * Detect the version of a library in the store
+ * The package.json of the library (or of its contracts/ directory, as OpenZeppelin publishes it) wins over git metadata.
+ * @param {string} libraryPath - Library directory
+ * @returns {Promise<{version: string, source: string}|null>} Detected version and where it was found
+ */
+async function detectLibraryVersion(libraryPath) {
+  for (const packagePath of ['package.json', 'contracts/package.json']) {
+    const packageJsonPath = path.join(libraryPath, packagePath);
+    if (await fs.pathExists(packageJsonPath)) {
+      try {
+        const { version } = await fs.readJson(packageJsonPath);
+        if (version) {
+          return { version, source: packagePath };
+        }
+      } catch (error) {
+        logger.warn(`Could not read ${packageJsonPath}: ${error.message}`);
+      }
+    }
+  }
+  
+  const gitVersion = await detectGitVersion(libraryPath);
+  return gitVersion ? { version: gitVersion, source: 'git' } : null;
+}
+
+// Upper bound on the directories searched below a library, which keeps large repositories cheap to scan
+const MAX_SEARCHED_DIRECTORIES = 2000;
+
+/**
+ * Find Solidity files below a directory, shallowest first
+ * @param {string} dirPath - Directory to search
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of files to return
+ * @param {string} [options.fileName] - Only return files with this name
+ * @returns {Promise<Array<string>>} Paths relative to dirPath
+ */
+async function findSourceFiles(dirPath, { limit, fileName }) {
+  const examples = [];
+  const queue = [''];
+  let searchedDirectories = 0;
+  
+  while (queue.length > 0 && examples.length < limit && searchedDirectories++ < MAX_SEARCHED_DIRECTORIES) {
+    const relativeDir = queue.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(dirPath, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+    
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const relativePath = path.posix.join(relativeDir, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        queue.push(relativePath);
+      } else if (entry.isFile() && entry.name.endsWith('.sol') && (!fileName || entry.name === fileName) && examples.length < limit) {
+        examples.push(relativePath);
+      }
+    }
+  }
+  
+  return examples;
+}
+
+/**
+ * List the libraries in the shared library store
+ * Every library folder is matched against config/dependencies.js, and reported with its detected version,
+ * the store remappings that point into it, and example import paths for each of them.
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.examplesPerRemapping=5] - Example import paths listed per remapping
+ * @returns {Promise<{count: number, path: string, dependencies: Array<Object>}>} Installed libraries
+ */
+async function listInstalledDependencies(options = {}) {
+  const { examplesPerRemapping = 5 } = options;
+  const storePath = getLibraryStorePath();
+  
+  if (!await fs.pathExists(storePath)) {
+    return { count: 0, path: storePath, dependencies: [] };
+  }
+  
+  const remappings = await getLibraryStoreRemappings();
+  const installed = [];
+  
+  for (const folderName of (await fs.readdir(storePath)).sort()) {
+    const libraryPath = path.join(storePath, folderName);
+    if (!(await fs.stat(libraryPath)).isDirectory()) {
+      continue;
+    }
+    
+    const configured = dependencies.default.find(dep => dep.folderName === folderName);
+    const detected = await detectLibraryVersion(libraryPath);
+    
+    // Remappings whose target lies in this library, each with example imports through it
+    const libraryRemappings = remappings.filter((remapping) => {
+      const parsed = importGraphService.parseRemapping(remapping);
+      return parsed && importGraphService.getLibraryRoot(parsed.target) === folderName;
+    });
+    
+    const importFormats = [];
+    for (const remapping of libraryRemappings) {
+      const { context, prefix, target } = importGraphService.parseRemapping(remapping);
+      const targetPath = path.join(storePath, target.replace(/^lib\//, ''));
+      const examples = await findSourceFiles(targetPath, { limit: examplesPerRemapping });
+      
+      importFormats.push({
+        importPrefix: prefix,
+        ...(context && { context }),
+        target,
+        examples: examples.map(example => `${prefix}${example}`)
+      });
+    }
+    
+    // Aliases such as "@openzeppelin/contracts/" are how libraries are usually imported, so list them first
+    importFormats.sort((a, b) => (a.importPrefix === `${folderName}/`) - (b.importPrefix === `${folderName}/`));
+    
+    installed.push({
+      name: configured ? configured.name : folderName,
+      folderName,
+      type: configured ? configured.type : 'unknown',
+      subtype: configured ? configured.subtype : undefined,
+      versionSuffix: configured ? configured.versionSuffix : undefined,
+      repo: configured ? configured.repo : undefined,
+      version: detected ? detected.version : (configured ? configured.version : null),
+      versionSource: detected ? detected.source : (configured ? 'config' : null),
+      path: libraryPath,
+      remappings: libraryRemappings,
+      importFormats
+    });
+  }
+  
+  return {
+    count: installed.length,
+    path: storePath,
+    dependencies: installed
+  };
+}
+
+/**
+ * Map a project path back to the import path that reaches it through the given remappings
+ * @param {string} projectPath - Project-relative path (e.g. "lib/solmate/src/tokens/ERC20.sol")
+ * @param {Array<Object>} parsedRemappings - Parsed remappings (see importGraphService.parseRemapping)
+ * @returns {string} Import path through the remapping with the longest matching target (and the shortest prefix
+ *   among those), or the project path itself
+ */
+function toImportPath(projectPath, parsedRemappings) {
+  const candidates = parsedRemappings
+    .filter(remapping => !remapping.context && projectPath.startsWith(remapping.target))
+    .sort((a, b) => (b.target.length - a.target.length) || (a.prefix.length - b.prefix.length));
+  
+  return candidates.length > 0 ? candidates[0].prefix + projectPath.slice(candidates[0].target.length) : projectPath;
+}
+
+/**
+ * Suggest how to fix an import that could not be resolved
+ * @param {Object} entry - Unresolved import from the import graph
+ * @param {Object} context - Resolution context
+ * @param {string} context.storePath - Library store directory
+ * @param {Array<Object>} context.parsedRemappings - Parsed remappings used for resolution
+ * @param {Array<string>} context.projectFiles - Paths of the submitted sources and uploaded library files
+ * @param {string} [context.openZeppelinVersion] - OpenZeppelin version for unversioned imports
+ * @returns {Promise<Array<string>>} Human-readable suggestions
+ */
+async function suggestImportFixes(entry, { storePath, parsedRemappings, projectFiles, openZeppelinVersion }) {
+  const suggestions = [];
+  const fileName = path.posix.basename(entry.resolvedPath);
+  const libraryRoot = importGraphService.getLibraryRoot(entry.resolvedPath);
+  const isRelative = entry.importPath.startsWith('./') || entry.importPath.startsWith('../');
+  const versionInfo = extractVersionInfo(entry.importPath);
+  
+  // Files with the same name in the submitted sources, or in the library the import points into, unless a
+  // versioned import fell through to the remapping of another version
+  const candidates = projectFiles.filter(file => path.posix.basename(file) === fileName);
+  const isOtherVersion = Boolean(versionInfo) && Boolean(libraryRoot) && !libraryRoot.endsWith(`-${versionInfo.version}`);
+  if (libraryRoot && !isOtherVersion && await fs.pathExists(path.join(storePath, libraryRoot))) {
+    const matches = await findSourceFiles(path.join(storePath, libraryRoot), { limit: 3, fileName });
+    candidates.push(...matches.map(match => `lib/${libraryRoot}/${match}`));
+  }
+  for (const candidate of candidates.slice(0, 3)) {
+    const suggestion = isRelative && !importGraphService.getLibraryRoot(candidate)
+      ? `./${path.posix.relative(path.posix.dirname(entry.from), candidate)}`.replace(/^\.\/\.\.\//, '../')
+      : toImportPath(candidate, parsedRemappings);
+    suggestions.push(`Did you mean "${suggestion}"?`);
+  }
+  
+  if (isRelative) {
+    if (suggestions.length === 0) {
+      suggestions.push(`No file exists at ${entry.resolvedPath}; check the relative path or add the file to sources`);
+    }
+    return suggestions;
+  }
+  
+  // Versioned imports of versions missing from the store
+  const storedVersions = [];
+  if (versionInfo) {
+    for (const dep of dependencies.default) {
+      if (dep.versionSuffix && dep.importPaths && dep.importPaths[`${versionInfo.fullPackage}/`] !== undefined &&
+          await fs.pathExists(path.join(storePath, dep.folderName))) {
+        storedVersions.push(dep.versionSuffix);
+      }
+    }
+    if (storedVersions.length > 0 && !storedVersions.includes(versionInfo.version)) {
+      suggestions.push(`${versionInfo.fullPackage}@${versionInfo.version} is not in the library store; available versions: ${storedVersions.join(', ')}`);
+    }
+  }
+  
+  // A versioned import may fall through to the unversioned library's remapping, which does not make it stored
+  const versionMissing = Boolean(versionInfo) && !storedVersions.includes(versionInfo.version);
+  if (versionMissing || !libraryRoot || !await fs.pathExists(path.join(storePath, libraryRoot))) {
+    const dependency = resolveDependency(entry.importPath, { openZeppelinVersion });
+    if (dependency) {
+      suggestions.push(`Not in the library store; ${dependency.github}@${dependency.version} will be installed when compiling`);
+    } else if (!entry.remapping) {
+      const prefix = `${entry.importPath.split('/')[0]}/`;
+      suggestions.push(`No remapping matches "${prefix}"; add one to remappings or upload the library in libraries`);
+    }
+  }
+  
+  return suggestions;
+}
+
+/**
+ * Describe how the imports of a compilation resolve, without compiling
+ * @param {Object<string, string>} sourceFiles - Project source files (project-relative path -> content)
+ * @param {Object} [options] - Resolution options
+ * @param {Array<string>} [options.remappings=[]] - Remappings that take precedence over the store's
+ * @param {Object<string, string>} [options.files={}] - Uploaded library files (project-relative path -> content)
+ * @param {string} [options.openZeppelinVersion] - OpenZeppelin version for unversioned imports (see inferOpenZeppelinVersion)
+ * @returns {Promise<Object>} Every reached file with its imports, the libraries they come from,
+ *   the remappings that were used and the unresolved imports with suggestions
+ */
+async function getImportReport(sourceFiles, options = {}) {
+  const storePath = getLibraryStorePath();
+  const uploadedFiles = options.files || {};
+  const graph = await getImportGraph(sourceFiles, options);
+  const parsedRemappings = [...await getLibraryStoreRemappings(), ...(options.remappings || [])]
+    .map(importGraphService.parseRemapping)
+    .filter(Boolean);
+  
+  // Library name and version, looked up once per library root
+  const libraries = new Map();
+  const describeLibrary = async (libraryRoot) => {
+    if (!libraryRoot) {
+      return null;
+    }
+    if (!libraries.has(libraryRoot)) {
+      const uploaded = Object.keys(uploadedFiles).some(file => importGraphService.getLibraryRoot(file) === libraryRoot);
+      const configured = uploaded ? null : dependencies.default.find(dep => dep.folderName === libraryRoot);
+      const libraryPath = path.join(storePath, libraryRoot);
+      const detected = uploaded || !await fs.pathExists(libraryPath) ? null : await detectLibraryVersion(libraryPath);
+      
+      libraries.set(libraryRoot, {
+        folderName: libraryRoot,
+        name: configured ? configured.name : libraryRoot,
+        version: detected ? detected.version : (configured ? configured.version : null),
+        source: uploaded ? 'uploaded' : 'store'
+      });
+    }
+    return libraries.get(libraryRoot);
+  };
+  
+  const files = [];
+  const usedRemappings = new Set();
+  for (const [file, node] of Object.entries(graph.files)) {
+    const fileLibrary = await describeLibrary(importGraphService.getLibraryRoot(file));
+    const imports = [];
+    
+    for (const imported of node.imports) {
+      const library = await describeLibrary(importGraphService.getLibraryRoot(imported.resolvedPath));
+      const resolved = Boolean(graph.files[imported.resolvedPath]);
+      if (imported.remapping) {
+        usedRemappings.add(imported.remapping);
+      }
+      
+      imports.push({
+        importPath: imported.importPath,
+        resolvedPath: imported.resolvedPath,
+        // Library files are read from the store; sources and uploaded libraries only exist in the request
+        diskPath: resolved && library && library.source === 'store'
+          ? path.join(storePath, imported.resolvedPath.slice('lib/'.length))
+          : null,
+        remapping: imported.remapping,
+        library: library ? library.folderName : null,
+        version: library ? library.version : null,
+        resolved
+      });
+    }
+    
+    files.push({
+      path: file,
+      origin: sourceFiles[file] !== undefined ? 'source' : fileLibrary.source,
+      library: fileLibrary ? fileLibrary.folderName : null,
+      imports
+    });
+  }
+  
+  const suggestionContext = {
+    storePath,
+    parsedRemappings,
+    projectFiles: [...Object.keys(sourceFiles), ...Object.keys(uploadedFiles)],
+    openZeppelinVersion: options.openZeppelinVersion
+  };
+  const unresolved = [];
+  for (const entry of graph.unresolved) {
+    unresolved.push({
+      importPath: entry.importPath,
+      from: entry.from,
+      resolvedPath: entry.resolvedPath,
+      remapping: entry.remapping,
+      suggestions: await suggestImportFixes(entry, suggestionContext)
+    });
+  }
+  
+  return {
+    files,
+    libraries: [...libraries.values()].filter(library => graph.libraries.includes(library.folderName)),
+    remappings: [...usedRemappings],
+    unresolved
+  };
+}
+
 module.exports = {
   installPreConfiguredDependencies,
   installDependenciesFromImports,
   installMinimalOpenZeppelinDependencies,
   processRemappings,
+  applyRemappingOverrides,
   extractVersionInfo,
+  inferOpenZeppelinVersion,
+  getOpenZeppelinRemappings,
+  getOpenZeppelinConstraints,
   verifyLibraryStructure,
   resolveDependency,
-  listInstalledDependencies: async () => {
-    // Stub implementation to avoid errors
-    return { count: 0, dependencies: [] };
-  }
+  getLibraryStorePath,
+  getImportGraph,
+  linkLibraries,
+  detectLibraryVersion,
+  detectGitCommit,
+  getLibraryRepository,
+  listInstalledDependencies,
+  getImportReport
 };
\ No newline at end of file
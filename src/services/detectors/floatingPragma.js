@@ -0,0 +1,29 @@
+/**
+ * Floating pragma detector
+ * Flags `pragma solidity` directives that allow more than one compiler version
+ */
+
+const { findAll } = require('../../utils/solidityAst');
+
+module.exports = {
+  id: 'floating-pragma',
+  title: 'Floating pragma',
+  description: 'The source can be compiled with compiler versions other than the one it was tested with. Lock the pragma to a single version for deployment.',
+  severity: 'informational',
+  confidence: 'high',
+  
+  /**
+   * @param {Object} context - Analysis context (see analysisService.analyze)
+   * @returns {Array<Object>} Findings
+   */
+  detect({ sourceUnits }) {
+    return sourceUnits.flatMap(({ ast }) => findAll(ast, 'PragmaDirective')
+      .filter(pragma => pragma.literals[0] === 'solidity')
+      .map(pragma => ({ pragma, version: pragma.literals.slice(1).join('') }))
+      .filter(({ version }) => !/^=?\d+\.\d+\.\d+$/.test(version))
+      .map(({ pragma, version }) => ({
+        node: pragma,
+        message: `pragma solidity ${version} is not locked to one compiler version`
+      })));
+  }
+};
\ No newline at end of file
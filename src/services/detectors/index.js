@@ -0,0 +1,15 @@
+/**
+ * Built-in static analysis detectors
+ * Each detector has an id, title, description, default severity and confidence, and a detect(context) function
+ * returning findings ({ node, message }, optionally with their own severity or confidence).
+ */
+
+module.exports = [
+  require('./reentrancy'),
+  require('./txOrigin'),
+  require('./uncheckedCall'),
+  require('./floatingPragma'),
+  require('./missingZeroCheck'),
+  require('./shadowing'),
+  require('./selfdestruct')
+];
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Missing zero-address check detector
+ * Flags address parameters stored in state variables without comparing them to anything first
+ */
+
+const { findAll, findStateWrites } = require('../../utils/solidityAst');
+
+/**
+ * Check whether an expression refers to a declaration
+ * @param {Object} expression - AST node
+ * @param {number} id - AST ID of the declaration
+ * @returns {boolean} True for identifiers of the declaration, also inside conversions such as payable(owner)
+ */
+function refersTo(expression, id) {
+  return findAll(expression, node => node.nodeType === 'Identifier' && node.referencedDeclaration === id).length > 0;
+}
+
+module.exports = {
+  id: 'missing-zero-check',
+  title: 'Missing zero-address check',
+  description: 'An address parameter is stored in state without a check, so a mistaken zero address can lock funds or ownership. Require it to be non-zero.',
+  severity: 'low',
+  confidence: 'medium',
+  
+  /**
+   * @param {Object} context - Analysis context (see analysisService.analyze)
+   * @returns {Array<Object>} Findings
+   */
+  detect({ functions, declarations }) {
+    const findings = [];
+    
+    for (const { node } of functions) {
+      const addressParameters = node.parameters.parameters.filter(parameter => /^address( payable)?$/.test(parameter.typeDescriptions.typeString));
+      // Comparisons and modifier arguments in the function count as checks
+      const checks = [
+        ...findAll(node.body, 'BinaryOperation'),
+        ...(node.modifiers || []).flatMap(modifier => modifier.arguments || [])
+      ];
+      
+      for (const parameter of addressParameters) {
+        if (checks.some(check => refersTo(check, parameter.id))) {
+          continue;
+        }
+        
+        for (const write of findStateWrites(node.body, declarations)) {
+          if (write.node.nodeType === 'Assignment' && refersTo(write.node.rightHandSide, parameter.id)) {
+            findings.push({
+              node: write.node,
+              message: `${node.name || node.kind} stores ${parameter.name} in ${write.variables.map(variable => variable.name).join(', ')} without checking it is not the zero address`
+            });
+          }
+        }
+      }
+    }
+    
+    return findings;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Reentrancy detector
+ * Flags external calls that are followed by state writes in the same function, the order reentrancy exploits
+ */
+
+const { findAll, parseSrc, getCallKind, findStateWrites } = require('../../utils/solidityAst');
+
+// Calls that hand over control with enough gas to reenter; send and transfer only forward 2300 gas
+const REENTRANT_CALL_KINDS = ['low-level', 'external'];
+
+module.exports = {
+  id: 'reentrancy',
+  title: 'State written after external call',
+  description: 'A function writes state variables after an external call, so the callee can reenter it and act on stale state. Write state before the call (checks-effects-interactions) or use a reentrancy guard.',
+  severity: 'high',
+  confidence: 'medium',
+  
+  /**
+   * @param {Object} context - Analysis context (see analysisService.analyze)
+   * @returns {Array<Object>} Findings
+   */
+  detect({ functions, declarations }) {
+    const findings = [];
+    
+    for (const { node } of functions) {
+      const guarded = (node.modifiers || []).some(modifier => /nonReentrant/i.test(modifier.modifierName.name));
+      if (guarded || ['view', 'pure'].includes(node.stateMutability)) {
+        continue;
+      }
+      
+      const writes = findStateWrites(node.body, declarations);
+      for (const call of findAll(node.body, 'FunctionCall')) {
+        if (!REENTRANT_CALL_KINDS.includes(getCallKind(call))) {
+          continue;
+        }
+        
+        const { start, length } = parseSrc(call.src);
+        const written = new Set(writes
+          .filter(write => parseSrc(write.node.src).start >= start + length)
+          .flatMap(write => write.variables.map(variable => variable.name)));
+        if (written.size > 0) {
+          findings.push({
+            node: call,
+            message: `${node.name || node.kind} writes ${[...written].join(', ')} after an external call`
+          });
+        }
+      }
+    }
+    
+    return findings;
+  }
+};
\ No newline at end of file
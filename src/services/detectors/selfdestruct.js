@@ -0,0 +1,29 @@
+/**
+ * selfdestruct detector
+ * Flags uses of selfdestruct, which is deprecated and no longer deletes code since the Cancun upgrade
+ */
+
+const { findAll } = require('../../utils/solidityAst');
+
+module.exports = {
+  id: 'selfdestruct',
+  title: 'Use of selfdestruct',
+  description: 'selfdestruct is deprecated, and since EIP-6780 it only sends the contract\'s ether unless called in the creating transaction. Whoever can reach it can drain the contract.',
+  severity: 'medium',
+  confidence: 'high',
+  
+  /**
+   * @param {Object} context - Analysis context (see analysisService.analyze)
+   * @returns {Array<Object>} Findings
+   */
+  detect({ functions }) {
+    return functions.flatMap(({ node }) => findAll(node.body, call =>
+      call.nodeType === 'FunctionCall'
+      && call.expression.nodeType === 'Identifier'
+      && ['selfdestruct', 'suicide'].includes(call.expression.name)
+    ).map(call => ({
+      node: call,
+      message: `${node.name || node.kind} calls ${call.expression.name}`
+    })));
+  }
+};
\ No newline at end of file
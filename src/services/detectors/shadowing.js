@@ -0,0 +1,68 @@
+/**
+ * Shadowing detector
+ * Flags state variables that redeclare a base contract's state variable, and local variables named like a state variable
+ */
+
+const { findAll } = require('../../utils/solidityAst');
+
+/**
+ * Get the state variables a contract declares
+ * @param {Object} contract - ContractDefinition node
+ * @returns {Array<Object>} VariableDeclaration nodes
+ */
+function getStateVariables(contract) {
+  return (contract.nodes || []).filter(node => node.nodeType === 'VariableDeclaration' && node.stateVariable);
+}
+
+module.exports = {
+  id: 'shadowing',
+  title: 'Shadowed state variable',
+  description: 'A declaration hides a state variable of the same name, so code that seems to use the state variable uses another variable. Rename one of them.',
+  severity: 'low',
+  confidence: 'high',
+  
+  /**
+   * @param {Object} context - Analysis context (see analysisService.analyze)
+   * @returns {Array<Object>} Findings
+   */
+  detect({ contracts, declarations }) {
+    const findings = [];
+    
+    for (const { node: contract } of contracts) {
+      const baseVariables = new Map();
+      for (const baseId of contract.linearizedBaseContracts.slice(1)) {
+        const base = declarations.get(baseId);
+        for (const variable of base ? getStateVariables(base) : []) {
+          if (!baseVariables.has(variable.name)) {
+            baseVariables.set(variable.name, base.name);
+          }
+        }
+      }
+      
+      // Redeclared state variables, which compilers before 0.6 allowed
+      const ownVariables = getStateVariables(contract);
+      for (const variable of ownVariables) {
+        if (baseVariables.has(variable.name)) {
+          findings.push({
+            node: variable,
+            severity: 'high',
+            message: `${contract.name}.${variable.name} shadows the state variable of ${baseVariables.get(variable.name)}`
+          });
+        }
+      }
+      
+      const stateNames = new Set([...baseVariables.keys(), ...ownVariables.map(variable => variable.name)]);
+      const members = (contract.nodes || []).filter(node => ['FunctionDefinition', 'ModifierDefinition'].includes(node.nodeType));
+      for (const member of members) {
+        for (const local of findAll(member, node => node.nodeType === 'VariableDeclaration' && !node.stateVariable && stateNames.has(node.name))) {
+          findings.push({
+            node: local,
+            message: `${local.name} in ${member.name || member.kind} shadows the state variable ${local.name}`
+          });
+        }
+      }
+    }
+    
+    return findings;
+  }
+};
\ No newline at end of file
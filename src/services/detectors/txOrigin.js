@@ -0,0 +1,31 @@
+/**
+ * tx.origin detector
+ * Flags comparisons with tx.origin, which authenticate whoever started the transaction instead of the caller
+ */
+
+const { findAll, isTxOrigin, isMsgSender } = require('../../utils/solidityAst');
+
+module.exports = {
+  id: 'tx-origin',
+  title: 'Authentication with tx.origin',
+  description: 'tx.origin is the account that started the transaction, so a contract the owner interacts with can pass a tx.origin check. Use msg.sender.',
+  severity: 'medium',
+  confidence: 'medium',
+  
+  /**
+   * @param {Object} context - Analysis context (see analysisService.analyze)
+   * @returns {Array<Object>} Findings
+   */
+  detect({ functions }) {
+    return functions.flatMap(({ node }) => findAll(node.body, comparison =>
+      comparison.nodeType === 'BinaryOperation'
+      && ['==', '!='].includes(comparison.operator)
+      && (isTxOrigin(comparison.leftExpression) || isTxOrigin(comparison.rightExpression))
+      // tx.origin == msg.sender is the usual check that the caller is an externally owned account
+      && !(isMsgSender(comparison.leftExpression) || isMsgSender(comparison.rightExpression))
+    ).map(comparison => ({
+      node: comparison,
+      message: `${node.name || node.kind} compares tx.origin to authenticate the caller`
+    })));
+  }
+};
\ No newline at end of file
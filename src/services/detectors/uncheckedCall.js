@@ -0,0 +1,38 @@
+/**
+ * Unchecked low-level call detector
+ * Flags low-level calls and sends whose success flag is discarded
+ */
+
+const { findAll, getCallKind } = require('../../utils/solidityAst');
+
+// Calls that report failure through their return value instead of reverting
+const UNCHECKED_CALL_KINDS = ['low-level', 'static', 'send'];
+
+module.exports = {
+  id: 'unchecked-call',
+  title: 'Unchecked low-level call',
+  description: 'Low-level calls and send return false instead of reverting when they fail. Check the returned success flag.',
+  severity: 'medium',
+  confidence: 'high',
+  
+  /**
+   * @param {Object} context - Analysis context (see analysisService.analyze)
+   * @returns {Array<Object>} Findings
+   */
+  detect({ functions }) {
+    return functions.flatMap(({ node }) => findAll(node.body, (call, parents) =>
+      call.nodeType === 'FunctionCall'
+      && parents[parents.length - 1].nodeType === 'ExpressionStatement'
+      && UNCHECKED_CALL_KINDS.includes(getCallKind(call))
+      // External view functions are static calls too, but revert on failure
+      && !/^t_function_external_/.test(call.expression.typeDescriptions.typeIdentifier)
+    ).map((call) => {
+      // Calls with {value: ...} or {gas: ...} wrap the member access in call options
+      const callee = call.expression.nodeType === 'FunctionCallOptions' ? call.expression.expression : call.expression;
+      return {
+        node: call,
+        message: `${node.name || node.kind} ignores whether the ${callee.memberName || 'low-level call'} succeeded`
+      };
+    }));
+  }
+};
\ No newline at end of file
@@ -0,0 +1,455 @@
+/**
+ * Docs Service
+ * Renders Markdown and HTML contract documentation from solc's NatSpec output and the source AST
+ */
+
+const logger = require('../utils/logger');
+
+// Output selectors the documentation needs beyond forge's default output, which already includes the AST
+const DOCS_OUTPUTS = ['userdoc', 'devdoc'];
+
+// Sections of a contract page, in page order
+const SECTIONS = [
+  { key: 'stateVariables', title: 'State Variables' },
+  { key: 'functions', title: 'Functions' },
+  { key: 'modifiers', title: 'Modifiers' },
+  { key: 'events', title: 'Events' },
+  { key: 'errors', title: 'Errors' }
+];
+
+const HTML_STYLE = 'body{font-family:system-ui,sans-serif;max-width:960px;margin:2rem auto;padding:0 1rem;line-height:1.5}'
+  + 'pre{background:#f4f4f4;padding:.75rem;overflow-x:auto}table{border-collapse:collapse}'
+  + 'th,td{border:1px solid #ccc;padding:.25rem .5rem;text-align:left}';
+
+/**
+ * Get the output selectors to request from forge for documentation
+ * @returns {Array<string>} Output selectors (see foundryService.compileContract's extraOutput)
+ */
+function getDocsOutputs() {
+  return DOCS_OUTPUTS;
+}
+
+/**
+ * Parse a NatSpec comment from the AST into the shape of solc's userdoc and devdoc entries
+ * Untagged text is the notice, and continuation lines belong to the tag above them.
+ * @param {Object} [documentation] - StructuredDocumentation node of the AST
+ * @param {Array<Object>} [returnParameters=[]] - Return parameters, which @return tags are matched to like solc does
+ * @returns {Object} { notice, details, title, author, params, returns }, each only when documented
+ */
+function parseNatSpec(documentation, returnParameters = []) {
+  const tags = [];
+  const text = documentation && typeof documentation === 'object' ? documentation.text : documentation;
+  
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.replace(/^\s*\*?/, '').trim();
+    const tag = line.match(/^@(\S+)\s*(.*)$/);
+    if (tag) {
+      tags.push({ tag: tag[1], text: tag[2] });
+    } else if (line && tags.length > 0) {
+      tags[tags.length - 1].text += ` ${line}`;
+    } else if (line) {
+      tags.push({ tag: 'notice', text: line });
+    }
+  }
+  
+  const natSpec = {};
+  let returnIndex = 0;
+  for (const { tag, text: value } of tags) {
+    const [word, ...rest] = value.split(/\s+/);
+    if (tag === 'param') {
+      natSpec.params = { ...natSpec.params, [word]: rest.join(' ') };
+    } else if (tag === 'return') {
+      // Like solc, a description starting with the name of its return variable is keyed by that name
+      const returnParameter = returnParameters[returnIndex];
+      const named = returnParameter && returnParameter.name && returnParameter.name === word;
+      const key = named ? word : `_${returnIndex}`;
+      natSpec.returns = { ...natSpec.returns, [key]: named ? rest.join(' ') : value };
+      returnIndex++;
+    } else if (tag === 'dev') {
+      natSpec.details = natSpec.details ? `${natSpec.details} ${value}` : value;
+    } else if (['notice', 'title', 'author'].includes(tag)) {
+      natSpec[tag] = natSpec[tag] ? `${natSpec[tag]} ${value}` : value;
+    }
+  }
+  
+  return natSpec;
+}
+
+/**
+ * Count the parameters of a canonical signature such as "f((uint256,address),bytes)"
+ * @param {string} signature - Canonical signature
+ * @returns {number} Number of top-level parameters
+ */
+function getArity(signature) {
+  const parameters = signature.slice(signature.indexOf('(') + 1, -1);
+  if (!parameters) {
+    return 0;
+  }
+  
+  let depth = 0;
+  let count = 1;
+  for (const char of parameters) {
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Find the NatSpec output entry of an event or error
+ * The AST does not carry canonical signatures of events and errors, so entries are matched by name and arity.
+ * @param {Object} [entries] - userdoc or devdoc entries keyed by canonical signature
+ * @param {Object} node - EventDefinition or ErrorDefinition node
+ * @returns {Object|undefined} Matching entry; of the several entries solc may list for an error, the first
+ */
+function findSignatureEntry(entries = {}, node) {
+  const arity = node.parameters.parameters.length;
+  const signature = Object.keys(entries).find(key => key.startsWith(`${node.name}(`) && getArity(key) === arity);
+  const entry = signature ? entries[signature] : undefined;
+  return Array.isArray(entry) ? entry[0] : entry;
+}
+
+/**
+ * Merge the documentation of one member from solc's NatSpec output and its AST comment
+ * The compiler output comes first, as it has @inheritdoc resolved; the AST comment documents members that are
+ * not in the output, such as internal functions and modifiers.
+ * @param {Object} sources - NatSpec sources of the member
+ * @param {Object} [sources.user] - userdoc entry
+ * @param {Object} [sources.dev] - devdoc entry
+ * @param {Object} [sources.node] - AST node with a documentation comment
+ * @param {Array<Object>} [sources.returnParameters] - Return parameters of the member
+ * @returns {Object} { notice, details, params, returns }
+ */
+function mergeNatSpec({ user = {}, dev = {}, node, returnParameters }) {
+  const ast = parseNatSpec(node && node.documentation, returnParameters);
+  return {
+    notice: user.notice || ast.notice,
+    details: dev.details || ast.details,
+    params: { ...ast.params, ...dev.params },
+    returns: { ...ast.returns, ...dev.returns }
+  };
+}
+
+/**
+ * Describe AST parameters with their NatSpec descriptions
+ * @param {Array<Object>} parameters - VariableDeclaration nodes
+ * @param {Object} [descriptions={}] - Descriptions by parameter name, or by "_<index>" for unnamed return values
+ * @returns {Array<{name: string, type: string, description: string}>} Parameters in declaration order
+ */
+function describeParameters(parameters, descriptions = {}) {
+  return parameters.map((parameter, index) => ({
+    name: parameter.name,
+    type: parameter.typeDescriptions.typeString,
+    indexed: Boolean(parameter.indexed),
+    description: descriptions[parameter.name] || descriptions[`_${index}`] || ''
+  }));
+}
+
+/**
+ * Format parameters as in a Solidity declaration
+ * @param {Array<Object>} parameters - Described parameters (see describeParameters)
+ * @returns {string} Comma-separated parameter list
+ */
+function formatParameterList(parameters) {
+  return parameters
+    .map(({ name, type, indexed }) => [type, indexed && 'indexed', name].filter(Boolean).join(' '))
+    .join(', ');
+}
+
+/**
+ * Describe the members a contract defines
+ * @param {Object} node - ContractDefinition node
+ * @param {Object} natSpec - NatSpec output of the contract
+ * @param {Object} natSpec.userdoc - userdoc output
+ * @param {Object} natSpec.devdoc - devdoc output
+ * @param {Object<string, string>} natSpec.signatures - Canonical function signatures by selector
+ * @returns {Object<string, Array<Object>>} Members by section (see SECTIONS)
+ */
+function describeMembers(node, { userdoc, devdoc, signatures }) {
+  const members = { stateVariables: [], functions: [], modifiers: [], events: [], errors: [] };
+  const userMethods = userdoc.methods || {};
+  const devMethods = devdoc.methods || {};
+  
+  for (const member of node.nodes || []) {
+    switch (member.nodeType) {
+      case 'VariableDeclaration': {
+        const getter = signatures[member.functionSelector];
+        const natSpec = mergeNatSpec({ user: userMethods[getter], dev: (devdoc.stateVariables || {})[member.name], node: member });
+        const mutability = member.mutability && member.mutability !== 'mutable' ? member.mutability : null;
+        members.stateVariables.push({
+          name: member.name,
+          code: [member.typeDescriptions.typeString, member.visibility, mutability, member.name].filter(Boolean).join(' '),
+          notice: natSpec.notice,
+          details: natSpec.details,
+          params: [],
+          returns: []
+        });
+        break;
+      }
+      case 'FunctionDefinition': {
+        const signature = member.kind === 'constructor' ? 'constructor' : signatures[member.functionSelector];
+        const returnParameters = member.returnParameters.parameters;
+        const natSpec = mergeNatSpec({ user: userMethods[signature], dev: devMethods[signature], node: member, returnParameters });
+        const params = describeParameters(member.parameters.parameters, natSpec.params);
+        const returns = describeParameters(returnParameters, natSpec.returns);
+        const name = member.kind === 'function' ? member.name : member.kind;
+        const mutability = member.stateMutability !== 'nonpayable' ? member.stateMutability : null;
+        const modifiers = (member.modifiers || []).map(modifier => modifier.modifierName.name);
+        members.functions.push({
+          name,
+          code: [
+            member.kind === 'function' ? `function ${name}(${formatParameterList(params)})` : `${name}(${formatParameterList(params)})`,
+            member.visibility,
+            mutability,
+            member.virtual && 'virtual',
+            ...modifiers,
+            returns.length > 0 && `returns (${formatParameterList(returns)})`
+          ].filter(Boolean).join(' '),
+          ...natSpec,
+          params,
+          returns
+        });
+        break;
+      }
+      case 'ModifierDefinition': {
+        const natSpec = mergeNatSpec({ node: member });
+        const params = describeParameters(member.parameters.parameters, natSpec.params);
+        members.modifiers.push({
+          name: member.name,
+          code: [`modifier ${member.name}(${formatParameterList(params)})`, member.virtual && 'virtual'].filter(Boolean).join(' '),
+          ...natSpec,
+          params,
+          returns: []
+        });
+        break;
+      }
+      case 'EventDefinition':
+      case 'ErrorDefinition': {
+        const isEvent = member.nodeType === 'EventDefinition';
+        const section = isEvent ? 'events' : 'errors';
+        const natSpec = mergeNatSpec({
+          user: findSignatureEntry(userdoc[section], member),
+          dev: findSignatureEntry(devdoc[section], member),
+          node: member
+        });
+        const params = describeParameters(member.parameters.parameters, natSpec.params);
+        members[section].push({
+          name: member.name,
+          code: `${isEvent ? 'event' : 'error'} ${member.name}(${formatParameterList(params)})${member.anonymous ? ' anonymous' : ''}`,
+          ...natSpec,
+          params,
+          returns: []
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  
+  return members;
+}
+
+/**
+ * Index the contract definitions of every source AST
+ * @param {Object} buildInfo - Forge build-info
+ * @returns {Map<string|number, Object>} ContractDefinition nodes by AST ID and by "path:Contract" name
+ */
+function indexContractDefinitions(buildInfo) {
+  const definitions = new Map();
+  for (const [sourceName, source] of Object.entries(buildInfo.output.sources || {})) {
+    for (const node of (source.ast && source.ast.nodes) || []) {
+      if (node.nodeType === 'ContractDefinition') {
+        definitions.set(node.id, node);
+        definitions.set(`${sourceName}:${node.name}`, node);
+      }
+    }
+  }
+  return definitions;
+}
+
+/**
+ * Describe a compiled contract for its documentation page
+ * @param {string} sourceName - Source file of the contract
+ * @param {string} contractName - Contract name
+ * @param {Object} contract - solc contract output
+ * @param {Map<string|number, Object>} definitions - Contract definitions (see indexContractDefinitions)
+ * @returns {Object} Contract description
+ */
+function describeContract(sourceName, contractName, contract, definitions) {
+  const node = definitions.get(`${sourceName}:${contractName}`);
+  const userdoc = contract.userdoc || {};
+  const devdoc = contract.devdoc || {};
+  const ast = parseNatSpec(node && node.documentation);
+  
+  const signatures = {};
+  for (const [signature, selector] of Object.entries((contract.evm && contract.evm.methodIdentifiers) || {})) {
+    signatures[selector] = signature;
+  }
+  
+  if (!node) {
+    logger.debug(`No AST for ${sourceName}:${contractName}; its documentation only has contract-level NatSpec`);
+  }
+  
+  return {
+    name: contractName,
+    sourceName,
+    kind: node ? `${node.abstract ? 'abstract ' : ''}${node.contractKind}` : 'contract',
+    title: devdoc.title || ast.title,
+    author: devdoc.author || ast.author,
+    notice: userdoc.notice || ast.notice,
+    details: devdoc.details || ast.details,
+    // Base contracts in linearization order, most derived first
+    inherits: node
+      ? node.linearizedBaseContracts.slice(1).map(id => (definitions.get(id) || { name: `#${id}` }).name)
+      : [],
+    ...describeMembers(node || {}, { userdoc, devdoc, signatures })
+  };
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Text without pipes and line breaks
+ */
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Render a contract description as Markdown
+ * @param {Object} description - Contract description (see describeContract)
+ * @returns {string} Markdown page
+ */
+function renderMarkdown(description) {
+  const paragraph = text => (text ? [text, ''] : []);
+  const lines = [
+    `# ${description.name}`,
+    '',
+    `${description.kind} in \`${description.sourceName}\``,
+    '',
+    ...paragraph(description.title && `**${description.title}**`),
+    ...paragraph(description.author && `Author: ${description.author}`),
+    ...paragraph(description.notice),
+    ...paragraph(description.details),
+    ...paragraph(description.inherits.length > 0 && `**Inherits:** ${description.inherits.join(', ')}`)
+  ];
+  
+  for (const { key, title } of SECTIONS) {
+    if (description[key].length === 0) {
+      continue;
+    }
+    
+    lines.push(`## ${title}`, '');
+    for (const member of description[key]) {
+      lines.push(`### ${member.name}`, '', '```solidity', member.code, '```', '', ...paragraph(member.notice), ...paragraph(member.details));
+      
+      for (const [heading, parameters] of [['Parameter', member.params], ['Return', member.returns]]) {
+        if (parameters.length === 0) {
+          continue;
+        }
+        lines.push(`| ${heading} | Type | Description |`, '|---|---|---|');
+        for (const { name, type, description: text } of parameters) {
+          lines.push(`| ${name ? `\`${name}\`` : ''} | \`${type}\` | ${escapeTableCell(text)} |`);
+        }
+        lines.push('');
+      }
+    }
+  }
+  
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render a contract description as a standalone HTML page
+ * @param {Object} description - Contract description (see describeContract)
+ * @returns {string} HTML document
+ */
+function renderHtml(description) {
+  const paragraph = text => (text ? `<p>${escapeHtml(text)}</p>` : '');
+  const body = [
+    `<h1>${escapeHtml(description.name)}</h1>`,
+    `<p><em>${escapeHtml(description.kind)}</em> in <code>${escapeHtml(description.sourceName)}</code></p>`,
+    description.title ? `<p><strong>${escapeHtml(description.title)}</strong></p>` : '',
+    description.author ? `<p>Author: ${escapeHtml(description.author)}</p>` : '',
+    paragraph(description.notice),
+    paragraph(description.details),
+    description.inherits.length > 0 ? `<p><strong>Inherits:</strong> ${escapeHtml(description.inherits.join(', '))}</p>` : ''
+  ];
+  
+  for (const { key, title } of SECTIONS) {
+    if (description[key].length === 0) {
+      continue;
+    }
+    
+    body.push(`<h2>${title}</h2>`);
+    for (const member of description[key]) {
+      body.push(`<h3>${escapeHtml(member.name)}</h3>`, `<pre><code>${escapeHtml(member.code)}</code></pre>`);
+      body.push(paragraph(member.notice), paragraph(member.details));
+      
+      for (const [heading, parameters] of [['Parameter', member.params], ['Return', member.returns]]) {
+        if (parameters.length === 0) {
+          continue;
+        }
+        const rows = parameters.map(({ name, type, description: text }) =>
+          `<tr><td><code>${escapeHtml(name)}</code></td><td><code>${escapeHtml(type)}</code></td><td>${escapeHtml(text)}</td></tr>`);
+        body.push(`<table><tr><th>${heading}</th><th>Type</th><th>Description</th></tr>${rows.join('')}</table>`);
+      }
+    }
+  }
+  
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    `<head><meta charset="utf-8"><title>${escapeHtml(description.name)}</title><style>${HTML_STYLE}</style></head>`,
+    '<body>',
+    ...body.filter(Boolean),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate the documentation of every contract in a build
+ * Each page documents the members its contract defines; inherited members are on the pages of the base contracts.
+ * @param {Object} buildInfo - Forge build-info ({ input, output }) with userdoc and devdoc output
+ * @param {Array<string>} formats - Formats to render ("markdown", "html")
+ * @returns {Object<string, Object<string, string>>} "path:Contract" -> format -> page
+ */
+function generateDocs(buildInfo, formats) {
+  const definitions = indexContractDefinitions(buildInfo);
+  const docs = {};
+  
+  for (const [sourceName, contracts] of Object.entries(buildInfo.output.contracts || {})) {
+    for (const [contractName, contract] of Object.entries(contracts)) {
+      const description = describeContract(sourceName, contractName, contract, definitions);
+      docs[`${sourceName}:${contractName}`] = {
+        ...(formats.includes('markdown') && { markdown: renderMarkdown(description) }),
+        ...(formats.includes('html') && { html: renderHtml(description) })
+      };
+    }
+  }
+  
+  logger.debug(`Generated ${formats.join(', ')} documentation for ${Object.keys(docs).length} contracts`);
+  return docs;
+}
+
+module.exports = {
+  getDocsOutputs,
+  generateDocs
+};
\ No newline at end of file
@@ -9,6 +9,8 @@ const fs = require('fs-extra');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const { ApiError } = require('../middleware/errorHandler');
+const diagnostics = require('../utils/diagnostics');
+const solidityParser = require('../utils/solidityParser');
 
 /**
  * Verifies that Foundry is installed and accessible
@@ -29,35 +31,66 @@ async function verifyFoundryInstallation() {
  * Runs a Foundry command
  * @param {Array<string>} args - Command arguments
  * @param {Object} options - Command options
+ * @param {number} [options.timeout] - Kill the command after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Kills the command when aborted
+ * @param {Function} [options.onOutput] - Called with (stream, chunk) for every stdout/stderr chunk
  * @returns {Promise<{stdout: string, stderr: string}>} Command output
  */
 async function runFoundryCommand(args = [], options = {}) {
+  const { timeout, signal, onOutput, ...spawnOptions } = options;
+  
   return new Promise((resolve, reject) => {
     const forgeCmd = process.platform === 'win32' ? 'forge.exe' : 'forge';
     const forgePath = path.join(config.foundry.binPath, forgeCmd);
     
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    
+    // Spawn forge directly (no shell) so that timeouts and cancellation signal forge itself
     const command = spawn(forgePath, args, {
-      ...options,
-      shell: true,
-      env: { ...process.env, ...options.env },
+      ...spawnOptions,
+      env: { ...process.env, ...spawnOptions.env },
     });
     
     const stdout = [];
     const stderr = [];
+    let timer = null;
+    
+    const onAbort = () => {
+      logger.info(`Killing forge process ${command.pid}: compilation cancelled`);
+      command.kill('SIGTERM');
+      reject(createAbortError());
+    };
+    
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
     
     command.stdout.on('data', (data) => {
       const output = data.toString();
       stdout.push(output);
       logger.debug(`Forge stdout: ${output}`);
+      if (onOutput) {
+        onOutput('stdout', output);
+      }
     });
     
     command.stderr.on('data', (data) => {
       const output = data.toString();
       stderr.push(output);
       logger.debug(`Forge stderr: ${output}`);
+      if (onOutput) {
+        onOutput('stderr', output);
+      }
     });
     
     command.on('close', (code) => {
+      cleanup();
       if (code === 0) {
         resolve({
           stdout: stdout.join(''),
@@ -72,26 +105,44 @@ async function runFoundryCommand(args = [], options = {}) {
     });
     
     command.on('error', (error) => {
+      cleanup();
       logger.error(`Failed to spawn forge command: ${error.message}`);
       reject(error);
     });
     
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
     // Handle timeout
-    if (options.timeout) {
-      setTimeout(() => {
+    if (timeout) {
+      timer = setTimeout(() => {
         command.kill();
         const error = new Error('Forge command timed out');
         error.name = 'TimeoutError';
         reject(error);
-      }, options.timeout);
+      }, timeout);
     }
   });
 }
 
+/**
+ * Create the error used when a forge command is cancelled
+ * @returns {Error} Abort error
+ */
+function createAbortError() {
+  const error = new Error('Forge command was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
 /**
  * Compiles a contract using Foundry
  * @param {string} projectPath - Path to the project directory
  * @param {Object} options - Compilation options
+ * @param {Array<string>} [options.libraries=[]] - Deployed libraries to link, as "file:Library:address"
+ * @param {Array<string>} [options.extraOutput=[]] - Output selectors passed to forge as --extra-output
+ *   (e.g. "storageLayout" or "evm.bytecode.sourceMap")
  * @returns {Promise<Object>} Compilation result
  */
 async function compileContract(projectPath, options = {}) {
@@ -100,6 +151,12 @@ async function compileContract(projectPath, options = {}) {
     evmVersion = config.foundry.defaultEvmVersion,
     optimize = true,
     optimizeRuns = 200,
+    solcPath,
+    libraries = [],
+    extraOutput = [],
+    paths = [],
+    signal,
+    onOutput,
   } = options;
   
   logger.info(`Compiling contract with Solidity v${solidityVersion}, EVM ${evmVersion}`);
@@ -108,11 +165,17 @@ async function compileContract(projectPath, options = {}) {
     // Set up Foundry command arguments
     const args = ['build', '--build-info'];
     
-    // Handle Solidity version
-    if (solidityVersion && solidityVersion !== 'latest') {
+    // Handle Solidity version: prefer the installed binary, otherwise let forge fetch it
+    if (solcPath) {
+      args.push('--use', solcPath);
+    } else if (solidityVersion && solidityVersion !== 'latest') {
       args.push('--use', `solc:${solidityVersion}`);
     }
     
+    if (config.foundry.offline) {
+      args.push('--offline');
+    }
+    
     // Handle EVM version
     args.push('--evm-version', evmVersion);
     
@@ -122,13 +185,29 @@ async function compileContract(projectPath, options = {}) {
       args.push('--optimizer-runs', optimizeRuns.toString());
     }
     
+    // Library addresses and extra outputs; "=" keeps each flag to a single value so the source paths that follow
+    // are not taken as values
+    for (const library of libraries) {
+      args.push(`--libraries=${library}`);
+    }
+    for (const selector of extraOutput) {
+      args.push(`--extra-output=${selector}`);
+    }
+    
     // Add verbosity for better debugging
     args.push('-v');
     
+    // Restrict the build to explicit source files (multi-file projects outside src/)
+    if (paths.length > 0) {
+      args.push(...paths);
+    }
+    
     // Execute forge build command
     const { stdout, stderr } = await runFoundryCommand(args, {
       cwd: projectPath,
       timeout: config.foundry.timeout,
+      signal,
+      onOutput,
     });
     
     // Check if build-info file was generated
@@ -147,13 +226,26 @@ async function compileContract(projectPath, options = {}) {
       success: true,
       output: stdout,
       warnings: stderr,
+      diagnostics: diagnostics.parseForgeOutput(`${stdout}\n${stderr}`),
     };
   } catch (error) {
+    // Cancellation is not a compilation failure
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    
     logger.error('Contract compilation failed:', error);
     
+    // Forge failing to start (e.g. a missing binary) is a server error, not a problem with the contract
+    if (error.stderr === undefined && error.name !== 'TimeoutError') {
+      throw new ApiError(`Failed to run forge: ${error.message}`, 500);
+    }
+    
     // Format the error message
     const errorMsg = error.stderr || error.message;
-    throw new ApiError(`Compilation failed: ${errorMsg}`, 400);
+    throw new ApiError(`Compilation failed: ${errorMsg}`, 400, {
+      diagnostics: diagnostics.parseForgeOutput(`${error.stdout || ''}\n${error.stderr || ''}`)
+    });
   }
 }
 
@@ -195,9 +287,11 @@ async function installDependency(projectPath, repo, version = 'main') {
 }
 
 /**
- * Extracts import statements from contract code
+ * Extracts import paths from contract code
+ * Imports are found with the Solidity tokenizer, so imports in comments and strings are ignored
+ * and multi-line imports are found.
  * @param {string} contractCode - Solidity contract code
- * @returns {Array<string>} Array of import paths
+ * @returns {Array<string>} Array of import paths, in source order
  */
 function extractImports(contractCode) {
   if (!contractCode || typeof contractCode !== 'string') {
@@ -205,37 +299,7 @@ function extractImports(contractCode) {
     return [];
   }
   
-  // Match different types of import statements in Solidity
-  const importRegex = /import\s+(?:{[^}]*}|"[^"]*"|'[^']*'|[^;]*)\s*(?:from\s+)?["']([^"']+)["'];/g;
-  const matches = [];
-  let match;
-  
-  try {
-    while ((match = importRegex.exec(contractCode)) !== null) {
-      if (match[1]) {
-        matches.push(match[1]);
-      }
-    }
-  } catch (error) {
-    logger.error(`Error extracting imports: ${error.message}`);
-  }
-  
-  // If no imports found with regex, try a simpler approach
-  if (matches.length === 0) {
-    logger.debug('No imports found with regex. Trying simple approach...');
-    
-    // Split by lines and look for import statements
-    const lines = contractCode.split('\n');
-    for (const line of lines) {
-      if (line.trim().startsWith('import ')) {
-        // Extract path between quotes
-        const quotedContent = line.match(/["']([^"']+)["']/);
-        if (quotedContent && quotedContent[1]) {
-          matches.push(quotedContent[1]);
-        }
-      }
-    }
-  }
+  const matches = solidityParser.parseDirectives(contractCode).imports.map(directive => directive.path);
   
   logger.debug(`Extracted ${matches.length} imports:`, matches);
   return matches;
@@ -0,0 +1,177 @@
+/**
+ * Import Graph Service
+ * Resolves Solidity imports through remappings and walks the import graph of a compilation
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const foundryService = require('./foundryService');
+const solcVersion = require('../utils/solcVersion');
+
+/**
+ * Parse a remapping string
+ * @param {string} remapping - Remapping in "[context:]prefix=target" form
+ * @returns {{context: string, prefix: string, target: string}|null} Parsed remapping or null if malformed
+ */
+function parseRemapping(remapping) {
+  const separatorIndex = remapping.indexOf('=');
+  if (separatorIndex === -1) {
+    return null;
+  }
+  
+  const key = remapping.slice(0, separatorIndex).trim();
+  const target = remapping.slice(separatorIndex + 1).trim();
+  const contextIndex = key.indexOf(':');
+  
+  return {
+    context: contextIndex === -1 ? '' : key.slice(0, contextIndex),
+    prefix: contextIndex === -1 ? key : key.slice(contextIndex + 1),
+    target
+  };
+}
+
+/**
+ * Format a parsed remapping back into "[context:]prefix=target" form
+ * @param {Object} remapping - Parsed remapping (see parseRemapping)
+ * @returns {string} Remapping string
+ */
+function formatRemapping({ context, prefix, target }) {
+  return `${context ? `${context}:` : ''}${prefix}=${target}`;
+}
+
+/**
+ * Find the remapping solc applies to an import
+ * The remapping with the longest matching context, then the longest matching prefix, wins;
+ * on a tie the last one wins.
+ * @param {string} importPath - Path as written in the import statement
+ * @param {string} fromFile - Project-relative path of the importing file
+ * @param {Array<Object>} remappings - Parsed remappings (see parseRemapping)
+ * @returns {Object|null} The matching parsed remapping, or null if none applies
+ */
+function findRemapping(importPath, fromFile, remappings = []) {
+  let best = null;
+  for (const remapping of remappings) {
+    if (!remapping || !importPath.startsWith(remapping.prefix)) {
+      continue;
+    }
+    if (remapping.context && !fromFile.startsWith(remapping.context)) {
+      continue;
+    }
+    
+    if (!best ||
+        remapping.context.length > best.context.length ||
+        (remapping.context.length === best.context.length && remapping.prefix.length >= best.prefix.length)) {
+      best = remapping;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Resolve an import to a project-relative path, the way solc applies remappings
+ * Relative imports are resolved against the importing file; all others go through findRemapping.
+ * @param {string} importPath - Path as written in the import statement
+ * @param {string} fromFile - Project-relative path of the importing file
+ * @param {Array<Object>} remappings - Parsed remappings (see parseRemapping)
+ * @returns {string} Project-relative path of the imported file
+ */
+function resolveImport(importPath, fromFile, remappings = []) {
+  if (importPath.startsWith('./') || importPath.startsWith('../')) {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), importPath));
+  }
+  
+  const remapping = findRemapping(importPath, fromFile, remappings);
+  const resolved = remapping ? remapping.target + importPath.slice(remapping.prefix.length) : importPath;
+  return path.posix.normalize(resolved);
+}
+
+/**
+ * Get the library directory a project-relative path belongs to
+ * @param {string} filePath - Project-relative path
+ * @returns {string|null} Library directory name (e.g. "openzeppelin-contracts-4.9.5"), or null outside lib/
+ */
+function getLibraryRoot(filePath) {
+  const match = filePath.match(/^lib\/([^/]+)\//);
+  return match ? match[1] : null;
+}
+
+/**
+ * Walk the import graph of a compilation, reading library files from the shared library store
+ * @param {Object} options - Graph options
+ * @param {Object<string, string>} options.sources - Project source files (project-relative path -> content)
+ * @param {Object<string, string>} [options.files={}] - Other project files imports may reach, such as uploaded
+ *   libraries; unlike sources they are only part of the graph when imported
+ * @param {Array<string>} [options.remappings=[]] - Remappings in "[context:]prefix=target" form
+ * @param {string} options.libPath - Library store directory that project paths under lib/ are read from
+ * @returns {Promise<{files: Object, libraries: Array<string>, unresolved: Array<Object>}>}
+ *   Every reached file with its resolved imports (and the remapping each went through) and version pragmas,
+ *   the library roots reached, and imports that could not be found
+ */
+async function buildImportGraph({ sources, files: projectFiles = {}, remappings = [], libPath }) {
+  const parsedRemappings = remappings.map(parseRemapping).filter(Boolean);
+  const files = {};
+  const libraries = new Set();
+  const unresolved = [];
+  const queue = Object.keys(sources).map(file => ({ file }));
+  
+  while (queue.length > 0) {
+    const { file, importPath, from, remapping } = queue.shift();
+    if (files[file]) {
+      continue;
+    }
+    
+    let content = sources[file] !== undefined ? sources[file] : projectFiles[file];
+    const libraryRoot = getLibraryRoot(file);
+    
+    if (content === undefined && libraryRoot) {
+      const libraryFile = path.join(libPath, file.slice('lib/'.length));
+      if (await fs.pathExists(libraryFile)) {
+        content = await fs.readFile(libraryFile, 'utf8');
+      }
+    }
+    
+    if (content === undefined) {
+      unresolved.push({ importPath, from, resolvedPath: file, remapping });
+      continue;
+    }
+    
+    if (libraryRoot) {
+      libraries.add(libraryRoot);
+    }
+    
+    const imports = foundryService.extractImports(content).map((imported) => {
+      const isRelative = imported.startsWith('./') || imported.startsWith('../');
+      const remapping = isRelative ? null : findRemapping(imported, file, parsedRemappings);
+      
+      return {
+        importPath: imported,
+        resolvedPath: resolveImport(imported, file, parsedRemappings),
+        remapping: remapping ? formatRemapping(remapping) : null
+      };
+    });
+    
+    files[file] = { imports, pragmas: solcVersion.extractPragmas(content) };
+    for (const imported of imports) {
+      queue.push({ file: imported.resolvedPath, importPath: imported.importPath, from: file, remapping: imported.remapping });
+    }
+  }
+  
+  logger.debug(`Import graph: ${Object.keys(files).length} files, ${libraries.size} libraries, ${unresolved.length} unresolved imports`);
+  
+  return {
+    files,
+    libraries: [...libraries].sort(),
+    unresolved
+  };
+}
+
+module.exports = {
+  parseRemapping,
+  formatRemapping,
+  findRemapping,
+  resolveImport,
+  getLibraryRoot,
+  buildImportGraph
+};
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * Job Service
+ * In-memory registry of compilation jobs with a concurrency-limited queue
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { ApiError } = require('../middleware/errorHandler');
+
+// All known jobs by ID (queued, running and recently finished)
+const jobs = new Map();
+
+// Jobs waiting for a free compilation slot, in submission order
+const pendingJobs = [];
+
+let activeJobs = 0;
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Maximum number of progress events kept per job for late subscribers
+const MAX_JOB_EVENTS = 1000;
+
+/**
+ * Convert a job error to its public JSON representation
+ * @param {Error} error - Error the job failed with
+ * @returns {Object} Message, status code and any error details (e.g. diagnostics)
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    statusCode: error.statusCode || 500,
+    ...error.details
+  };
+}
+
+/**
+ * Record a progress event for a job and notify its subscribers
+ * @param {Object} job - Job
+ * @param {string} type - Event type (e.g. 'status', 'phase', 'output', 'done')
+ * @param {Object} [data={}] - Event payload
+ * @returns {Object} The recorded event
+ */
+function emitJobEvent(job, type, data = {}) {
+  const event = {
+    id: ++job.lastEventId,
+    type,
+    data,
+    timestamp: new Date().toISOString()
+  };
+  
+  job.events.push(event);
+  if (job.events.length > MAX_JOB_EVENTS) {
+    job.events.shift();
+  }
+  
+  job.emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Remove a finished job from the registry once its retention period has passed
+ * @param {Object} job - Finished job
+ */
+function scheduleRemoval(job) {
+  const timer = setTimeout(() => {
+    jobs.delete(job.id);
+    logger.debug(`Removed expired job ${job.id}`);
+  }, config.jobs.retentionMs);
+  
+  // Never keep the process alive just to expire jobs
+  timer.unref();
+}
+
+/**
+ * Mark a job as finished and settle its promise
+ * @param {Object} job - Job to finish
+ * @param {string} status - Final status
+ * @param {Object} outcome - { result } or { error }
+ */
+function finishJob(job, status, { result, error } = {}) {
+  job.status = status;
+  job.finishedAt = new Date();
+  
+  if (status === 'succeeded') {
+    job.result = result;
+    job.resolve(result);
+  } else {
+    job.error = error;
+    job.reject(error);
+  }
+  
+  logger.info(`Job ${job.id} ${status}`);
+  emitJobEvent(job, 'done', {
+    status,
+    ...(error && { error: serializeError(error) })
+  });
+  scheduleRemoval(job);
+}
+
+/**
+ * Start queued jobs while compilation slots are available
+ */
+function processNextJob() {
+  while (pendingJobs.length > 0 && activeJobs < config.limits.maxConcurrentCompilations) {
+    const job = pendingJobs.shift();
+    activeJobs++;
+    
+    job.status = 'running';
+    job.startedAt = new Date();
+    logger.info(`Job ${job.id} started`);
+    emitJobEvent(job, 'status', { status: 'running' });
+    
+    const emit = (type, data) => emitJobEvent(job, type, data);
+    
+    Promise.resolve()
+      .then(() => job.task({ signal: job.controller.signal, job, emit }))
+      .then(result => {
+        if (job.controller.signal.aborted) {
+          finishJob(job, 'cancelled', { error: new ApiError('Compilation job was cancelled', 409) });
+        } else {
+          finishJob(job, 'succeeded', { result });
+        }
+      })
+      .catch(error => {
+        if (job.controller.signal.aborted) {
+          finishJob(job, 'cancelled', { error: new ApiError('Compilation job was cancelled', 409) });
+        } else {
+          finishJob(job, 'failed', { error });
+        }
+      })
+      .finally(() => {
+        activeJobs--;
+        processNextJob();
+      });
+  }
+}
+
+/**
+ * Build a new job object in the queued state
+ * @param {Function|null} task - Task to run (see createJob)
+ * @param {Object} options - Job type and description
+ * @returns {Object} Job
+ */
+function createJobRecord(task, { type, description }) {
+  const job = {
+    id: uuidv4(),
+    type,
+    description,
+    status: 'queued',
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    task,
+    controller: new AbortController(),
+    events: [],
+    lastEventId: 0,
+    emitter: new EventEmitter()
+  };
+  
+  // Every stream client subscribes to the job's emitter
+  job.emitter.setMaxListeners(0);
+  
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  
+  // Async callers may never await the promise, so failures must not become unhandled rejections
+  job.promise.catch(() => {});
+  
+  return job;
+}
+
+/**
+ * Create a job and queue it to run when resources are available
+ * @param {Function} task - Async function receiving { signal, job, emit } that performs the work
+ * @param {Object} [options] - Job options
+ * @param {string} [options.type='compile'] - Job type
+ * @param {string} [options.description] - Human readable description
+ * @returns {Object} The created job; `job.promise` settles with the task's result
+ */
+function createJob(task, { type = 'compile', description } = {}) {
+  const job = createJobRecord(task, { type, description });
+  
+  jobs.set(job.id, job);
+  pendingJobs.push(job);
+  emitJobEvent(job, 'status', { status: 'queued', queuePosition: pendingJobs.length });
+  processNextJob();
+  
+  return job;
+}
+
+/**
+ * Register a job that is already finished, bypassing the queue
+ * Used when a result is available without doing any work (e.g. a cache hit).
+ * @param {*} result - Job result
+ * @param {Object} [options] - Job type and description (see createJob)
+ * @returns {Object} The succeeded job
+ */
+function createCompletedJob(result, { type = 'compile', description } = {}) {
+  const job = createJobRecord(null, { type, description });
+  
+  jobs.set(job.id, job);
+  job.startedAt = job.createdAt;
+  finishJob(job, 'succeeded', { result });
+  
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job or null if unknown or expired
+ */
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Get all jobs in the registry
+ * @returns {Array<Object>} Jobs ordered by creation time
+ */
+function listJobs() {
+  return [...jobs.values()];
+}
+
+/**
+ * Get the 1-based position of a queued job, or 0 if it is not waiting
+ * @param {Object} job - Job
+ * @returns {number} Queue position
+ */
+function getQueuePosition(job) {
+  return pendingJobs.indexOf(job) + 1;
+}
+
+/**
+ * Cancel a queued or running job. Running jobs are aborted, which kills the spawned forge process.
+ * @param {string} id - Job ID
+ * @returns {Object} The cancelled job
+ */
+function cancelJob(id) {
+  const job = getJob(id);
+  
+  if (!job) {
+    throw new ApiError(`Job not found: ${id}`, 404);
+  }
+  
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw new ApiError(`Job ${id} has already finished with status "${job.status}"`, 409);
+  }
+  
+  if (job.status === 'queued') {
+    pendingJobs.splice(pendingJobs.indexOf(job), 1);
+    job.controller.abort();
+    finishJob(job, 'cancelled', { error: new ApiError('Compilation job was cancelled', 409) });
+  } else {
+    // The running task observes the signal; the job is finished when the task settles
+    logger.info(`Cancelling running job ${id}`);
+    job.controller.abort();
+  }
+  
+  return job;
+}
+
+/**
+ * Subscribe to a job's progress events
+ * Events already recorded are replayed first, so late subscribers see the full history.
+ * @param {Object} job - Job
+ * @param {Function} listener - Called with each event ({ id, type, data, timestamp })
+ * @param {Object} [options] - Subscription options
+ * @param {number} [options.afterEventId=0] - Skip events up to and including this ID (for reconnects)
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(job, listener, { afterEventId = 0 } = {}) {
+  for (const event of job.events) {
+    if (event.id > afterEventId) {
+      listener(event);
+    }
+  }
+  
+  job.emitter.on('event', listener);
+  return () => job.emitter.removeListener('event', listener);
+}
+
+/**
+ * Check whether a job has reached a final status
+ * @param {Object} job - Job
+ * @returns {boolean} True if the job succeeded, failed or was cancelled
+ */
+function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Get queue statistics
+ * @returns {{active: number, queued: number, total: number}} Job counts
+ */
+function getStats() {
+  return {
+    active: activeJobs,
+    queued: pendingJobs.length,
+    total: jobs.size
+  };
+}
+
+/**
+ * Convert a job to its public JSON representation
+ * @param {Object} job - Job
+ * @param {Object} [options] - Serialization options
+ * @param {boolean} [options.includeResult=true] - Include the result or error of finished jobs
+ * @returns {Object} Serializable job summary
+ */
+function serializeJob(job, { includeResult = true } = {}) {
+  const now = Date.now();
+  const startedAt = job.startedAt ? job.startedAt.getTime() : null;
+  const finishedAt = job.finishedAt ? job.finishedAt.getTime() : null;
+  
+  return {
+    id: job.id,
+    type: job.type,
+    ...(job.description && { description: job.description }),
+    status: job.status,
+    queuePosition: getQueuePosition(job),
+    cancelRequested: job.controller.signal.aborted && !FINISHED_STATUSES.includes(job.status),
+    timings: {
+      createdAt: job.createdAt.toISOString(),
+      startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+      finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+      queuedMs: (startedAt || finishedAt || now) - job.createdAt.getTime(),
+      runningMs: startedAt ? (finishedAt || now) - startedAt : null
+    },
+    ...(includeResult && job.status === 'succeeded' && { result: job.result }),
+    ...(includeResult && job.error && { error: serializeError(job.error) })
+  };
+}
+
+module.exports = {
+  createJob,
+  createCompletedJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  getQueuePosition,
+  getStats,
+  serializeJob,
+  emitJobEvent,
+  subscribeToJob,
+  isJobFinished
+};
\ No newline at end of file
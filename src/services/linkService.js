@@ -0,0 +1,68 @@
+/**
+ * Link Service
+ * Replaces the library placeholders of unlinked bytecode with deployed library addresses
+ */
+
+const logger = require('../utils/logger');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Library addresses take up 20 bytes of bytecode
+const ADDRESS_LENGTH = 20;
+
+/**
+ * Link deployed libraries into bytecode
+ * Libraries without an address keep their placeholders and stay in the returned link references, so bytecode can be
+ * linked in several steps.
+ * @param {Object} options - Link options
+ * @param {string} options.bytecode - Unlinked bytecode, with or without 0x prefix
+ * @param {Object<string, Object<string, Array<{start: number, length: number}>>>} options.linkReferences - Placeholder
+ *   byte offsets by source file and library, as in a compiled contract's linkReferences
+ * @param {Object<string, string>} options.libraries - Deployed library addresses by "file:Library" reference
+ * @returns {{bytecode: string, linked: Array<string>, linkReferences: Object}} Linked bytecode, the references that
+ *   were linked and the link references that are left
+ * @throws {ApiError} 422 if a link reference does not point at a library placeholder in the bytecode
+ */
+function linkBytecode({ bytecode, linkReferences, libraries }) {
+  const prefix = bytecode.startsWith('0x') ? '0x' : '';
+  let code = bytecode.slice(prefix.length);
+  const linked = [];
+  const remaining = {};
+  
+  for (const [file, entries] of Object.entries(linkReferences)) {
+    for (const [name, offsets] of Object.entries(entries)) {
+      const reference = `${file}:${name}`;
+      const address = libraries[reference];
+      
+      if (!address) {
+        remaining[file] = { ...remaining[file], [name]: offsets };
+        continue;
+      }
+      
+      for (const { start, length } of offsets) {
+        // Offsets count bytes, the bytecode has two hex digits per byte
+        const placeholder = code.slice(start * 2, (start + length) * 2);
+        if (length !== ADDRESS_LENGTH || placeholder.length !== ADDRESS_LENGTH * 2) {
+          throw new ApiError(`Link reference of ${reference} at byte ${start} is outside the bytecode or not ${ADDRESS_LENGTH} bytes long`, 422);
+        }
+        if (!placeholder.startsWith('__')) {
+          throw new ApiError(`Bytecode at byte ${start} is not a library placeholder for ${reference}`, 422);
+        }
+        
+        code = code.slice(0, start * 2) + address.slice(2).toLowerCase() + code.slice((start + length) * 2);
+      }
+      linked.push(reference);
+    }
+  }
+  
+  logger.debug(`Linked ${linked.length} libraries, ${Object.keys(remaining).length} files with unlinked libraries left`);
+  
+  return {
+    bytecode: prefix + code,
+    linked,
+    linkReferences: remaining
+  };
+}
+
+module.exports = {
+  linkBytecode
+};
\ No newline at end of file
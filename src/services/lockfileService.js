@@ -0,0 +1,198 @@
+/**
+ * Lockfile Service
+ * Records the exact library contents a compilation was built against, and verifies them when a lockfile is sent back
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const dependencies = require('../config/dependencies');
+const { ApiError } = require('../middleware/errorHandler');
+const dependencyService = require('./dependencyService');
+const importGraphService = require('./importGraphService');
+
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Hash a string with SHA-256
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} Hex-encoded hash
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash the file hashes of a library into a single content hash
+ * @param {Object<string, string>} files - Library-relative path -> SHA-256 of the file
+ * @returns {string} Hex-encoded hash
+ */
+function computeContentHash(files) {
+  return sha256(Object.keys(files).sort().map(file => `${file}:${files[file]}\n`).join(''));
+}
+
+/**
+ * Build the lockfile of a prepared compilation project
+ * Every library the import graph reaches is locked with its version, commit, the hashes of the files the
+ * compilation reads from it and the remappings its imports went through.
+ * @param {string} projectPath - Foundry project with its libraries set up
+ * @param {Object} options - Lockfile options
+ * @param {Object<string, string>} options.sourceFiles - Project source files (project-relative path -> content)
+ * @param {Array<string>} options.remappings - Effective remappings of the project
+ * @param {Object<string, string>} [options.libraryFiles={}] - Uploaded library files (project-relative path -> content)
+ * @returns {Promise<Object>} Lockfile
+ */
+async function createLockfile(projectPath, { sourceFiles, remappings, libraryFiles = {} }) {
+  const graph = await importGraphService.buildImportGraph({
+    sources: sourceFiles,
+    files: libraryFiles,
+    remappings,
+    libPath: path.join(projectPath, 'lib')
+  });
+  const storePath = await fs.realpath(dependencyService.getLibraryStorePath()).catch(() => null);
+  
+  // Group the reached library files and the remappings that led to them by library
+  const reached = new Map();
+  for (const [file, node] of Object.entries(graph.files)) {
+    const libraryRoot = importGraphService.getLibraryRoot(file);
+    if (libraryRoot) {
+      if (!reached.has(libraryRoot)) {
+        reached.set(libraryRoot, { files: [], remappings: new Set() });
+      }
+      reached.get(libraryRoot).files.push(file);
+    }
+    
+    for (const imported of node.imports) {
+      const importedRoot = importGraphService.getLibraryRoot(imported.resolvedPath);
+      if (importedRoot && imported.remapping && graph.files[imported.resolvedPath]) {
+        if (!reached.has(importedRoot)) {
+          reached.set(importedRoot, { files: [], remappings: new Set() });
+        }
+        reached.get(importedRoot).remappings.add(imported.remapping);
+      }
+    }
+  }
+  
+  const libraries = [];
+  for (const [folderName, { files: libraryFilePaths, remappings: usedRemappings }] of reached) {
+    const libraryPath = await fs.realpath(path.join(projectPath, 'lib', folderName));
+    const uploaded = libraryFilePaths.some(file => libraryFiles[file] !== undefined);
+    const fromStore = Boolean(storePath) && libraryPath.startsWith(storePath + path.sep);
+    const configured = dependencies.default.find(dep => dep.folderName === folderName);
+    const detected = uploaded ? null : await dependencyService.detectLibraryVersion(libraryPath);
+    
+    const files = {};
+    for (const file of libraryFilePaths.sort()) {
+      files[file.slice(`lib/${folderName}/`.length)] = sha256(await fs.readFile(path.join(projectPath, file)));
+    }
+    
+    libraries.push({
+      folderName,
+      name: configured && !uploaded ? configured.name : folderName,
+      version: detected ? detected.version : (configured && !uploaded ? configured.version : null),
+      source: uploaded ? 'uploaded' : (fromStore ? 'store' : 'installed'),
+      repo: uploaded ? null : dependencyService.getLibraryRepository(folderName),
+      commit: uploaded ? null : await dependencyService.detectGitCommit(libraryPath),
+      contentHash: computeContentHash(files),
+      files,
+      remappings: [...usedRemappings].sort()
+    });
+  }
+  
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    libraries: libraries.sort((a, b) => a.folderName.localeCompare(b.folderName))
+  };
+}
+
+/**
+ * Get the remappings a lockfile resolved its libraries through
+ * @param {Object} [lockfile] - Lockfile from a previous compilation
+ * @returns {Array<string>} Remappings of every locked library
+ */
+function getLockedRemappings(lockfile) {
+  return lockfile ? lockfile.libraries.flatMap(library => library.remappings || []) : [];
+}
+
+/**
+ * Get the versions to install for locked libraries that were installed at compile time
+ * @param {Object} [lockfile] - Lockfile from a previous compilation
+ * @returns {Object<string, string>} GitHub repository -> locked commit (or version)
+ */
+function getPinnedVersions(lockfile) {
+  const pinned = {};
+  for (const library of lockfile ? lockfile.libraries : []) {
+    if (library.source === 'installed' && library.repo && (library.commit || library.version)) {
+      pinned[library.repo] = library.commit || library.version;
+    }
+  }
+  return pinned;
+}
+
+/**
+ * Check that a prepared project provides exactly the library contents of a lockfile
+ * @param {string} projectPath - Foundry project with its libraries set up
+ * @param {Object} lockfile - Lockfile from a previous compilation
+ * @returns {Promise<void>}
+ * @throws {ApiError} 422 listing every locked library that is missing or has different contents
+ */
+async function verifyLockfile(projectPath, lockfile) {
+  const problems = [];
+  
+  for (const locked of lockfile.libraries) {
+    const label = `${locked.folderName}${locked.version ? `@${locked.version}` : ''}`;
+    
+    // Libraries the sources no longer reach are not linked into the project, so also look in the store
+    let libraryPath = path.join(projectPath, 'lib', locked.folderName);
+    if (!await fs.pathExists(libraryPath) && locked.source === 'store') {
+      libraryPath = path.join(dependencyService.getLibraryStorePath(), locked.folderName);
+    }
+    if (!await fs.pathExists(libraryPath)) {
+      problems.push({ library: locked.folderName, problem: 'missing', message: `Locked library ${label} is no longer available` });
+      continue;
+    }
+    
+    if (locked.commit) {
+      const commit = await dependencyService.detectGitCommit(libraryPath);
+      if (commit !== locked.commit) {
+        problems.push({
+          library: locked.folderName,
+          problem: 'commit',
+          message: `Locked library ${label} is at commit ${commit || 'unknown'} instead of ${locked.commit}`
+        });
+        continue;
+      }
+    }
+    
+    const changedFiles = [];
+    for (const [file, hash] of Object.entries(locked.files || {})) {
+      const filePath = path.join(libraryPath, file);
+      if (!await fs.pathExists(filePath) || sha256(await fs.readFile(filePath)) !== hash) {
+        changedFiles.push(file);
+      }
+    }
+    if (changedFiles.length > 0) {
+      problems.push({
+        library: locked.folderName,
+        problem: 'contents',
+        message: `Locked library ${label} has different contents`,
+        files: changedFiles
+      });
+    }
+  }
+  
+  if (problems.length > 0) {
+    logger.warn(`Lockfile verification failed: ${problems.map(problem => problem.message).join('; ')}`);
+    throw new ApiError(problems[0].message + (problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''), 422, {
+      lockfile: problems
+    });
+  }
+}
+
+module.exports = {
+  createLockfile,
+  getLockedRemappings,
+  getPinnedVersions,
+  verifyLockfile
+};
\ No newline at end of file
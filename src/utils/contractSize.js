@@ -0,0 +1,72 @@
+/**
+ * Contract size utility
+ * Measures compiled bytecode against the EIP-170 runtime and EIP-3860 initcode size limits
+ */
+
+// Largest runtime bytecode a contract may deploy (EIP-170)
+const RUNTIME_SIZE_LIMIT = 24576;
+
+// Largest initcode a creation transaction may carry (EIP-3860, since Shanghai)
+const INITCODE_SIZE_LIMIT = 49152;
+
+// EVM versions before Shanghai, which deploy initcode of any size
+const PRE_SHANGHAI_EVM_VERSIONS = ['homestead', 'tangerineWhistle', 'spuriousDragon', 'byzantium', 'constantinople',
+  'petersburg', 'istanbul', 'berlin', 'london', 'paris'];
+
+/**
+ * Get the size of hex bytecode in bytes
+ * Library placeholders ("__$...$__") take up the 20 bytes of the address they are replaced with.
+ * @param {string} [bytecode] - Hex bytecode, with or without 0x prefix
+ * @returns {number} Size in bytes
+ */
+function getBytecodeSize(bytecode) {
+  if (!bytecode) {
+    return 0;
+  }
+  const hex = bytecode.startsWith('0x') ? bytecode.slice(2) : bytecode;
+  return Math.ceil(hex.length / 2);
+}
+
+/**
+ * Measure a compiled contract against the size limits
+ * The initcode size is that of the creation bytecode without constructor arguments.
+ * @param {Object} contract - Compiled contract ({ bytecode, deployedBytecode })
+ * @param {Object} [options] - Size options
+ * @param {string} [options.evmVersion] - EVM version the contract is compiled for; the initcode limit only applies
+ *   from Shanghai on, and to the newest rules when omitted
+ * @returns {Object} { runtimeSize, runtimeLimit, runtimeMargin, initcodeSize, initcodeLimit, initcodeMargin,
+ *   exceedsLimits }; a margin is negative when the contract is over the limit, and the initcode limit and margin are
+ *   null before Shanghai
+ */
+function getContractSize({ bytecode, deployedBytecode }, { evmVersion } = {}) {
+  const runtimeSize = getBytecodeSize(deployedBytecode);
+  const initcodeSize = getBytecodeSize(bytecode);
+  const initcodeLimit = PRE_SHANGHAI_EVM_VERSIONS.includes(evmVersion) ? null : INITCODE_SIZE_LIMIT;
+  
+  return {
+    runtimeSize,
+    runtimeLimit: RUNTIME_SIZE_LIMIT,
+    runtimeMargin: RUNTIME_SIZE_LIMIT - runtimeSize,
+    initcodeSize,
+    initcodeLimit,
+    initcodeMargin: initcodeLimit === null ? null : initcodeLimit - initcodeSize,
+    exceedsLimits: runtimeSize > RUNTIME_SIZE_LIMIT || (initcodeLimit !== null && initcodeSize > initcodeLimit)
+  };
+}
+
+/**
+ * Find the contracts of a compilation that exceed a size limit
+ * @param {Object<string, Object>} [contracts={}] - Compiled contracts by fully qualified name, with their `size`
+ * @returns {Array<string>} Fully qualified names of the oversized contracts
+ */
+function findOversizedContracts(contracts = {}) {
+  return Object.keys(contracts).filter(contractPath => contracts[contractPath].size && contracts[contractPath].size.exceedsLimits);
+}
+
+module.exports = {
+  RUNTIME_SIZE_LIMIT,
+  INITCODE_SIZE_LIMIT,
+  getBytecodeSize,
+  getContractSize,
+  findOversizedContracts
+};
\ No newline at end of file
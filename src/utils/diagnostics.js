@@ -0,0 +1,172 @@
+/**
+ * Diagnostics utility
+ * Converts compiler errors and warnings into structured diagnostics
+ */
+
+// Matches the header of a solc message as printed by forge, e.g. "Error (2314): Expected ';' but got '}'"
+const MESSAGE_HEADER_REGEX = /^(Error|Warning|Info|Note)(?: \((\d+)\))?: ?(.*)$/;
+
+// Matches the location line below a message header, e.g. " --> src/Contract.sol:12:5:"
+const LOCATION_REGEX = /^\s*-->\s+(.+?)(?::(\d+):(\d+))?:?\s*$/;
+
+// Matches a numbered source line in a message's code frame, e.g. "12 |     uint x = 1"
+const SNIPPET_LINE_REGEX = /^\s*\d+\s+\|\s?(.*)$/;
+
+// Strips ANSI color codes from terminal output
+const ANSI_REGEX = /\u001b\[[0-9;]*m/g;
+
+/**
+ * Normalize a solc severity to one of error, warning or info
+ * @param {string} severity - Severity as reported by solc or forge
+ * @returns {string} Normalized severity
+ */
+function normalizeSeverity(severity = 'error') {
+  const value = severity.toLowerCase();
+  if (value === 'warning') {
+    return 'warning';
+  }
+  if (value === 'info' || value === 'note') {
+    return 'info';
+  }
+  return 'error';
+}
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} content - Source code
+ * @param {number} offset - Character offset into the source
+ * @returns {{line: number, column: number, snippet: string}} Location and the source line it falls on
+ */
+function getLocation(content, offset) {
+  const before = content.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const lineEnd = content.indexOf('\n', offset);
+  
+  return {
+    line: before.split('\n').length,
+    column: offset - lineStart + 1,
+    snippet: content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd).replace(/\r$/, '')
+  };
+}
+
+/**
+ * Build diagnostics from the `errors` array of a solc Standard JSON output
+ * @param {Array<Object>} errors - solc error objects
+ * @param {Object} [sources={}] - Standard JSON input sources ({ path: { content } }), used to compute lines and snippets
+ * @returns {Array<Object>} Diagnostics
+ */
+function fromSolcErrors(errors = [], sources = {}) {
+  return errors.map((error) => {
+    const diagnostic = {
+      severity: normalizeSeverity(error.severity),
+      errorCode: error.errorCode || null,
+      type: error.type || null,
+      message: error.message,
+      file: null,
+      line: null,
+      column: null,
+      snippet: null
+    };
+    
+    const location = error.sourceLocation;
+    if (location && location.file) {
+      diagnostic.file = location.file;
+      
+      const source = sources[location.file];
+      if (source && typeof source.content === 'string' && location.start >= 0) {
+        Object.assign(diagnostic, getLocation(source.content, location.start));
+      }
+    }
+    
+    return diagnostic;
+  });
+}
+
+/**
+ * Parse diagnostics from forge's human readable compiler output
+ * Used when the build fails before a build-info file is written.
+ * @param {string} output - Combined forge stdout and stderr
+ * @returns {Array<Object>} Diagnostics
+ */
+function parseForgeOutput(output = '') {
+  const diagnostics = [];
+  let current = null;
+  
+  for (const rawLine of output.replace(ANSI_REGEX, '').split(/\r?\n/)) {
+    const header = rawLine.match(MESSAGE_HEADER_REGEX);
+    if (header) {
+      current = {
+        severity: normalizeSeverity(header[1]),
+        errorCode: header[2] || null,
+        type: null,
+        message: header[3].trim(),
+        file: null,
+        line: null,
+        column: null,
+        snippet: null
+      };
+      diagnostics.push(current);
+      continue;
+    }
+    
+    if (!current) {
+      continue;
+    }
+    
+    const location = rawLine.match(LOCATION_REGEX);
+    if (location && !current.file) {
+      current.file = location[1];
+      current.line = location[2] ? parseInt(location[2], 10) : null;
+      current.column = location[3] ? parseInt(location[3], 10) : null;
+      continue;
+    }
+    
+    const snippetLine = rawLine.match(SNIPPET_LINE_REGEX);
+    if (snippetLine && current.snippet === null) {
+      current.snippet = snippetLine[1];
+    }
+  }
+  
+  // Forge's own "Compiler run failed" banner and empty headers are not compiler messages
+  return diagnostics.filter(diagnostic =>
+    diagnostic.message && !/^compiler run failed/i.test(diagnostic.message)
+  );
+}
+
+/**
+ * Convert a diagnostic back into a solc Standard JSON error object
+ * @param {Object} diagnostic - Diagnostic
+ * @returns {Object} solc error object
+ */
+function toSolcError(diagnostic) {
+  const type = diagnostic.type || (diagnostic.severity === 'error' ? 'CompilerError' : 'Warning');
+  const location = diagnostic.file
+    ? `${diagnostic.file}${diagnostic.line ? `:${diagnostic.line}:${diagnostic.column}` : ''}: `
+    : '';
+  
+  return {
+    component: 'general',
+    severity: diagnostic.severity,
+    ...(diagnostic.errorCode && { errorCode: diagnostic.errorCode }),
+    type,
+    message: diagnostic.message,
+    formattedMessage: `${location}${type}: ${diagnostic.message}`
+  };
+}
+
+/**
+ * Check whether any diagnostic is an error
+ * @param {Array<Object>} diagnostics - Diagnostics
+ * @returns {boolean} True if at least one diagnostic has severity "error"
+ */
+function hasErrors(diagnostics = []) {
+  return diagnostics.some(diagnostic => diagnostic.severity === 'error');
+}
+
+module.exports = {
+  getLocation,
+  fromSolcErrors,
+  parseForgeOutput,
+  toSolcError,
+  hasErrors
+};
\ No newline at end of file
@@ -55,37 +55,99 @@ async function createContractFile(dirPath, contractCode, filename = 'Contract.so
   }
 }
 
+/**
+ * Writes a multi-file sources map into a project directory, keeping each file at its relative path
+ * @param {string} projectPath - Project root directory
+ * @param {Object<string, string>} sources - Map of relative file path to source code
+ * @returns {Promise<Array<string>>} Relative paths of the written files
+ */
+async function createSourceFiles(projectPath, sources) {
+  const written = [];
+  
+  try {
+    for (const [sourcePath, content] of Object.entries(sources)) {
+      const filePath = path.resolve(projectPath, sourcePath);
+      
+      // Never write outside the project directory
+      if (!filePath.startsWith(path.resolve(projectPath) + path.sep)) {
+        throw new Error(`Source path escapes project directory: ${sourcePath}`);
+      }
+      
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, content);
+      written.push(sourcePath);
+    }
+    
+    logger.debug(`Created ${written.length} source files in: ${projectPath}`);
+    return written;
+  } catch (error) {
+    logger.error(`Failed to create source files: ${error.message}`);
+    throw new Error('Failed to create source files');
+  }
+}
+
+// Remappings every new project starts with, for both standard and versioned OpenZeppelin imports.
+// They are the lowest layer: linked libraries, installed dependencies and request remappings replace them.
+const DEFAULT_REMAPPINGS = [
+  // Standard imports
+  "@openzeppelin/=lib/openzeppelin-contracts-4.9.5/",
+  "@openzeppelin/contracts/=lib/openzeppelin-contracts-4.9.5/contracts/",
+  
+  // Versioned imports - explicit mappings for each version
+  "@openzeppelin/contracts@5.2.0/=lib/openzeppelin-contracts-5.2.0/contracts/",
+  "@openzeppelin/contracts@5.1.0/=lib/openzeppelin-contracts-5.1.0/contracts/",
+  "@openzeppelin/contracts@5.0.2/=lib/openzeppelin-contracts-5.0.2/contracts/",
+  "@openzeppelin/contracts@4.9.5/=lib/openzeppelin-contracts-4.9.5/contracts/",
+  "@openzeppelin/contracts@4.9.3/=lib/openzeppelin-contracts-4.9.3/contracts/",
+  "@openzeppelin/contracts@4.8.0/=lib/openzeppelin-contracts-4.8.0/contracts/",
+  "@openzeppelin/contracts@4.7.0/=lib/openzeppelin-contracts-4.7.0/contracts/",
+  "@openzeppelin/contracts@4.6.0/=lib/openzeppelin-contracts-4.6.0/contracts/",
+  "@openzeppelin/contracts@4.5.0/=lib/openzeppelin-contracts-4.5.0/contracts/",
+  "@openzeppelin/contracts@4.4.2/=lib/openzeppelin-contracts-4.4.2/contracts/",
+  "@openzeppelin/contracts@4.3.3/=lib/openzeppelin-contracts-4.3.3/contracts/",
+  "@openzeppelin/contracts@4.2.0/=lib/openzeppelin-contracts-4.2.0/contracts/",
+  "@openzeppelin/contracts@4.1.0/=lib/openzeppelin-contracts-4.1.0/contracts/",
+  "@openzeppelin/contracts@4.0.0/=lib/openzeppelin-contracts-4.0.0/contracts/",
+];
+
+/**
+ * Formats a JavaScript value as a TOML value
+ * @param {*} value - String, number, boolean, array or plain object
+ * @returns {string} TOML representation
+ */
+function toTomlValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toTomlValue).join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, v]) => `${key} = ${toTomlValue(v)}`).join(', ')} }`;
+  }
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
 /**
  * Creates a Foundry project structure in the specified directory
  * @param {string} dirPath - Directory path
+ * @param {Object} [profile={}] - Extra [profile.default] settings for foundry.toml (e.g. { via_ir: true })
  * @returns {Promise<void>}
  */
-async function setupFoundryProject(dirPath) {
+async function setupFoundryProject(dirPath, profile = {}) {
   try {
     // Create essential directories for a foundry project
     await fs.ensureDir(path.join(dirPath, 'src'));
     await fs.ensureDir(path.join(dirPath, 'lib'));
     await fs.ensureDir(path.join(dirPath, 'out'));
     
-    // Create remappings for both standard and versioned imports
-    const remappings = [
-      // Standard imports
-      "@openzeppelin/=lib/openzeppelin-contracts-4.9.5/",
-      "@openzeppelin/contracts/=lib/openzeppelin-contracts-4.9.5/contracts/",
-      
-      // Versioned imports - explicit mappings for each version
-      "@openzeppelin/contracts@4.9.5/=lib/openzeppelin-contracts-4.9.5/contracts/",
-      "@openzeppelin/contracts@4.9.3/=lib/openzeppelin-contracts-4.9.3/contracts/",
-      "@openzeppelin/contracts@4.8.0/=lib/openzeppelin-contracts-4.8.0/contracts/",
-      "@openzeppelin/contracts@4.7.0/=lib/openzeppelin-contracts-4.7.0/contracts/",
-      "@openzeppelin/contracts@4.6.0/=lib/openzeppelin-contracts-4.6.0/contracts/",
-      "@openzeppelin/contracts@4.5.0/=lib/openzeppelin-contracts-4.5.0/contracts/",
-      "@openzeppelin/contracts@4.4.2/=lib/openzeppelin-contracts-4.4.2/contracts/",
-      "@openzeppelin/contracts@4.3.3/=lib/openzeppelin-contracts-4.3.3/contracts/",
-      "@openzeppelin/contracts@4.2.0/=lib/openzeppelin-contracts-4.2.0/contracts/",
-      "@openzeppelin/contracts@4.1.0/=lib/openzeppelin-contracts-4.1.0/contracts/",
-      "@openzeppelin/contracts@4.0.0/=lib/openzeppelin-contracts-4.0.0/contracts/",
-    ];
+    const remappings = DEFAULT_REMAPPINGS;
+    
+    // Extra profile settings, written before the remappings
+    const profileSettings = Object.entries(profile)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key} = ${toTomlValue(value)}\n`)
+      .join('');
     
     // Create foundry.toml with remappings
     const foundryConfig = `
@@ -93,7 +155,7 @@ async function setupFoundryProject(dirPath) {
 src = 'src'
 out = 'out'
 libs = ['lib']
-remappings = [
+${profileSettings}remappings = [
   ${remappings.map(r => `"${r}"`).join(',\n  ')}
 ]
 
@@ -112,6 +174,28 @@ remappings = [
   }
 }
 
+/**
+ * Set a single [profile.default] setting in a project's foundry.toml, replacing any existing value
+ * @param {string} dirPath - Project directory
+ * @param {string} key - Setting name (e.g. 'allow_paths')
+ * @param {*} value - Setting value
+ * @returns {Promise<void>}
+ */
+async function setFoundryProfileSetting(dirPath, key, value) {
+  const foundryTomlPath = path.join(dirPath, 'foundry.toml');
+  let foundryConfig = await fs.readFile(foundryTomlPath, 'utf8');
+  const setting = `${key} = ${toTomlValue(value)}`;
+  const settingRegex = new RegExp(`^${key}\\s*=.*$`, 'm');
+  
+  if (settingRegex.test(foundryConfig)) {
+    foundryConfig = foundryConfig.replace(settingRegex, setting);
+  } else {
+    foundryConfig = foundryConfig.replace('[profile.default]', `[profile.default]\n${setting}`);
+  }
+  
+  await fs.writeFile(foundryTomlPath, foundryConfig);
+}
+
 /**
  * Reads compilation output
  * @param {string} outputPath - Path to compilation output
@@ -154,7 +238,9 @@ async function cleanupDirectory(dirPath, cleanup) {
 module.exports = {
   createTempDirectory,
   createContractFile,
+  createSourceFiles,
   setupFoundryProject,
+  setFoundryProfileSetting,
   readCompilationOutput,
   cleanupDirectory,
 };
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * LRU cache utility
+ * In-memory least-recently-used cache with entry, size and age limits
+ */
+
+/**
+ * Least-recently-used cache
+ * Entries are evicted when the entry count or total size limit is exceeded, and expire after the TTL.
+ */
+class LruCache {
+  /**
+   * @param {Object} [options] - Cache limits
+   * @param {number} [options.maxEntries=100] - Maximum number of entries
+   * @param {number} [options.maxSizeBytes=Infinity] - Maximum total size of all entries
+   * @param {number} [options.ttlMs=0] - Entry lifetime in milliseconds (0 = never expires)
+   * @param {Function} [options.sizeOf] - Returns the size of a value in bytes (defaults to its JSON length)
+   */
+  constructor({ maxEntries = 100, maxSizeBytes = Infinity, ttlMs = 0, sizeOf } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxSizeBytes = maxSizeBytes;
+    this.ttlMs = ttlMs;
+    this.sizeOf = sizeOf || (value => Buffer.byteLength(JSON.stringify(value)));
+    
+    // Map iteration order doubles as recency order: the first entry is the least recently used
+    this.entries = new Map();
+    this.sizeBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+  
+  /**
+   * Get a value and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        this.delete(key);
+      }
+      this.misses++;
+      return undefined;
+    }
+    
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+  
+  /**
+   * Store a value, evicting least recently used entries as needed
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @returns {boolean} False if the value is larger than the whole cache and was not stored
+   */
+  set(key, value) {
+    const size = this.sizeOf(value);
+    
+    this.delete(key);
+    
+    if (size > this.maxSizeBytes) {
+      return false;
+    }
+    
+    this.entries.set(key, { value, size, createdAt: Date.now() });
+    this.sizeBytes += size;
+    
+    while (this.entries.size > this.maxEntries || this.sizeBytes > this.maxSizeBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    
+    if (!entry) {
+      return false;
+    }
+    
+    this.entries.delete(key);
+    this.sizeBytes -= entry.size;
+    return true;
+  }
+  
+  /**
+   * Remove all entries
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.sizeBytes = 0;
+    return count;
+  }
+  
+  /**
+   * Check whether an entry has outlived the TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry is expired
+   */
+  isExpired(entry) {
+    return this.ttlMs > 0 && Date.now() - entry.createdAt > this.ttlMs;
+  }
+  
+  /**
+   * Get cache statistics
+   * @returns {Object} Entry count, size, limits and hit/miss counters
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      sizeBytes: this.sizeBytes,
+      maxEntries: this.maxEntries,
+      maxSizeBytes: this.maxSizeBytes,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+}
+
+module.exports = LruCache;
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * SARIF utility
+ * Converts compiler diagnostics and static analysis findings into SARIF 2.1.0 logs for code scanning tools
+ */
+
+const { name: toolName, version: toolVersion } = require('../../package.json');
+
+const SARIF_MEDIA_TYPE = 'application/sarif+json';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result levels of diagnostic and finding severities
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  informational: 'note'
+};
+
+// CVSS-like scores code scanning dashboards rank security findings by
+const SECURITY_SEVERITIES = {
+  high: '8.0',
+  medium: '5.5',
+  low: '3.0',
+  informational: '0.0'
+};
+
+/**
+ * Check whether a request asks for a SARIF response
+ * @param {Object} req - Express request
+ * @returns {boolean} True if application/sarif+json is preferred over JSON
+ */
+function acceptsSarif(req) {
+  return req.accepts(['application/json', SARIF_MEDIA_TYPE]) === SARIF_MEDIA_TYPE;
+}
+
+/**
+ * Build the physical location of a result
+ * @param {Object} location - { file, line, column, snippet }, plus byte `start` and `length` for findings
+ * @returns {Array<Object>} SARIF locations; empty when the source file is unknown
+ */
+function toLocations({ file, line, column, snippet, start, length }) {
+  if (!file) {
+    return [];
+  }
+  
+  const region = {
+    ...(line && { startLine: line }),
+    ...(line && column && { startColumn: column }),
+    ...(Number.isInteger(start) && start >= 0 && { byteOffset: start }),
+    ...(Number.isInteger(length) && length >= 0 && { byteLength: length }),
+    ...(snippet && { snippet: { text: snippet } })
+  };
+  
+  return [{
+    physicalLocation: {
+      artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+      ...(Object.keys(region).length > 0 && { region })
+    }
+  }];
+}
+
+/**
+ * Build the SARIF run of compiler diagnostics
+ * @param {Array<Object>} diagnostics - Diagnostics (see diagnostics.fromSolcErrors)
+ * @param {Object} [compiler] - Compiler the diagnostics came from ({ version })
+ * @returns {Object} SARIF run with one rule per solc error code
+ */
+function createCompilerRun(diagnostics, compiler) {
+  const rules = new Map();
+  const results = diagnostics.map((diagnostic) => {
+    // Messages parsed from forge's output have no type, so they are named after their severity
+    const type = diagnostic.type || `${diagnostic.severity.charAt(0).toUpperCase()}${diagnostic.severity.slice(1)}`;
+    const ruleId = diagnostic.errorCode || type;
+    if (!rules.has(ruleId)) {
+      rules.set(ruleId, {
+        id: ruleId,
+        name: type,
+        shortDescription: { text: diagnostic.errorCode ? `${type} ${diagnostic.errorCode}` : type },
+        defaultConfiguration: { level: LEVELS[diagnostic.severity] }
+      });
+    }
+    
+    return {
+      ruleId,
+      level: LEVELS[diagnostic.severity],
+      message: { text: diagnostic.message },
+      locations: toLocations(diagnostic)
+    };
+  });
+  
+  return {
+    tool: {
+      driver: {
+        name: 'solc',
+        ...(compiler && compiler.version && { version: compiler.version }),
+        informationUri: 'https://docs.soliditylang.org',
+        rules: [...rules.values()]
+      }
+    },
+    results
+  };
+}
+
+/**
+ * Build the SARIF run of static analysis findings
+ * @param {Array<Object>} findings - Findings (see analysisService.analyze)
+ * @param {Array<Object>} detectors - Detectors that ran (see analysisService.listDetectors)
+ * @returns {Object} SARIF run with one rule per detector
+ */
+function createAnalysisRun(findings, detectors) {
+  return {
+    tool: {
+      driver: {
+        name: toolName,
+        version: toolVersion,
+        rules: detectors.map(detector => ({
+          id: detector.id,
+          name: detector.title,
+          shortDescription: { text: detector.title },
+          fullDescription: { text: detector.description },
+          defaultConfiguration: { level: LEVELS[detector.severity] },
+          properties: {
+            tags: ['security'],
+            precision: detector.confidence,
+            'security-severity': SECURITY_SEVERITIES[detector.severity]
+          }
+        }))
+      }
+    },
+    results: findings.map(finding => ({
+      ruleId: finding.detector,
+      level: LEVELS[finding.severity],
+      message: { text: finding.message },
+      locations: toLocations(finding.location),
+      properties: {
+        severity: finding.severity,
+        confidence: finding.confidence,
+        ...(finding.contract && { contract: finding.contract }),
+        ...(finding.function && { function: finding.function })
+      }
+    }))
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log
+ * @param {Object} input - Results to report
+ * @param {Array<Object>} [input.diagnostics=[]] - Compiler diagnostics
+ * @param {Object} [input.compiler] - Compiler that produced the diagnostics
+ * @param {Object} [input.analysis] - Static analysis result ({ findings }, see analysisService.analyze)
+ * @param {Array<Object>} [input.detectors=[]] - Detectors of the analysis (see analysisService.listDetectors)
+ * @returns {Object} SARIF log with a solc run, and an analysis run when analysis results are given
+ */
+function createSarifLog({ diagnostics = [], compiler, analysis, detectors = [] }) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      createCompilerRun(diagnostics, compiler),
+      ...(analysis ? [createAnalysisRun(analysis.findings, detectors)] : [])
+    ]
+  };
+}
+
+/**
+ * Send a SARIF log as a download
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} log - SARIF log (see createSarifLog)
+ * @returns {Object} Express response
+ */
+function sendSarif(res, statusCode, log) {
+  return res.status(statusCode)
+    .type(SARIF_MEDIA_TYPE)
+    .set('Content-Disposition', 'attachment; filename="results.sarif"')
+    .send(JSON.stringify(log, null, 2));
+}
+
+module.exports = {
+  SARIF_MEDIA_TYPE,
+  acceptsSarif,
+  createSarifLog,
+  sendSarif
+};
\ No newline at end of file
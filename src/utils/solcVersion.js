@@ -0,0 +1,211 @@
+/**
+ * Solidity version utility
+ * Parses `pragma solidity` version ranges and matches compiler versions against them
+ */
+
+const solidityParser = require('./solidityParser');
+
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?v?((?:\d+|[xX*])(?:\.(?:\d+|[xX*])){0,2})$/;
+
+/**
+ * Parse a full "major.minor.patch" version
+ * @param {string} version - Version string (a leading "v" and build suffix such as "+commit.abc" are ignored)
+ * @returns {Array<number>|null} [major, minor, patch], or null if the version is not a full version
+ */
+function parseVersion(version) {
+  const match = String(version).trim().match(/^v?(\d+)\.(\d+)\.(\d+)(?:\+.*)?$/);
+  return match ? match.slice(1, 4).map(part => parseInt(part, 10)) : null;
+}
+
+/**
+ * Compare two parsed versions
+ * @param {Array<number>} a - First version
+ * @param {Array<number>} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareParts(a, b) {
+  return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+}
+
+/**
+ * Compare two version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  return compareParts(parseVersion(a), parseVersion(b));
+}
+
+/**
+ * Parse a possibly partial version such as "0.8" or "0.8.x"
+ * @param {string} text - Version text
+ * @returns {Array<number>} The specified leading components (everything from the first wildcard on is dropped)
+ */
+function parsePartial(text) {
+  const parts = [];
+  for (const part of text.split('.')) {
+    if (!/^\d+$/.test(part)) {
+      break;
+    }
+    parts.push(parseInt(part, 10));
+  }
+  return parts;
+}
+
+/**
+ * Get the lowest version matched by a partial version
+ * @param {Array<number>} partial - Partial version
+ * @returns {Array<number>} Full version
+ */
+function lowerBound(partial) {
+  return [partial[0] || 0, partial[1] || 0, partial[2] || 0];
+}
+
+/**
+ * Get the first version after everything matched by a partial version (e.g. 0.8 -> 0.9.0)
+ * @param {Array<number>} partial - Partial version with one or two components
+ * @returns {Array<number>} Full version
+ */
+function upperBound(partial) {
+  return partial.length === 1 ? [partial[0] + 1, 0, 0] : [partial[0], partial[1] + 1, 0];
+}
+
+/**
+ * Translate a single comparator (e.g. "^0.8.0", ">=0.7", "0.8.x") into bound checks
+ * @param {string} operator - Comparator operator, or an empty string for an exact or partial version
+ * @param {Array<number>} partial - Partial version
+ * @returns {Array<{operator: string, version: Array<number>}>} Bounds that must all hold
+ */
+function toBounds(operator, partial) {
+  const exact = partial.length === 3;
+  
+  if (partial.length === 0) {
+    // "*" matches everything, while "<*" and ">*" match nothing
+    return operator === '<' || operator === '>' ? [{ operator: '<', version: [0, 0, 0] }] : [];
+  }
+  
+  switch (operator) {
+    case '^': {
+      // Only the leftmost non-zero component is fixed
+      let upper;
+      if (partial[0] > 0 || partial.length === 1) {
+        upper = [partial[0] + 1, 0, 0];
+      } else if (partial[1] > 0 || partial.length === 2) {
+        upper = [0, partial[1] + 1, 0];
+      } else {
+        upper = [0, 0, partial[2] + 1];
+      }
+      return [{ operator: '>=', version: lowerBound(partial) }, { operator: '<', version: upper }];
+    }
+    case '~':
+      return [
+        { operator: '>=', version: lowerBound(partial) },
+        { operator: '<', version: upperBound(partial.slice(0, 2)) }
+      ];
+    case '>=':
+      return [{ operator: '>=', version: lowerBound(partial) }];
+    case '>':
+      return [exact ? { operator: '>', version: partial } : { operator: '>=', version: upperBound(partial) }];
+    case '<':
+      return [{ operator: '<', version: lowerBound(partial) }];
+    case '<=':
+      return [exact ? { operator: '<=', version: partial } : { operator: '<', version: upperBound(partial) }];
+    default:
+      return exact
+        ? [{ operator: '=', version: partial }]
+        : [{ operator: '>=', version: lowerBound(partial) }, { operator: '<', version: upperBound(partial) }];
+  }
+}
+
+/**
+ * Parse a version range as written in `pragma solidity`
+ * Supports the comparators ^, ~, >=, >, <=, <, =, partial versions and wildcards, hyphen ranges
+ * ("0.8.0 - 0.8.19") and alternatives joined with "||".
+ * @param {string} range - Version range (e.g. ">=0.8.0 <0.9.0")
+ * @returns {Array<Array<Object>>|null} Alternatives of bound checks, or null if the range is malformed
+ */
+function parseRange(range) {
+  const alternatives = [];
+  
+  for (const alternative of String(range).split('||')) {
+    // Operators may be separated from their version by whitespace ("pragma solidity >= 0.8.0")
+    const text = alternative.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1');
+    const bounds = [];
+    
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    const comparators = hyphen ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`] : text.split(/\s+/).filter(Boolean);
+    
+    for (const comparator of comparators) {
+      const match = comparator.match(COMPARATOR_PATTERN);
+      if (!match) {
+        return null;
+      }
+      bounds.push(...toBounds(match[1] || '', parsePartial(match[2])));
+    }
+    
+    alternatives.push(bounds);
+  }
+  
+  return alternatives;
+}
+
+/**
+ * Check whether a version satisfies a version range
+ * @param {string} version - Full version (e.g. "0.8.20")
+ * @param {string} range - Version range as written in `pragma solidity`
+ * @returns {boolean} True if the version is in the range; false for malformed input
+ */
+function satisfies(version, range) {
+  const parsedVersion = parseVersion(version);
+  const alternatives = parseRange(range);
+  
+  if (!parsedVersion || !alternatives) {
+    return false;
+  }
+  
+  return alternatives.some(bounds => bounds.every(({ operator, version: bound }) => {
+    const comparison = compareParts(parsedVersion, bound);
+    switch (operator) {
+      case '>=': return comparison >= 0;
+      case '>': return comparison > 0;
+      case '<=': return comparison <= 0;
+      case '<': return comparison < 0;
+      default: return comparison === 0;
+    }
+  }));
+}
+
+/**
+ * Find the newest version that satisfies every range
+ * @param {Array<string>} versions - Candidate versions
+ * @param {Array<string>} ranges - Version ranges that must all be satisfied
+ * @returns {string|null} Newest matching version, or null if none matches
+ */
+function maxSatisfying(versions, ranges) {
+  const matching = versions
+    .filter(version => ranges.every(range => satisfies(version, range)))
+    .sort(compareVersions);
+  
+  return matching.length > 0 ? matching[matching.length - 1] : null;
+}
+
+/**
+ * Extract the version ranges of all `pragma solidity` directives in a source file
+ * @param {string} content - Solidity source code
+ * @returns {Array<string>} Version ranges, in source order
+ */
+function extractPragmas(content) {
+  return solidityParser.parseDirectives(content).pragmas
+    .filter(pragma => pragma.name === 'solidity')
+    .map(pragma => pragma.value);
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  parseRange,
+  satisfies,
+  maxSatisfying,
+  extractPragmas
+};
\ No newline at end of file
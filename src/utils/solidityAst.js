@@ -0,0 +1,177 @@
+/**
+ * Solidity AST utility
+ * Traverses solc ASTs and classifies the nodes static analysis detectors look at
+ */
+
+// Operators of unary operations that write their operand
+const WRITING_UNARY_OPERATORS = ['++', '--', 'delete'];
+
+/**
+ * Check whether a value is an AST node
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects with a nodeType
+ */
+function isNode(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.nodeType === 'string';
+}
+
+/**
+ * Visit a node and everything below it
+ * @param {Object} root - AST node
+ * @param {Function} visitor - Called with (node, parents), parents being the ancestors from the root down;
+ *   returning false skips the node's children
+ * @param {Array<Object>} [parents=[]] - Ancestors of the root
+ * @returns {void}
+ */
+function walk(root, visitor, parents = []) {
+  if (!isNode(root) || visitor(root, parents) === false) {
+    return;
+  }
+  
+  parents.push(root);
+  for (const value of Object.values(root)) {
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (isNode(child)) {
+        walk(child, visitor, parents);
+      }
+    }
+  }
+  parents.pop();
+}
+
+/**
+ * Find the nodes below a node that match a node type or predicate
+ * @param {Object} root - AST node
+ * @param {string|Function} match - Node type, or predicate called with (node, parents)
+ * @returns {Array<Object>} Matching nodes, including the root if it matches
+ */
+function findAll(root, match) {
+  const matches = [];
+  walk(root, (node, parents) => {
+    if (typeof match === 'function' ? match(node, parents) : node.nodeType === match) {
+      matches.push(node);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Parse the source range of a node
+ * @param {string} src - "start:length:sourceIndex", with start and length in bytes
+ * @returns {{start: number, length: number, sourceIndex: number}} Source range
+ */
+function parseSrc(src) {
+  const [start, length, sourceIndex] = String(src).split(':').map(part => parseInt(part, 10));
+  return { start, length, sourceIndex };
+}
+
+/**
+ * Classify a function call by what it calls
+ * @param {Object} call - FunctionCall node
+ * @returns {string} "low-level" for call and delegatecall, "static" for staticcall and external view or pure
+ *   functions, "send", "transfer", "external" for other external functions, or "internal"
+ */
+function getCallKind(call) {
+  const typeDescriptions = (call.expression && call.expression.typeDescriptions) || {};
+  const type = typeDescriptions.typeIdentifier || '';
+  
+  if (/^t_function_bare(delegate)?call_/.test(type)) {
+    return 'low-level';
+  }
+  if (/^t_function_barestaticcall_/.test(type) || /^t_function_external_(view|pure)\$/.test(type)) {
+    return 'static';
+  }
+  if (type.startsWith('t_function_send_')) {
+    return 'send';
+  }
+  if (type.startsWith('t_function_transfer_')) {
+    return 'transfer';
+  }
+  if (type.startsWith('t_function_external_')) {
+    return 'external';
+  }
+  return 'internal';
+}
+
+/**
+ * Get the state variables an expression writes to when assigned
+ * @param {Object} expression - Left-hand side of an assignment, or operand of ++, -- or delete
+ * @param {Map<number, Object>} declarations - Declarations by AST ID
+ * @returns {Array<Object>} State variable declarations, e.g. `balances` for `balances[to].amount`
+ */
+function getWrittenStateVariables(expression, declarations) {
+  if (!expression) {
+    return [];
+  }
+  
+  switch (expression.nodeType) {
+    case 'TupleExpression':
+      return expression.components.flatMap(component => getWrittenStateVariables(component, declarations));
+    case 'IndexAccess':
+      return getWrittenStateVariables(expression.baseExpression, declarations);
+    case 'MemberAccess':
+      return getWrittenStateVariables(expression.expression, declarations);
+    case 'Identifier': {
+      const declaration = declarations.get(expression.referencedDeclaration);
+      return declaration && declaration.stateVariable ? [declaration] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Find the state writes below a node
+ * @param {Object} root - AST node, typically a function body
+ * @param {Map<number, Object>} declarations - Declarations by AST ID
+ * @returns {Array<{node: Object, variables: Array<Object>}>} Assignments and ++, -- or delete operations with the
+ *   state variables they write
+ */
+function findStateWrites(root, declarations) {
+  const writes = [];
+  walk(root, (node) => {
+    let target = null;
+    if (node.nodeType === 'Assignment') {
+      target = node.leftHandSide;
+    } else if (node.nodeType === 'UnaryOperation' && WRITING_UNARY_OPERATORS.includes(node.operator)) {
+      target = node.subExpression;
+    }
+    
+    const variables = getWrittenStateVariables(target, declarations);
+    if (variables.length > 0) {
+      writes.push({ node, variables });
+    }
+  });
+  return writes;
+}
+
+/**
+ * Check whether an expression is `tx.origin`
+ * @param {Object} expression - AST node
+ * @returns {boolean} True for tx.origin
+ */
+function isTxOrigin(expression) {
+  return Boolean(expression) && expression.nodeType === 'MemberAccess' && expression.memberName === 'origin'
+    && expression.expression.nodeType === 'Identifier' && expression.expression.name === 'tx';
+}
+
+/**
+ * Check whether an expression is `msg.sender`
+ * @param {Object} expression - AST node
+ * @returns {boolean} True for msg.sender
+ */
+function isMsgSender(expression) {
+  return Boolean(expression) && expression.nodeType === 'MemberAccess' && expression.memberName === 'sender'
+    && expression.expression.nodeType === 'Identifier' && expression.expression.name === 'msg';
+}
+
+module.exports = {
+  walk,
+  findAll,
+  parseSrc,
+  getCallKind,
+  getWrittenStateVariables,
+  findStateWrites,
+  isTxOrigin,
+  isMsgSender
+};
\ No newline at end of file
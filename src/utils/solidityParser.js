@@ -0,0 +1,199 @@
+/**
+ * Solidity parser utility
+ * Tokenizes Solidity source code and parses its import and pragma directives
+ */
+
+// Operators made of more than one character; everything else is tokenized one character at a time
+const MULTI_CHAR_OPERATORS = ['>>>=', '>>>', '<<=', '>>=', '**', '==', '!=', '>=', '<=', '&&', '||', '=>', '->', '<<', '>>',
+  '++', '--', '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^='];
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_$]/;
+const NUMBER_PART = /[A-Za-z0-9_.]/;
+
+/**
+ * Split Solidity source code into tokens, skipping whitespace and comments
+ * Unterminated strings and comments run to the end of the source.
+ * @param {string} source - Solidity source code
+ * @returns {Array<{type: string, value: string, start: number, end: number, line: number}>} Tokens of type
+ *   "identifier", "number", "string" (value without quotes, escapes resolved) or "punctuation"
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  
+  // Advance to an offset, keeping track of the line number
+  const advanceTo = (offset) => {
+    for (; index < offset; index++) {
+      if (source[index] === '\n') {
+        line++;
+      }
+    }
+  };
+  
+  while (index < source.length) {
+    const char = source[index];
+    const start = index;
+    const startLine = line;
+    
+    if (/\s/.test(char)) {
+      advanceTo(index + 1);
+    } else if (source.startsWith('//', index)) {
+      const newline = source.indexOf('\n', index);
+      advanceTo(newline === -1 ? source.length : newline);
+    } else if (source.startsWith('/*', index)) {
+      const close = source.indexOf('*/', index + 2);
+      advanceTo(close === -1 ? source.length : close + 2);
+    } else if (char === '"' || char === '\'') {
+      let value = '';
+      let offset = index + 1;
+      while (offset < source.length && source[offset] !== char && source[offset] !== '\n') {
+        if (source[offset] === '\\' && offset + 1 < source.length) {
+          offset++;
+        }
+        value += source[offset];
+        offset++;
+      }
+      advanceTo(Math.min(offset + 1, source.length));
+      tokens.push({ type: 'string', value, start, end: index, line: startLine });
+    } else if (IDENTIFIER_START.test(char)) {
+      let offset = index + 1;
+      while (offset < source.length && IDENTIFIER_PART.test(source[offset])) {
+        offset++;
+      }
+      advanceTo(offset);
+      tokens.push({ type: 'identifier', value: source.slice(start, index), start, end: index, line: startLine });
+    } else if (/[0-9]/.test(char)) {
+      // Also covers version numbers such as 0.8.20 and hex literals
+      let offset = index + 1;
+      while (offset < source.length && NUMBER_PART.test(source[offset])) {
+        offset++;
+      }
+      advanceTo(offset);
+      tokens.push({ type: 'number', value: source.slice(start, index), start, end: index, line: startLine });
+    } else {
+      const operator = MULTI_CHAR_OPERATORS.find(candidate => source.startsWith(candidate, index)) || char;
+      advanceTo(index + operator.length);
+      tokens.push({ type: 'punctuation', value: operator, start, end: index, line: startLine });
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Find the index of the semicolon ending a directive
+ * @param {Array<Object>} tokens - Tokens (see tokenize)
+ * @param {number} from - Index of the directive's first token
+ * @returns {number} Index of the terminating semicolon, or the token count if there is none
+ */
+function findDirectiveEnd(tokens, from) {
+  let index = from;
+  while (index < tokens.length && !(tokens[index].type === 'punctuation' && tokens[index].value === ';')) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Parse the tokens of a single import directive (without the "import" keyword and semicolon)
+ * @param {Array<Object>} tokens - Tokens of the directive
+ * @returns {Object|null} Parsed import, or null if the directive names no path
+ */
+function parseImportDirective(tokens) {
+  const pathIndex = tokens.findIndex(token => token.type === 'string');
+  if (pathIndex === -1) {
+    return null;
+  }
+  
+  const directive = { path: tokens[pathIndex].value, unitAlias: null, symbols: [] };
+  const first = tokens[0];
+  
+  if (pathIndex === 0) {
+    // import "path" [as Alias];
+    const alias = tokens[pathIndex + 1];
+    if (alias && alias.value === 'as' && tokens[pathIndex + 2]) {
+      directive.unitAlias = tokens[pathIndex + 2].value;
+    }
+  } else if (first.value === '*') {
+    // import * as Alias from "path";
+    directive.unitAlias = tokens[1] && tokens[1].value === 'as' && tokens[2] ? tokens[2].value : null;
+  } else if (first.value === '{') {
+    // import {A, B as C} from "path";
+    let symbol = null;
+    for (const token of tokens.slice(1, pathIndex)) {
+      if (token.value === '}') {
+        break;
+      }
+      if (token.value === ',') {
+        symbol = null;
+      } else if (token.value === 'as') {
+        continue;
+      } else if (token.type === 'identifier' && !symbol) {
+        symbol = { name: token.value, alias: null };
+        directive.symbols.push(symbol);
+      } else if (token.type === 'identifier') {
+        symbol.alias = token.value;
+      }
+    }
+  } else if (first.type === 'identifier') {
+    // import Alias from "path"; (deprecated form of import * as Alias)
+    directive.unitAlias = first.value;
+  }
+  
+  return directive;
+}
+
+/**
+ * Parse the import and pragma directives of a Solidity source file
+ * Directives in comments and strings are ignored, and directives may span multiple lines.
+ * @param {string} source - Solidity source code
+ * @returns {{imports: Array<Object>, pragmas: Array<Object>}} Imports as
+ *   {path, unitAlias, symbols: [{name, alias}], line} and pragmas as {name, value, line}, in source order
+ */
+function parseDirectives(source) {
+  const tokens = tokenize(source);
+  const imports = [];
+  const pragmas = [];
+  let index = 0;
+  
+  while (index < tokens.length) {
+    const token = tokens[index];
+    // "x.import" or "x.pragma" would be member access, not a directive
+    const isKeyword = token.type === 'identifier' &&
+      !(index > 0 && tokens[index - 1].value === '.') &&
+      (token.value === 'import' || token.value === 'pragma');
+    
+    if (!isKeyword) {
+      index++;
+      continue;
+    }
+    
+    const end = findDirectiveEnd(tokens, index + 1);
+    const body = tokens.slice(index + 1, end);
+    
+    if (token.value === 'import') {
+      const directive = parseImportDirective(body);
+      if (directive) {
+        imports.push({ ...directive, line: token.line });
+      }
+    } else if (body.length > 0) {
+      // Pragma values are free-form; rebuild them from their tokens, keeping a space wherever the source had one
+      const value = body.slice(1).reduce((text, part, partIndex, parts) => {
+        const gap = partIndex > 0 && part.start > parts[partIndex - 1].end ? ' ' : '';
+        return text + gap + source.slice(part.start, part.end);
+      }, '');
+      pragmas.push({ name: body[0].value, value, line: token.line });
+    }
+    
+    index = end + 1;
+  }
+  
+  return { imports, pragmas };
+}
+
+module.exports = {
+  tokenize,
+  parseDirectives
+};
\ No newline at end of file
@@ -3,7 +3,7 @@
  * Provides validation functions for request data
  */
 
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 let config;
 
 try {
@@ -21,6 +21,369 @@ try {
   };
 }
 
+// Top-level directories of the temporary Foundry project that sources may not overwrite
+const RESERVED_SOURCE_DIRS = ['lib', 'out', 'cache'];
+
+// EVM versions accepted by the compiler
+const EVM_VERSIONS = ['homestead', 'tangerineWhistle', 'spuriousDragon', 'byzantium', 'constantinople', 'petersburg', 'istanbul', 'berlin', 'london', 'paris', 'shanghai', 'cancun'];
+
+// Frameworks whose artifact layout a compilation can be exported in
+const ARTIFACT_FORMATS = ['hardhat', 'foundry', 'truffle'];
+
+// Libraries TypeScript bindings can be generated with
+const CODEGEN_TARGETS = ['ethers-v6', 'viem'];
+
+// Formats NatSpec documentation can be rendered in
+const DOCS_FORMATS = ['markdown', 'html'];
+
+// How compilations treat contracts over the EIP-170 or EIP-3860 size limits
+const SIZE_LIMIT_MODES = ['warn', 'error'];
+
+// A contract name, optionally qualified by its source file ("src/Vault.sol:Vault")
+const CONTRACT_SELECTOR = /^([\w@+./-]+\.sol:)?\w+$/;
+
+// Extra outputs a compilation request can ask for
+const COMPILER_OUTPUTS = ['metadata', 'storageLayout', 'userdoc', 'devdoc', 'sourceMap', 'deployedSourceMap', 'linkReferences',
+  'deployedLinkReferences', 'immutableReferences', 'assembly', 'opcodes', 'deployedOpcodes', 'ir', 'irOptimized', 'ast'];
+
+/**
+ * Validate a relative source path written into the temporary project
+ * @param {string} sourcePath - Relative file path
+ * @param {Object} [options] - Validation options
+ * @param {Array<string>} [options.reservedDirs] - Top-level directories the path may not start with
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateSourcePath = (sourcePath, { reservedDirs = RESERVED_SOURCE_DIRS } = {}) => {
+  const segments = sourcePath.replace(/^\.\//, '').split('/');
+  
+  if (sourcePath.startsWith('/') || sourcePath.includes('\\') || segments.some(s => s === '' || s === '.' || s === '..')) {
+    throw new Error(`Invalid source path "${sourcePath}": paths must be relative and may not contain "." or ".." segments`);
+  }
+  
+  // Paths are passed to forge on the command line, so keep them to a safe character set
+  if (!segments.every(s => /^[\w@+.-]+$/.test(s))) {
+    throw new Error(`Invalid source path "${sourcePath}": only letters, digits and _ @ + . - are allowed`);
+  }
+  
+  if (!sourcePath.endsWith('.sol')) {
+    throw new Error(`Invalid source path "${sourcePath}": only .sol files are supported`);
+  }
+  
+  if (reservedDirs.includes(segments[0])) {
+    throw new Error(`Invalid source path "${sourcePath}": the "${segments[0]}/" directory is reserved`);
+  }
+  
+  return true;
+};
+
+/**
+ * Validate a multi-file sources map (path -> Solidity source code)
+ * @param {Object} sources - Sources map from the request body
+ * @param {Object} meta - express-validator metadata
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateSources = (sources, { req }) => {
+  const paths = Object.keys(sources);
+  
+  if (paths.length === 0) {
+    throw new Error('Sources must contain at least one file');
+  }
+  
+  if (req.body.contractCode !== undefined) {
+    throw new Error('Provide either contractCode or sources, not both');
+  }
+  
+  let totalSize = 0;
+  
+  for (const sourcePath of paths) {
+    validateSourcePath(sourcePath);
+    
+    if (typeof sources[sourcePath] !== 'string') {
+      throw new Error(`Source code for "${sourcePath}" must be a string`);
+    }
+    
+    totalSize += sources[sourcePath].length;
+  }
+  
+  if (totalSize > config.limits.maxContractSize) {
+    throw new Error(`Sources exceed maximum total size of ${config.limits.maxContractSize} characters`);
+  }
+  
+  return true;
+};
+
+/**
+ * Validate a list of remappings ("[context:]prefix=target")
+ * Targets must stay inside the compilation project.
+ * @param {Array<string>} remappings - Remappings from the request
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateRemappings = (remappings) => {
+  for (const remapping of remappings) {
+    if (typeof remapping !== 'string' || !/^[^=\s"]+=[^=\s"]*$/.test(remapping)) {
+      throw new Error(`Invalid remapping "${remapping}": expected "[context:]prefix=target"`);
+    }
+    
+    const target = remapping.split('=')[1];
+    if (target.startsWith('/') || target.split('/').includes('..')) {
+      throw new Error(`Invalid remapping "${remapping}": target must be a path inside the project`);
+    }
+  }
+  
+  return true;
+};
+
+/**
+ * Validate uploaded library sources ({ name: { path: content } })
+ * Each library is written to lib/<name>/ in the temporary project, so names are single path segments.
+ * @param {Object} libraries - Library sources from the request
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateLibrarySources = (libraries) => {
+  let totalSize = 0;
+  
+  for (const [name, files] of Object.entries(libraries)) {
+    if (!/^[\w@+.-]+$/.test(name) || name === '.' || name === '..') {
+      throw new Error(`Invalid library name "${name}": only letters, digits and _ @ + . - are allowed`);
+    }
+    
+    if (!files || typeof files !== 'object' || Array.isArray(files) || Object.keys(files).length === 0) {
+      throw new Error(`Library "${name}" must be an object mapping file paths to source code`);
+    }
+    
+    for (const [filePath, content] of Object.entries(files)) {
+      // Paths are relative to the library root, where lib/ and out/ are ordinary directories
+      validateSourcePath(filePath, { reservedDirs: [] });
+      
+      if (typeof content !== 'string') {
+        throw new Error(`Source code for "${name}/${filePath}" must be a string`);
+      }
+      
+      totalSize += content.length;
+    }
+  }
+  
+  if (totalSize > config.limits.maxContractSize) {
+    throw new Error(`Libraries exceed maximum total size of ${config.limits.maxContractSize} characters`);
+  }
+  
+  return true;
+};
+
+/**
+ * Validate a lockfile sent back from a previous compilation response
+ * @param {Object} lockfile - Lockfile from the request
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateLockfile = (lockfile) => {
+  if (lockfile.lockfileVersion !== 1 || !Array.isArray(lockfile.libraries)) {
+    throw new Error('lockfile must be a lockfile from a compilation response (lockfileVersion 1 with a libraries array)');
+  }
+  
+  for (const library of lockfile.libraries) {
+    const name = library && library.folderName;
+    if (typeof name !== 'string' || !/^[\w@+.-]+$/.test(name) || name === '.' || name === '..') {
+      throw new Error(`Invalid locked library name "${name}": only letters, digits and _ @ + . - are allowed`);
+    }
+    if (!['store', 'installed', 'uploaded'].includes(library.source)) {
+      throw new Error(`Locked library "${name}" must have source "store", "installed" or "uploaded"`);
+    }
+    if (library.commit != null && !/^[0-9a-f]{40}$/.test(library.commit)) {
+      throw new Error(`Locked library "${name}" has an invalid commit hash`);
+    }
+    if (library.repo != null && !/^[\w.-]+\/[\w.-]+$/.test(library.repo)) {
+      throw new Error(`Locked library "${name}" has an invalid repository`);
+    }
+    if (!Array.isArray(library.remappings)) {
+      throw new Error(`Locked library "${name}" must list its remappings`);
+    }
+    validateRemappings(library.remappings);
+    
+    if (!library.files || typeof library.files !== 'object' || Array.isArray(library.files)) {
+      throw new Error(`Locked library "${name}" must map its files to SHA-256 hashes`);
+    }
+    for (const [filePath, hash] of Object.entries(library.files)) {
+      validateSourcePath(filePath, { reservedDirs: [] });
+      if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) {
+        throw new Error(`Locked file "${name}/${filePath}" has an invalid SHA-256 hash`);
+      }
+    }
+  }
+  
+  return true;
+};
+
+/**
+ * Validate Standard JSON sources ({ path: { content } })
+ * @param {Object} sources - Standard JSON sources object
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateStandardJsonSources = (sources) => {
+  const paths = Object.keys(sources);
+  
+  if (paths.length === 0) {
+    throw new Error('sources must contain at least one file');
+  }
+  
+  let totalSize = 0;
+  
+  for (const sourcePath of paths) {
+    // Standard JSON paths are virtual, e.g. lib/forge-std/src/Test.sol in Foundry build-info input
+    validateSourcePath(sourcePath, { reservedDirs: [] });
+    
+    const source = sources[sourcePath];
+    if (!source || typeof source.content !== 'string') {
+      throw new Error(`Source "${sourcePath}" must provide its code in "content" (urls are not supported)`);
+    }
+    
+    totalSize += source.content.length;
+  }
+  
+  if (totalSize > config.limits.maxContractSize) {
+    throw new Error(`Sources exceed maximum total size of ${config.limits.maxContractSize} characters`);
+  }
+  
+  return true;
+};
+
+/**
+ * Validate a Standard JSON libraries object ({ file: { Library: address } })
+ * @param {Object} libraries - Library addresses by source file
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateLibraryAddresses = (libraries) => {
+  for (const [file, entries] of Object.entries(libraries)) {
+    if (!entries || typeof entries !== 'object') {
+      throw new Error(`Libraries for "${file}" must be an object mapping library names to addresses`);
+    }
+    
+    for (const [name, address] of Object.entries(entries)) {
+      if (!/^[\w@+./-]+$/.test(file) || !/^\w+$/.test(name)) {
+        throw new Error(`Invalid library reference "${file}:${name}"`);
+      }
+      if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new Error(`Invalid address for library "${file}:${name}"`);
+      }
+    }
+  }
+  
+  return true;
+};
+
+/**
+ * Group "file:Library" -> address entries by file, the Standard JSON libraries format
+ * @param {Object<string, *>} entries - Library addresses by "file:Library" reference
+ * @returns {Object<string, Object<string, *>>} Library addresses by source file
+ */
+const groupLibraryReferences = (entries) => {
+  const grouped = {};
+  for (const [reference, address] of Object.entries(entries)) {
+    const separatorIndex = reference.lastIndexOf(':');
+    if (separatorIndex <= 0) {
+      throw new Error(`Invalid library reference "${reference}": expected "file:Library"`);
+    }
+    const file = reference.slice(0, separatorIndex);
+    grouped[file] = { ...grouped[file], [reference.slice(separatorIndex + 1)]: address };
+  }
+  return grouped;
+};
+
+/**
+ * Validate the libraries of a compilation request
+ * String values are deployed addresses keyed by "file:Library", object values are uploaded library sources.
+ * @param {Object} libraries - Libraries from the request
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateLibraries = (libraries) => {
+  const addresses = {};
+  const sources = {};
+  for (const [key, value] of Object.entries(libraries)) {
+    if (typeof value === 'string') {
+      addresses[key] = value;
+    } else {
+      sources[key] = value;
+    }
+  }
+  
+  validateLibrarySources(sources);
+  return validateLibraryAddresses(groupLibraryReferences(addresses));
+};
+
+/**
+ * Validate the link references of unlinked bytecode ({ file: { Library: [{ start, length }] } })
+ * @param {Object} linkReferences - Link references from the request
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateLinkReferences = (linkReferences) => {
+  for (const [file, entries] of Object.entries(linkReferences)) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`Link references for "${file}" must be an object mapping library names to offsets`);
+    }
+    
+    for (const [name, offsets] of Object.entries(entries)) {
+      const isOffset = offset => offset && Number.isInteger(offset.start) && offset.start >= 0 && Number.isInteger(offset.length);
+      if (!Array.isArray(offsets) || !offsets.every(isOffset)) {
+        throw new Error(`Link references for "${file}:${name}" must be an array of { start, length } byte offsets`);
+      }
+    }
+  }
+  
+  return true;
+};
+
+/**
+ * Validate an ABI parameter and its tuple components
+ * @param {Object} param - ABI parameter
+ * @param {string} label - Where the parameter is, for error messages
+ * @returns {void}
+ */
+const validateAbiParameter = (param, label) => {
+  if (!param || typeof param.type !== 'string' || !/^[a-z][a-z0-9]*(\[\d*\])*$/.test(param.type)) {
+    throw new Error(`${label} has an invalid type`);
+  }
+  if (param.name !== undefined && (typeof param.name !== 'string' || !/^[\w$]*$/.test(param.name))) {
+    throw new Error(`${label} has an invalid name`);
+  }
+  if (param.type.startsWith('tuple')) {
+    if (!Array.isArray(param.components)) {
+      throw new Error(`${label} is a tuple without components`);
+    }
+    param.components.forEach((component, index) => validateAbiParameter(component, `${label} component ${index}`));
+  }
+};
+
+/**
+ * Validate the ABIs of a codegen request ({ contract: abi } or { contract: { abi } })
+ * @param {Object} contracts - ABIs by contract name or fully qualified "path:Contract" name
+ * @returns {boolean} True if valid, throws otherwise
+ */
+const validateAbis = (contracts) => {
+  for (const [key, value] of Object.entries(contracts)) {
+    if (!CONTRACT_SELECTOR.test(key)) {
+      throw new Error(`Invalid contract name "${key}"`);
+    }
+    
+    const abi = Array.isArray(value) ? value : value && value.abi;
+    if (!Array.isArray(abi)) {
+      throw new Error(`Contract "${key}" must be an ABI array or an object with an abi array`);
+    }
+    
+    for (const [index, fragment] of abi.entries()) {
+      if (!fragment || typeof fragment.type !== 'string') {
+        throw new Error(`ABI entry ${index} of "${key}" must be an object with a type`);
+      }
+      if (['function', 'event', 'error'].includes(fragment.type) && !/^[\w$]+$/.test(fragment.name || '')) {
+        throw new Error(`ABI entry ${index} of "${key}" has an invalid name`);
+      }
+      for (const list of ['inputs', 'outputs']) {
+        (fragment[list] || []).forEach((param, paramIndex) => validateAbiParameter(param, `${fragment.name || fragment.type} ${list.slice(0, -1)} ${paramIndex} of "${key}"`));
+      }
+    }
+  }
+  
+  return true;
+};
+
 /**
  * Get validation rules for compilation request
  * @returns {Array} Array of validation rules
@@ -28,6 +391,7 @@ try {
 const getCompilationValidationRules = () => {
   return [
     body('contractCode')
+      .if(body('sources').not().exists())
       .notEmpty()
       .withMessage('Contract code is required')
       .isString()
@@ -35,6 +399,30 @@ const getCompilationValidationRules = () => {
       .isLength({ max: config.limits.maxContractSize })
       .withMessage(`Contract code exceeds maximum size of ${config.limits.maxContractSize} characters`),
     
+    body('sources')
+      .optional()
+      .isObject()
+      .withMessage('Sources must be an object mapping file paths to source code')
+      .custom(validateSources),
+    
+    body('remappings')
+      .optional()
+      .isArray()
+      .withMessage('remappings must be an array of "[context:]prefix=target" strings')
+      .custom(validateRemappings),
+    
+    body('libraries')
+      .optional()
+      .isObject()
+      .withMessage('libraries must be an object mapping library names to { path: source code } or "file:Library" to addresses')
+      .custom(validateLibraries),
+    
+    body('lockfile')
+      .optional()
+      .isObject()
+      .withMessage('lockfile must be the lockfile object of a previous compilation response')
+      .custom(validateLockfile),
+    
     body('solidityVersion')
       .optional()
       .isString()
@@ -46,15 +434,25 @@ const getCompilationValidationRules = () => {
       .optional()
       .isString()
       .withMessage('EVM version must be a string')
-      .isIn(['homestead', 'tangerineWhistle', 'spuriousDragon', 'byzantium', 'constantinople', 'petersburg', 'istanbul', 'berlin', 'london', 'paris', 'shanghai', 'cancun'])
+      .isIn(EVM_VERSIONS)
       .withMessage('Invalid EVM version'),
     
     body('contractName')
       .optional()
       .isString()
       .withMessage('Contract name must be a string')
-      .matches(/^[a-zA-Z0-9_]+$/)
-      .withMessage('Contract name can only contain alphanumeric characters and underscores'),
+      .matches(CONTRACT_SELECTOR)
+      .withMessage('Contract name must be a contract name or a fully qualified "path:Contract" name'),
+    
+    body('contracts')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('contracts must be a non-empty array of contract names'),
+    
+    body('contracts.*')
+      .isString()
+      .matches(CONTRACT_SELECTOR)
+      .withMessage('Contracts must be contract names or fully qualified "path:Contract" names'),
     
     body('optimize')
       .optional()
@@ -65,6 +463,257 @@ const getCompilationValidationRules = () => {
       .optional()
       .isInt({ min: 1, max: 1000000 })
       .withMessage('Optimize runs must be an integer between 1 and 1000000'),
+    
+    body('sizeLimits')
+      .optional()
+      .isIn(SIZE_LIMIT_MODES)
+      .withMessage(`sizeLimits must be one of ${SIZE_LIMIT_MODES.join(', ')}`),
+    
+    body('sizeReport')
+      .optional()
+      .isArray({ min: 1, max: 8 })
+      .withMessage('sizeReport must be an array of 1 to 8 optimizer run counts'),
+    
+    body('sizeReport.*')
+      .isInt({ min: 1, max: 1000000 })
+      .withMessage('Optimizer run counts must be integers between 1 and 1000000'),
+    
+    body('outputs')
+      .optional()
+      .isArray()
+      .withMessage('outputs must be an array of output names'),
+    
+    body('outputs.*')
+      .isIn(COMPILER_OUTPUTS)
+      .withMessage(`Unknown output; supported outputs are ${COMPILER_OUTPUTS.join(', ')}`),
+    
+    body('artifactFormat')
+      .optional()
+      .isIn(ARTIFACT_FORMATS)
+      .withMessage(`artifactFormat must be one of ${ARTIFACT_FORMATS.join(', ')}`),
+    
+    body('codegen')
+      .optional()
+      .isArray()
+      .withMessage('codegen must be an array of binding targets'),
+    
+    body('codegen.*')
+      .isIn(CODEGEN_TARGETS)
+      .withMessage(`Unknown codegen target; supported targets are ${CODEGEN_TARGETS.join(', ')}`),
+    
+    body('docs')
+      .optional()
+      .isArray()
+      .withMessage('docs must be an array of documentation formats'),
+    
+    body('docs.*')
+      .isIn(DOCS_FORMATS)
+      .withMessage(`Unknown documentation format; supported formats are ${DOCS_FORMATS.join(', ')}`),
+  ];
+};
+
+/**
+ * Get validation rules for solc Standard JSON input requests
+ * @returns {Array} Array of validation rules
+ */
+const getStandardJsonValidationRules = () => {
+  return [
+    body('language')
+      .optional()
+      .equals('Solidity')
+      .withMessage('Only Solidity Standard JSON input is supported'),
+    
+    body('sources')
+      .isObject()
+      .withMessage('sources must be an object mapping file paths to { content }')
+      .custom(validateStandardJsonSources),
+    
+    body('settings')
+      .optional()
+      .isObject()
+      .withMessage('settings must be an object'),
+    
+    body('settings.optimizer.enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('settings.optimizer.enabled must be a boolean'),
+    
+    body('settings.optimizer.runs')
+      .optional()
+      .isInt({ min: 0, max: 4294967295 })
+      .withMessage('settings.optimizer.runs must be a non-negative integer'),
+    
+    body('settings.evmVersion')
+      .optional()
+      .isIn(EVM_VERSIONS)
+      .withMessage('Invalid EVM version'),
+    
+    body('settings.viaIR')
+      .optional()
+      .isBoolean()
+      .withMessage('settings.viaIR must be a boolean'),
+    
+    body('settings.remappings')
+      .optional()
+      .isArray()
+      .withMessage('settings.remappings must be an array')
+      .custom(validateRemappings),
+    
+    body('settings.libraries')
+      .optional()
+      .isObject()
+      .withMessage('settings.libraries must be an object')
+      .custom(validateLibraryAddresses),
+    
+    body('settings.metadata.bytecodeHash')
+      .optional()
+      .isIn(['ipfs', 'bzzr1', 'none'])
+      .withMessage('settings.metadata.bytecodeHash must be one of ipfs, bzzr1, none'),
+    
+    body('settings.metadata.useLiteralContent')
+      .optional()
+      .isBoolean()
+      .withMessage('settings.metadata.useLiteralContent must be a boolean'),
+    
+    body('settings.metadata.appendCBOR')
+      .optional()
+      .isBoolean()
+      .withMessage('settings.metadata.appendCBOR must be a boolean'),
+    
+    body('settings.outputSelection')
+      .optional()
+      .isObject()
+      .withMessage('settings.outputSelection must be an object'),
+    
+    query('solidityVersion')
+      .optional()
+      .matches(/^(\d+\.\d+\.\d+|latest)$/)
+      .withMessage('Invalid Solidity version format. Use format like "0.8.20" or "latest"'),
+  ];
+};
+
+/**
+ * Get validation rules for registering a solc binary from a local file
+ * @returns {Array} Array of validation rules
+ */
+const getCompilerRegistrationValidationRules = () => {
+  return [
+    body('file')
+      .isString()
+      .withMessage('file must be the path of a solc binary')
+      .notEmpty()
+      .withMessage('file is required'),
+    
+    body('version')
+      .optional()
+      .matches(/^\d+\.\d+\.\d+$/)
+      .withMessage('Invalid Solidity version format. Use format like "0.8.20"'),
+    
+    body('sha256')
+      .optional()
+      .matches(/^(0x)?[0-9a-fA-F]{64}$/)
+      .withMessage('sha256 must be a hex-encoded SHA-256 checksum'),
+    
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('force must be a boolean'),
+  ];
+};
+
+/**
+ * Get validation rules for registering solc binaries from a local mirror
+ * @returns {Array} Array of validation rules
+ */
+const getCompilerMirrorValidationRules = () => {
+  return [
+    body('mirror')
+      .isString()
+      .withMessage('mirror must be the path of a solc mirror directory')
+      .notEmpty()
+      .withMessage('mirror is required'),
+    
+    body('versions')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('versions must be a non-empty array'),
+    
+    body('versions.*')
+      .matches(/^\d+\.\d+\.\d+$/)
+      .withMessage('Invalid Solidity version format. Use format like "0.8.20"'),
+    
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('force must be a boolean'),
+  ];
+};
+
+/**
+ * Get validation rules for library linking request
+ * @returns {Array} Array of validation rules
+ */
+const getLinkValidationRules = () => {
+  return [
+    body('bytecode')
+      .isString()
+      .withMessage('bytecode must be a string')
+      .notEmpty()
+      .withMessage('bytecode is required')
+      .matches(/^(0x)?[0-9a-fA-F_$]*$/)
+      .withMessage('bytecode must be hex with library placeholders'),
+    
+    body('linkReferences')
+      .isObject()
+      .withMessage('linkReferences must be the linkReferences object of a compiled contract')
+      .custom(validateLinkReferences),
+    
+    body('libraries')
+      .isObject()
+      .withMessage('libraries must be an object mapping "file:Library" to addresses')
+      .custom(libraries => validateLibraryAddresses(groupLibraryReferences(libraries))),
+  ];
+};
+
+/**
+ * Get validation rules for TypeScript binding generation request
+ * @returns {Array} Array of validation rules
+ */
+const getCodegenValidationRules = () => {
+  return [
+    body('contracts')
+      .isObject()
+      .withMessage('contracts must be an object mapping contract names to ABIs')
+      .custom(validateAbis),
+    
+    body('targets')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('targets must be a non-empty array of binding targets'),
+    
+    body('targets.*')
+      .isIn(CODEGEN_TARGETS)
+      .withMessage(`Unknown codegen target; supported targets are ${CODEGEN_TARGETS.join(', ')}`),
+  ];
+};
+
+/**
+ * Get validation rules for static analysis request
+ * Detector IDs are checked against the registered detectors by analysisService.
+ * @returns {Array} Array of validation rules
+ */
+const getAnalysisValidationRules = () => {
+  return [
+    ...getCompilationValidationRules(),
+    
+    body('detectors')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('detectors must be a non-empty array of detector IDs'),
+    
+    body('detectors.*')
+      .isString()
+      .withMessage('Detector IDs must be strings'),
   ];
 };
 
@@ -91,5 +740,11 @@ const validate = (req, res, next) => {
 
 module.exports = {
   getCompilationValidationRules,
+  getStandardJsonValidationRules,
+  getCompilerRegistrationValidationRules,
+  getCompilerMirrorValidationRules,
+  getLinkValidationRules,
+  getCodegenValidationRules,
+  getAnalysisValidationRules,
   validate
 };
\ No newline at end of file
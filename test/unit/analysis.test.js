@@ -0,0 +1,179 @@
+/**
+ * Unit tests for static analysis
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const analysisService = require('../../src/services/analysisService');
+
+describe('Static analysis', () => {
+  const content = [
+    'pragma solidity ^0.8.20;',
+    'contract Base { address owner; }',
+    'contract Vault is Base {',
+    '    mapping(address => uint256) balances;',
+    '    address treasury;',
+    '    function withdraw(uint256 amount) external {',
+    '        require(tx.origin == owner);',
+    '        payable(msg.sender).call{value: amount}("");',
+    '        balances[msg.sender] -= amount;',
+    '    }',
+    '    function setTreasury(address newTreasury) external {',
+    '        treasury = newTreasury;',
+    '    }',
+    '    function close(address owner) external {',
+    '        selfdestruct(payable(owner));',
+    '    }',
+    '}'
+  ].join('\n');
+  
+  // Source range of a snippet, searched from an anchor so repeated snippets can be told apart
+  const at = (snippet, anchor = '') => `${content.indexOf(snippet, content.indexOf(anchor))}:${snippet.length}:0`;
+  const node = (nodeType, snippet, props = {}, anchor = '') => ({ nodeType, src: at(snippet, anchor), ...props });
+  const identifier = (name, referencedDeclaration, anchor) => node('Identifier', name, { name, referencedDeclaration }, anchor);
+  const variable = (id, name, typeString, snippet, props = {}, anchor = '') => node('VariableDeclaration', snippet, { id, name, typeDescriptions: { typeString }, ...props }, anchor);
+  const fn = (name, parameters, statements) => node('FunctionDefinition', `function ${name}`, {
+    kind: 'function',
+    name,
+    stateMutability: 'nonpayable',
+    modifiers: [],
+    parameters: { nodeType: 'ParameterList', parameters },
+    returnParameters: { nodeType: 'ParameterList', parameters: [] },
+    body: { nodeType: 'Block', statements: statements.map(expression => ({ nodeType: 'ExpressionStatement', expression })) }
+  });
+  // Function nodes span their whole body
+  const span = (definition, end) => ({ ...definition, src: `${definition.src.split(':')[0]}:${content.indexOf(end, parseInt(definition.src, 10)) - parseInt(definition.src, 10)}:0` });
+  
+  const buildInfo = {
+    input: { sources: { 'src/Vault.sol': { content } } },
+    output: {
+      sources: {
+        'src/Vault.sol': {
+          id: 0,
+          ast: node('SourceUnit', content, {
+            nodes: [
+              node('PragmaDirective', 'pragma solidity ^0.8.20;', { literals: ['solidity', '^', '0.8', '.20'] }),
+              node('ContractDefinition', 'contract Base { address owner; }', {
+                id: 2,
+                name: 'Base',
+                linearizedBaseContracts: [2],
+                nodes: [variable(1, 'owner', 'address', 'address owner', { stateVariable: true })]
+              }),
+              node('ContractDefinition', content.slice(content.indexOf('contract Vault')), {
+                id: 5,
+                name: 'Vault',
+                linearizedBaseContracts: [5, 2],
+                nodes: [
+                  variable(3, 'balances', 'mapping(address => uint256)', 'mapping(address => uint256) balances', { stateVariable: true }),
+                  variable(4, 'treasury', 'address', 'address treasury', { stateVariable: true }),
+                  span(fn('withdraw', [variable(6, 'amount', 'uint256', 'uint256 amount')], [
+                    node('FunctionCall', 'require(tx.origin == owner)', {
+                      expression: { ...identifier('require'), typeDescriptions: { typeIdentifier: 't_function_require_pure$_t_bool_$returns$__$' } },
+                      arguments: [node('BinaryOperation', 'tx.origin == owner', {
+                        operator: '==',
+                        leftExpression: node('MemberAccess', 'tx.origin', { memberName: 'origin', expression: identifier('tx') }),
+                        rightExpression: identifier('owner', 1, 'tx.origin')
+                      })]
+                    }),
+                    node('FunctionCall', 'payable(msg.sender).call{value: amount}("")', {
+                      expression: node('FunctionCallOptions', 'payable(msg.sender).call{value: amount}', {
+                        expression: node('MemberAccess', 'payable(msg.sender).call', { memberName: 'call' }),
+                        typeDescriptions: { typeIdentifier: 't_function_barecall_payable$_t_bytes_memory_ptr_$returns$_t_bool_$_t_bytes_memory_ptr_$value' }
+                      }),
+                      arguments: []
+                    }),
+                    node('Assignment', 'balances[msg.sender] -= amount', {
+                      operator: '-=',
+                      leftHandSide: node('IndexAccess', 'balances[msg.sender]', { baseExpression: identifier('balances', 3, 'balances[') }),
+                      rightHandSide: identifier('amount', 6, '-= amount')
+                    })
+                  ]), '    function setTreasury'),
+                  span(fn('setTreasury', [variable(7, 'newTreasury', 'address', 'address newTreasury')], [
+                    node('Assignment', 'treasury = newTreasury', {
+                      operator: '=',
+                      leftHandSide: identifier('treasury', 4, 'treasury ='),
+                      rightHandSide: identifier('newTreasury', 7, '= newTreasury')
+                    })
+                  ]), '    function close'),
+                  span(fn('close', [variable(8, 'owner', 'address', 'address owner', {}, 'function close')], [
+                    node('FunctionCall', 'selfdestruct(payable(owner))', {
+                      expression: { ...identifier('selfdestruct'), typeDescriptions: { typeIdentifier: 't_function_selfdestruct_nonpayable$_t_address_payable_$returns$__$' } },
+                      arguments: [identifier('owner', 8, 'payable(owner)')]
+                    })
+                  ]), '\n}')
+                ]
+              })
+            ]
+          })
+        }
+      }
+    }
+  };
+  
+  test('analyze should report findings of every detector with severity, confidence and source locations', () => {
+    const detectors = analysisService.resolveDetectors();
+    const result = analysisService.analyze(buildInfo, { detectors, files: ['src/Vault.sol'] });
+    
+    expect(result.failedDetectors).toEqual([]);
+    expect(result.findings.map(finding => [finding.detector, finding.severity, finding.function, finding.location.line])).toEqual([
+      ['reentrancy', 'high', 'withdraw', 8],
+      ['tx-origin', 'medium', 'withdraw', 7],
+      ['unchecked-call', 'medium', 'withdraw', 8],
+      ['selfdestruct', 'medium', 'close', 15],
+      ['missing-zero-check', 'low', 'setTreasury', 12],
+      ['shadowing', 'low', 'close', 14],
+      ['floating-pragma', 'informational', null, 1]
+    ]);
+    expect(result.findings[0]).toMatchObject({
+      confidence: 'medium',
+      contract: 'src/Vault.sol:Vault',
+      message: 'withdraw writes balances after an external call',
+      location: { file: 'src/Vault.sol', column: 9, snippet: '        payable(msg.sender).call{value: amount}("");' }
+    });
+    expect(result.summary).toEqual({ high: 1, medium: 3, low: 2, informational: 1 });
+    
+    // Only the requested files are analyzed
+    expect(analysisService.analyze(buildInfo, { detectors, files: [] }).findings).toEqual([]);
+  });
+  
+  test('registered detectors should run alongside the built-in ones and report failures separately', () => {
+    analysisService.registerDetector({
+      id: 'test-contract-names',
+      title: 'Contract name',
+      description: 'Reports every contract',
+      severity: 'informational',
+      confidence: 'low',
+      detect: ({ contracts }) => contracts.map(({ node: contract }) => ({ node: contract, message: contract.name }))
+    });
+    analysisService.registerDetector({
+      id: 'test-broken',
+      title: 'Broken',
+      description: 'Always throws',
+      severity: 'low',
+      confidence: 'low',
+      detect: () => { throw new Error('boom'); }
+    });
+    
+    const result = analysisService.analyze(buildInfo, {
+      detectors: analysisService.resolveDetectors(['test-contract-names', 'test-broken']),
+      files: ['src/Vault.sol']
+    });
+    
+    expect(result.findings.map(finding => [finding.message, finding.contract])).toEqual([['Base', 'src/Vault.sol:Base'], ['Vault', 'src/Vault.sol:Vault']]);
+    expect(result.failedDetectors).toEqual([{ detector: 'test-broken', message: 'boom' }]);
+    expect(() => analysisService.registerDetector({ id: 'Bad Id', detect: () => [] })).toThrow('lowercase id');
+  });
+  
+  test('POST /api/v1/analyze should reject unknown detectors before compiling', async () => {
+    const listing = await request(app).get('/api/v1/analyze/detectors');
+    expect(listing.status).toBe(200);
+    expect(listing.body.detectors.map(detector => detector.id)).toEqual(expect.arrayContaining(['reentrancy', 'tx-origin', 'selfdestruct']));
+    
+    const response = await request(app)
+      .post('/api/v1/analyze')
+      .send({ contractCode: 'contract Vault {}', contractName: 'Vault', detectors: ['reentrancy', 'gas-golf'] });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.availableDetectors).toContain('reentrancy');
+  });
+});
\ No newline at end of file
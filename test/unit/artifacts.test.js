@@ -0,0 +1,101 @@
+/**
+ * Unit tests for framework artifact export
+ */
+
+const { PassThrough } = require('stream');
+const unzipper = require('unzipper');
+const artifactService = require('../../src/services/artifactService');
+
+describe('Artifact export', () => {
+  const metadata = JSON.stringify({ compiler: { version: '0.8.24+commit.e11b9ed9' } });
+  const buildInfo = {
+    id: 'b1d',
+    input: {
+      language: 'Solidity',
+      sources: { 'src/Vault.sol': { content: 'contract Vault {}' }, 'src/legacy/Vault.sol': { content: 'contract Vault {}' } }
+    },
+    output: {
+      contracts: {
+        'src/Vault.sol': {
+          Vault: {
+            abi: [{ type: 'function', name: 'deposit' }],
+            metadata,
+            evm: {
+              bytecode: { object: '6080', sourceMap: '1:2:0', linkReferences: { 'src/Math.sol': { Math: [{ start: 1, length: 20 }] } } },
+              deployedBytecode: { object: '60', sourceMap: '1:1:0', linkReferences: {} },
+              methodIdentifiers: { 'deposit()': 'd0e30db0' }
+            }
+          }
+        },
+        'src/legacy/Vault.sol': {
+          Vault: { abi: [], evm: { bytecode: { object: '' }, deployedBytecode: { object: '' } } }
+        }
+      },
+      sources: { 'src/Vault.sol': { id: 0, ast: { nodeType: 'SourceUnit' } }, 'src/legacy/Vault.sol': { id: 1, ast: {} } }
+    }
+  };
+  
+  test('createArtifacts should lay out Hardhat artifacts with debug files pointing at the build-info', () => {
+    const files = artifactService.createArtifacts(buildInfo, 'hardhat', { solcVersion: '0.8.24' });
+    
+    expect(Object.keys(files).sort()).toEqual([
+      'artifacts/build-info/b1d.json',
+      'artifacts/src/Vault.sol/Vault.dbg.json',
+      'artifacts/src/Vault.sol/Vault.json',
+      'artifacts/src/legacy/Vault.sol/Vault.dbg.json',
+      'artifacts/src/legacy/Vault.sol/Vault.json'
+    ]);
+    expect(files['artifacts/src/Vault.sol/Vault.json']).toEqual({
+      _format: 'hh-sol-artifact-1',
+      contractName: 'Vault',
+      sourceName: 'src/Vault.sol',
+      abi: [{ type: 'function', name: 'deposit' }],
+      bytecode: '0x6080',
+      deployedBytecode: '0x60',
+      linkReferences: { 'src/Math.sol': { Math: [{ start: 1, length: 20 }] } },
+      deployedLinkReferences: {}
+    });
+    expect(files['artifacts/src/legacy/Vault.sol/Vault.dbg.json'].buildInfo).toBe('../../../build-info/b1d.json');
+    expect(files['artifacts/build-info/b1d.json']).toMatchObject({ _format: 'hh-sol-build-info-1', solcVersion: '0.8.24' });
+  });
+  
+  test('createArtifacts should lay out Foundry and Truffle artifacts', () => {
+    const foundry = artifactService.createArtifacts(buildInfo, 'foundry', { solcVersion: '0.8.24' });
+    expect(Object.keys(foundry).sort()).toEqual([
+      'out/build-info/b1d.json',
+      'out/src/Vault.sol/Vault.json',
+      'out/src/legacy/Vault.sol/Vault.json'
+    ]);
+    expect(foundry['out/src/Vault.sol/Vault.json']).toMatchObject({
+      bytecode: { object: '0x6080', sourceMap: '1:2:0' },
+      methodIdentifiers: { 'deposit()': 'd0e30db0' },
+      rawMetadata: metadata,
+      metadata: JSON.parse(metadata),
+      id: 0
+    });
+    
+    const truffle = artifactService.createArtifacts(buildInfo, 'truffle', { solcVersion: '0.8.24' });
+    expect(Object.keys(truffle)).toEqual(['build/contracts/Vault.json']);
+    expect(truffle['build/contracts/Vault.json']).toMatchObject({
+      contractName: 'Vault',
+      sourcePath: 'src/legacy/Vault.sol',
+      source: 'contract Vault {}',
+      compiler: { name: 'solc', version: '0.8.24' },
+      networks: {}
+    });
+  });
+  
+  test('writeArtifactArchive should zip every artifact as JSON', async () => {
+    const files = artifactService.createArtifacts(buildInfo, 'hardhat', { solcVersion: '0.8.24' });
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    
+    await artifactService.writeArtifactArchive(files, output);
+    const archive = await unzipper.Open.buffer(Buffer.concat(chunks));
+    
+    expect(archive.files.map(file => file.path).sort()).toEqual(Object.keys(files).sort());
+    const artifact = archive.files.find(file => file.path === 'artifacts/src/Vault.sol/Vault.json');
+    expect(JSON.parse(await artifact.buffer())).toEqual(files['artifacts/src/Vault.sol/Vault.json']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for TypeScript binding generation
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const codegenService = require('../../src/services/codegenService');
+
+describe('TypeScript codegen', () => {
+  const abi = [
+    {
+      type: 'function',
+      name: 'deposit',
+      stateMutability: 'nonpayable',
+      inputs: [{
+        name: 'position',
+        type: 'tuple',
+        internalType: 'struct Vault.Position',
+        components: [{ name: 'owner', type: 'address' }, { name: 'amount', type: 'uint256' }]
+      }],
+      outputs: []
+    },
+    {
+      type: 'function',
+      name: 'balanceOf',
+      stateMutability: 'view',
+      inputs: [{ name: 'account', type: 'address' }],
+      outputs: [{ name: '', type: 'uint256' }]
+    },
+    {
+      type: 'event',
+      name: 'Deposited',
+      inputs: [{ name: 'owner', type: 'address', indexed: true }, { name: 'amount', type: 'uint256', indexed: false }]
+    },
+    { type: 'error', name: 'Insufficient', inputs: [{ name: 'needed', type: 'uint256' }] }
+  ];
+  
+  test('generateBindings should declare ethers v6 methods, structs, events and errors', () => {
+    const { 'ethers-v6': files } = codegenService.generateBindings({ 'src/Vault.sol:Vault': abi }, ['ethers-v6']);
+    const source = files['Vault.ts'];
+    
+    expect(Object.keys(files)).toEqual(['Vault.ts']);
+    expect(source).toContain('export const vaultAbi = [');
+    expect(source).toContain('export type PositionStruct = { owner: AddressLike; amount: BigNumberish };');
+    expect(source).toContain('export type DepositedEvent = { owner: string; amount: bigint };');
+    expect(source).toContain('export type InsufficientError = { needed: bigint };');
+    expect(source).toContain('deposit(position: Vault.PositionStruct, overrides?: Overrides): Promise<ContractTransactionResponse>;');
+    expect(source).toContain('balanceOf(account: AddressLike, overrides?: Overrides): Promise<bigint>;');
+  });
+  
+  test('generateBindings should type viem function arguments as readonly tuples', () => {
+    const { viem: files } = codegenService.generateBindings({ Vault: abi, IEmpty: [] }, ['viem']);
+    const source = files['Vault.ts'];
+    
+    expect(Object.keys(files)).toEqual(['Vault.ts']);
+    expect(source).toContain('balanceOf: { args: readonly [account: `0x${string}`]; outputs: bigint };');
+    expect(source).toContain('export function getVaultContract<TClient extends Client>(address: Address, client: TClient)');
+  });
+  
+  test('generateBindings should name overloaded events and errors after their argument types', () => {
+    const overloads = [
+      { type: 'event', name: 'Moved', inputs: [{ name: 'from', type: 'address' }, { name: 'amount', type: 'uint256' }] },
+      { type: 'event', name: 'Moved', inputs: [{ name: 'to', type: 'address' }, { name: 'id', type: 'bytes32' }] },
+      { type: 'event', name: 'Moved', inputs: [] },
+      {
+        type: 'error',
+        name: 'Rejected',
+        inputs: [{ name: '', type: 'tuple[]', components: [{ name: 'owner', type: 'address' }, { name: 'amount', type: 'uint256' }] }]
+      },
+      { type: 'error', name: 'Rejected', inputs: [{ name: '', type: 'address' }, { name: '', type: 'uint256[]' }] }
+    ];
+    const { 'ethers-v6': files } = codegenService.generateBindings({ Router: overloads }, ['ethers-v6']);
+    const names = files['Router.ts'].match(/export type \w+/g);
+    
+    expect(names).toEqual([
+      'export type Moved_address_uint256Event',
+      'export type Moved_address_bytes32Event',
+      'export type MovedEvent',
+      'export type Rejected_tuple2Array_address_uint256Error',
+      'export type Rejected_address_uint256ArrayError'
+    ]);
+  });
+  
+  test('generateBindings should rename ethers arguments that clash with the overrides parameter', () => {
+    const { 'ethers-v6': files } = codegenService.generateBindings({
+      Router: [{
+        type: 'function',
+        name: 'execute',
+        stateMutability: 'nonpayable',
+        inputs: [{ name: 'overrides', type: 'bytes' }, { name: 'overrides_', type: 'bool' }],
+        outputs: []
+      }]
+    }, ['ethers-v6']);
+    
+    expect(files['Router.ts']).toContain('execute(overrides_: BytesLike, overrides__: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;');
+  });
+  
+  test('generateBindings should rename arguments named like TypeScript reserved words', () => {
+    const abi = [{
+      type: 'function',
+      name: 'configure',
+      stateMutability: 'view',
+      inputs: [{ name: 'class', type: 'uint8' }, { name: 'default', type: 'bool' }, { name: 'yield', type: 'uint256' }],
+      outputs: []
+    }];
+    const files = codegenService.generateBindings({ Config: abi }, ['ethers-v6', 'viem']);
+    
+    expect(files['ethers-v6']['Config.ts']).toContain('configure(class_: BigNumberish, default_: boolean, yield_: BigNumberish, overrides?: Overrides): Promise<void>;');
+    expect(files.viem['Config.ts']).toContain('configure: { args: readonly [class_: number, default_: boolean, yield_: bigint]; outputs: void };');
+  });
+  
+  test('POST /api/v1/codegen/typescript should generate bindings and validate ABIs', async () => {
+    const response = await request(app)
+      .post('/api/v1/codegen/typescript')
+      .send({ contracts: { 'src/Vault.sol:Vault': { abi } }, targets: ['ethers-v6', 'viem'] });
+    
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body.typescript)).toEqual(['ethers-v6', 'viem']);
+    expect(response.body.typescript.viem['Vault.ts']).toContain('export type Functions = {');
+    
+    const invalid = await request(app)
+      .post('/api/v1/codegen/typescript')
+      .send({ contracts: { Vault: [{ type: 'function', name: 'f', inputs: [{ name: 'x', type: 'uint256; evil' }] }] }, targets: ['web3'] });
+    
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.field)).toEqual(['contracts', 'targets[0]']);
+  });
+});
\ No newline at end of file
@@ -104,6 +104,20 @@ contract MyToken is ERC20 {
     expect(response.body.errors).toBeDefined();
   });
   
+  // Test unknown extra outputs
+  test('POST /api/v1/compile should reject unknown outputs', async () => {
+    const response = await request(app)
+      .post('/api/v1/compile')
+      .send({
+        contractCode: helloWorldContract,
+        outputs: ['storageLayout', 'bytecodeHash']
+      });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.errors[0].field).toBe('outputs[1]');
+  });
+  
   // Test with invalid Solidity version
   test('POST /api/v1/compile should return an error for invalid Solidity version', async () => {
     const response = await request(app)
@@ -116,4 +130,91 @@ contract MyToken is ERC20 {
     expect(response.status).toBe(400);
     expect(response.body.success).toBe(false);
   });
+
+  // Test multi-file sources validation
+  test('POST /api/v1/compile should reject source paths outside the project', async () => {
+    const response = await request(app)
+      .post('/api/v1/compile')
+      .send({
+        sources: {
+          'src/HelloWorld.sol': helloWorldContract,
+          '../outside.sol': helloWorldContract
+        }
+      });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.errors[0].field).toBe('sources');
+  });
+
+  // Test remapping and library validation
+  test('POST /api/v1/compile should reject remappings and libraries that escape the project', async () => {
+    const remappingResponse = await request(app)
+      .post('/api/v1/compile')
+      .send({
+        contractCode: helloWorldContract,
+        remappings: ['@openzeppelin/=/etc/']
+      });
+    const libraryResponse = await request(app)
+      .post('/api/v1/compile')
+      .send({
+        contractCode: helloWorldContract,
+        libraries: { 'my-lib': { '../Lib.sol': 'library Lib {}' } }
+      });
+    
+    expect(remappingResponse.status).toBe(400);
+    expect(remappingResponse.body.errors[0].field).toBe('remappings');
+    expect(libraryResponse.status).toBe(400);
+    expect(libraryResponse.body.errors[0].field).toBe('libraries');
+  });
+
+  // Test lockfile validation
+  test('POST /api/v1/compile should reject lockfiles with library paths outside the project', async () => {
+    const response = await request(app)
+      .post('/api/v1/compile')
+      .send({
+        contractCode: helloWorldContract,
+        lockfile: {
+          lockfileVersion: 1,
+          libraries: [{ folderName: '..', source: 'store', remappings: [], files: {} }]
+        }
+      });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].field).toBe('lockfile');
+  });
+
+  // Test import resolution without compiling
+  test('POST /api/v1/compile/resolve-imports should report unresolved imports', async () => {
+    const response = await request(app)
+      .post('/api/v1/compile/resolve-imports')
+      .send({
+        sources: {
+          'src/Main.sol': 'import "./Missing.sol";\ncontract Main {}'
+        }
+      });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.files.map(file => file.path)).toEqual(['src/Main.sol']);
+    expect(response.body.unresolved).toEqual([
+      expect.objectContaining({ importPath: './Missing.sol', from: 'src/Main.sol', resolvedPath: 'src/Missing.sol' })
+    ]);
+  });
+
+  // Test unknown compilation job
+  test('GET /api/v1/compile/jobs/:id should return 404 for an unknown job', async () => {
+    const response = await request(app).get('/api/v1/compile/jobs/does-not-exist');
+    
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  // Test streaming an unknown compilation job
+  test('GET /api/v1/compile/jobs/:id/stream should return 404 for an unknown job', async () => {
+    const response = await request(app).get('/api/v1/compile/jobs/does-not-exist/stream');
+    
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
 });
\ No newline at end of file
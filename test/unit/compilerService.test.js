@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the compiler inventory and offline compiler registration
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const compilerService = require('../../src/services/compilerService');
+
+describe('Compiler service', () => {
+  let workDir;
+  let originalSvmPath;
+  
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'compiler-service-'));
+    originalSvmPath = config.foundry.svmPath;
+    config.foundry.svmPath = path.join(workDir, 'svm');
+  });
+  
+  afterEach(async () => {
+    config.foundry.svmPath = originalSvmPath;
+    await fs.remove(workDir);
+  });
+  
+  /**
+   * Write a stand-in solc binary that reports the given version
+   * @param {string} filePath - Binary path
+   * @param {string} version - Version to report
+   * @returns {Promise<string>} SHA-256 checksum of the binary
+   */
+  async function writeFakeSolc(filePath, version) {
+    const content = `#!/bin/sh\necho "Version: ${version}+commit.00000000.Linux.g++"\n`;
+    await fs.outputFile(filePath, content, { mode: 0o755 });
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+  
+  test('getSupportedEvmVersions should only list EVM versions the compiler can target', () => {
+    expect(compilerService.getSupportedEvmVersions('0.8.19')).not.toContain('shanghai');
+    expect(compilerService.getSupportedEvmVersions('0.8.24')).toContain('cancun');
+    expect(compilerService.getSupportedEvmVersions('0.5.0')).toEqual(['homestead', 'tangerineWhistle', 'spuriousDragon', 'byzantium', 'constantinople']);
+  });
+  
+  test('selectCompilerVersion should reject a requested version below a library requirement', async () => {
+    const constraints = [{ file: 'lib/openzeppelin-contracts-5.2.0', pragma: '>=0.8.20' }];
+    
+    await expect(compilerService.selectCompilerVersion({}, { solidityVersion: '0.8.19', constraints }))
+      .rejects.toMatchObject({ statusCode: 422, details: { constraints } });
+    await expect(compilerService.selectCompilerVersion({}, { solidityVersion: '0.8.24', constraints }))
+      .resolves.toMatchObject({ version: '0.8.24', reason: 'Requested explicitly' });
+  });
+  
+  test('registerCompiler should install a local binary under its detected version', async () => {
+    const sha256 = await writeFakeSolc(path.join(workDir, 'solc'), '0.8.21');
+    
+    const compiler = await compilerService.registerCompiler({ file: path.join(workDir, 'solc'), sha256 });
+    
+    expect(compiler.version).toBe('0.8.21');
+    expect(await compilerService.listCompilers()).toEqual([compiler]);
+    await expect(compilerService.registerCompiler({ file: path.join(workDir, 'solc') }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(compilerService.registerCompiler({ file: path.join(workDir, 'solc'), version: '0.8.22', force: true }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+  test('registerCompilersFromMirror should skip binaries that fail checksum verification', async () => {
+    const mirror = path.join(workDir, 'mirror');
+    const sha256 = await writeFakeSolc(path.join(mirror, 'solc-v0.8.25'), '0.8.25');
+    await writeFakeSolc(path.join(mirror, 'solc-v0.8.26'), '0.8.26');
+    await fs.writeJson(path.join(mirror, 'list.json'), {
+      builds: [
+        { path: 'solc-v0.8.25', version: '0.8.25', sha256: `0x${sha256}` },
+        { path: 'solc-v0.8.26', version: '0.8.26', sha256: `0x${'0'.repeat(64)}` }
+      ],
+      releases: { '0.8.25': 'solc-v0.8.25', '0.8.26': 'solc-v0.8.26' }
+    });
+    
+    const { registered, skipped } = await compilerService.registerCompilersFromMirror({ mirror });
+    
+    expect(registered.map(compiler => compiler.version)).toEqual(['0.8.25']);
+    expect(skipped).toEqual([{ version: '0.8.26', reason: expect.stringContaining('Checksum mismatch') }]);
+    expect(await compilerService.listInstalledVersions()).toEqual(['0.8.25']);
+  });
+});
\ No newline at end of file
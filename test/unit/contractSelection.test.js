@@ -0,0 +1,65 @@
+/**
+ * Unit tests for contract selection by exact name
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const compilationService = require('../../src/services/compilationService');
+
+describe('Contract selection', () => {
+  const result = {
+    contracts: {
+      'src/Token.sol:Token': {},
+      'src/TokenManager.sol:TokenManager': {},
+      'src/Vault.sol:Vault': {},
+      'src/legacy/Vault.sol:Vault': {}
+    }
+  };
+  
+  test('selectContracts should only match exact contract names and fully qualified names', () => {
+    expect(compilationService.selectContracts(result, ['Token', 'src/legacy/Vault.sol:Vault'])).toEqual({
+      contractPaths: ['src/Token.sol:Token', 'src/legacy/Vault.sol:Vault'],
+      unmatched: []
+    });
+    expect(compilationService.selectContracts(result, ['token', 'Manager', 'src/Token.sol:TokenManager'])).toEqual({
+      contractPaths: [],
+      unmatched: ['token', 'Manager', 'src/Token.sol:TokenManager']
+    });
+  });
+  
+  test('selectContracts should reject names that several files declare, listing the qualified candidates', () => {
+    for (const strict of [false, true]) {
+      expect(() => compilationService.selectContracts(result, ['Vault'], { strict })).toThrow(expect.objectContaining({
+        statusCode: 409,
+        details: { candidates: ['src/Vault.sol:Vault', 'src/legacy/Vault.sol:Vault'] }
+      }));
+    }
+  });
+  
+  test('selectContracts should fail with the available contracts in strict mode', () => {
+    expect(() => compilationService.selectContracts(result, ['Token'], { strict: true })).not.toThrow();
+    
+    try {
+      compilationService.selectContracts(result, ['Manager'], { strict: true });
+      throw new Error('Expected Manager to be rejected');
+    } catch (error) {
+      expect(error.statusCode).toBe(404);
+      expect(error.details.availableContracts).toEqual(Object.keys(result.contracts));
+    }
+  });
+  
+  test('POST /api/v1/compile should key all contracts by qualified name when the target contract is missing', async () => {
+    jest.spyOn(compilationService, 'compileContract').mockResolvedValue({ success: true, contracts: result.contracts, diagnostics: [] });
+    
+    try {
+      const response = await request(app)
+        .post('/api/v1/compile')
+        .send({ contractCode: 'contract Vault {}', contractName: 'Missing' });
+      
+      expect(response.status).toBe(200);
+      expect(Object.keys(response.body.contracts)).toEqual(Object.keys(result.contracts));
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
\ No newline at end of file
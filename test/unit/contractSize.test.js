@@ -0,0 +1,83 @@
+/**
+ * Unit tests for contract size limits
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const compilationService = require('../../src/services/compilationService');
+const contractSize = require('../../src/utils/contractSize');
+
+describe('Contract size limits', () => {
+  const bytes = count => '60'.repeat(count);
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('getContractSize should measure runtime and initcode against the EIP-170 and EIP-3860 limits', () => {
+    expect(contractSize.getContractSize({ bytecode: `0x${bytes(49152)}`, deployedBytecode: bytes(24576) })).toEqual({
+      runtimeSize: 24576,
+      runtimeLimit: 24576,
+      runtimeMargin: 0,
+      initcodeSize: 49152,
+      initcodeLimit: 49152,
+      initcodeMargin: 0,
+      exceedsLimits: false
+    });
+    expect(contractSize.getContractSize({ bytecode: bytes(100), deployedBytecode: bytes(24577) })).toMatchObject({ runtimeMargin: -1, exceedsLimits: true });
+    expect(contractSize.getContractSize({ bytecode: bytes(49153), deployedBytecode: bytes(100) })).toMatchObject({ initcodeMargin: -1, exceedsLimits: true });
+    expect(contractSize.getContractSize({ bytecode: bytes(49153), deployedBytecode: bytes(100) }, { evmVersion: 'shanghai' })).toMatchObject({ initcodeMargin: -1, exceedsLimits: true });
+    
+    // Library placeholders are as long as the address that replaces them
+    expect(contractSize.getBytecodeSize(`73__$8a2fc1a0cb5b1f4b0e4f2d4a1a3c9f6e2b$__00`)).toBe(22);
+    expect(contractSize.getContractSize({ bytecode: '', deployedBytecode: undefined })).toMatchObject({ runtimeSize: 0, initcodeSize: 0 });
+  });
+  
+  test('getContractSize should only apply the initcode limit from Shanghai on', () => {
+    expect(contractSize.getContractSize({ bytecode: bytes(49153), deployedBytecode: bytes(100) }, { evmVersion: 'paris' })).toEqual({
+      runtimeSize: 100,
+      runtimeLimit: 24576,
+      runtimeMargin: 24476,
+      initcodeSize: 49153,
+      initcodeLimit: null,
+      initcodeMargin: null,
+      exceedsLimits: false
+    });
+    expect(contractSize.getContractSize({ bytecode: bytes(49153), deployedBytecode: bytes(24577) }, { evmVersion: 'london' })).toMatchObject({ runtimeMargin: -1, exceedsLimits: true });
+    expect(contractSize.getContractSize({ bytecode: bytes(49153), deployedBytecode: bytes(100) }, { evmVersion: 'cancun' })).toMatchObject({ initcodeLimit: 49152, exceedsLimits: true });
+  });
+  
+  test('POST /api/v1/compile should report sizes and fail oversized contracts when size limits are enforced', async () => {
+    const contracts = {
+      'src/Big.sol:Big': { abi: [], bytecode: bytes(30000), deployedBytecode: bytes(24577) },
+      'src/Big.sol:Small': { abi: [], bytecode: bytes(2), deployedBytecode: bytes(1) }
+    };
+    for (const contract of Object.values(contracts)) {
+      contract.size = contractSize.getContractSize(contract);
+    }
+    jest.spyOn(compilationService, 'compileContract').mockResolvedValue({ success: true, contracts, diagnostics: [] });
+    const sources = { 'src/Big.sol': 'contract Big {} contract Small {}' };
+    
+    const warned = await request(app).post('/api/v1/compile').send({ sources });
+    expect(warned.status).toBe(200);
+    expect(warned.body.contracts['src/Big.sol:Small'].size).toMatchObject({ runtimeSize: 1, initcodeSize: 2 });
+    expect(Object.keys(warned.body.sizeLimitExceeded)).toEqual(['src/Big.sol:Big']);
+    
+    const failed = await request(app).post('/api/v1/compile').send({ sources, sizeLimits: 'error' });
+    expect(failed.status).toBe(422);
+    expect(failed.body.message).toBe('src/Big.sol:Big exceeds the EIP-170 runtime or EIP-3860 initcode size limit');
+    
+    const checked = await request(app).post('/api/v1/compile/check').send({ sources });
+    expect(checked.status).toBe(200);
+    expect(Object.keys(checked.body.sizes)).toEqual(['src/Big.sol:Big', 'src/Big.sol:Small']);
+  });
+  
+  test('POST /api/v1/compile should validate size report run counts', async () => {
+    const response = await request(app)
+      .post('/api/v1/compile')
+      .send({ contractCode: 'contract Vault {}', sizeReport: [200, 0] });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].field).toBe('sizeReport[1]');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for listing the libraries in the shared library store
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const dependencyService = require('../../src/services/dependencyService');
+
+describe('Installed dependency listing', () => {
+  let storePath;
+  let originalLibPath;
+  
+  beforeAll(async () => {
+    storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'library-store-'));
+    originalLibPath = config.dependencies.libPath;
+    config.dependencies.libPath = storePath;
+    
+    // An npm-versioned library, a git checkout on a tagged commit and a folder unknown to config/dependencies.js
+    await fs.outputJson(path.join(storePath, 'openzeppelin-contracts-4.9.5/contracts/package.json'), { version: '4.9.5' });
+    await fs.outputFile(path.join(storePath, 'openzeppelin-contracts-4.9.5/contracts/token/ERC20/ERC20.sol'), 'contract ERC20 {}');
+    await fs.outputFile(path.join(storePath, 'solmate/src/tokens/ERC20.sol'), 'contract ERC20 {}');
+    await fs.outputFile(path.join(storePath, 'solmate/.git/HEAD'), 'ref: refs/heads/main\n');
+    await fs.outputFile(path.join(storePath, 'solmate/.git/refs/heads/main'), `${'a'.repeat(40)}\n`);
+    await fs.outputFile(path.join(storePath, 'solmate/.git/refs/tags/v7'), `${'a'.repeat(40)}\n`);
+    await fs.outputFile(path.join(storePath, 'my-lib/Lib.sol'), 'library Lib {}');
+  });
+  
+  afterAll(async () => {
+    config.dependencies.libPath = originalLibPath;
+    await fs.remove(storePath);
+  });
+  
+  test('listInstalledDependencies should match store folders against the dependency configuration', async () => {
+    const { count, dependencies } = await dependencyService.listInstalledDependencies();
+    const byFolder = Object.fromEntries(dependencies.map(dep => [dep.folderName, dep]));
+    
+    expect(count).toBe(3);
+    expect(byFolder['openzeppelin-contracts-4.9.5']).toMatchObject({
+      type: 'openzeppelin',
+      subtype: 'contracts',
+      versionSuffix: '4.9.5',
+      version: '4.9.5',
+      versionSource: 'contracts/package.json'
+    });
+    expect(byFolder.solmate).toMatchObject({ type: 'solmate', version: 'v7', versionSource: 'git' });
+    expect(byFolder['my-lib']).toMatchObject({ name: 'my-lib', type: 'unknown', version: null });
+  });
+  
+  test('listInstalledDependencies should list the remappings into each library with example imports', async () => {
+    const { dependencies } = await dependencyService.listInstalledDependencies();
+    const solmate = dependencies.find(dep => dep.folderName === 'solmate');
+    const myLib = dependencies.find(dep => dep.folderName === 'my-lib');
+    
+    expect(solmate.remappings).toContain('solmate/=lib/solmate/src/');
+    expect(solmate.importFormats[0]).toEqual({
+      importPrefix: 'solmate/',
+      target: 'lib/solmate/src/',
+      examples: ['solmate/tokens/ERC20.sol']
+    });
+    expect(myLib.importFormats).toEqual([
+      { importPrefix: 'my-lib/', target: 'lib/my-lib/', examples: ['my-lib/Lib.sol'] }
+    ]);
+  });
+});
\ No newline at end of file
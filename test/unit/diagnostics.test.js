@@ -0,0 +1,112 @@
+/**
+ * Unit tests for compiler diagnostics parsing
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/config');
+const foundryService = require('../../src/services/foundryService');
+const { fromSolcErrors, parseForgeOutput, hasErrors } = require('../../src/utils/diagnostics');
+
+describe('Diagnostics', () => {
+  const source = 'pragma solidity ^0.8.20;\n\ncontract A {\n    uint x = 1\n}\n';
+  
+  test('fromSolcErrors should resolve source offsets to line, column and snippet', () => {
+    const diagnostics = fromSolcErrors([{
+      severity: 'error',
+      errorCode: '2314',
+      type: 'ParserError',
+      message: "Expected ';' but got '}'",
+      sourceLocation: { file: 'src/A.sol', start: source.indexOf('}'), end: source.indexOf('}') + 1 }
+    }], { 'src/A.sol': { content: source } });
+    
+    expect(diagnostics).toEqual([{
+      severity: 'error',
+      errorCode: '2314',
+      type: 'ParserError',
+      message: "Expected ';' but got '}'",
+      file: 'src/A.sol',
+      line: 5,
+      column: 1,
+      snippet: '}'
+    }]);
+  });
+  
+  test('parseForgeOutput should parse errors and warnings from forge output', () => {
+    const output = [
+      'Error: Compiler run failed:',
+      "Error (2314): Expected ';' but got '}'",
+      ' --> src/A.sol:5:1:',
+      '  |',
+      '5 | }',
+      '  | ^',
+      '',
+      'Warning (1878): SPDX license identifier not provided in source file.',
+      '--> src/A.sol'
+    ].join('\n');
+    
+    const diagnostics = parseForgeOutput(output);
+    
+    expect(diagnostics).toHaveLength(2);
+    expect(diagnostics[0]).toMatchObject({
+      severity: 'error',
+      errorCode: '2314',
+      file: 'src/A.sol',
+      line: 5,
+      column: 1,
+      snippet: '}'
+    });
+    expect(diagnostics[1]).toMatchObject({
+      severity: 'warning',
+      errorCode: '1878',
+      file: 'src/A.sol',
+      line: null
+    });
+    expect(hasErrors(diagnostics)).toBe(true);
+    expect(hasErrors(diagnostics.slice(1))).toBe(false);
+  });
+  
+  test('compileContract should report build failures as client errors and failing to run forge as a server error', async () => {
+    const binPath = await fs.mkdtemp(path.join(os.tmpdir(), 'forge-bin-'));
+    const originalBinPath = config.foundry.binPath;
+    
+    try {
+      await fs.outputFile(path.join(binPath, 'forge'), '#!/bin/sh\necho "Error (2314): Expected \';\' but got \'}\'" >&2\nexit 1\n', { mode: 0o755 });
+      config.foundry.binPath = binPath;
+      await expect(foundryService.compileContract(binPath, {})).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringMatching(/^Compilation failed: Error \(2314\)/),
+        details: { diagnostics: [expect.objectContaining({ severity: 'error', errorCode: '2314' })] }
+      });
+      
+      config.foundry.binPath = path.join(binPath, 'missing');
+      await expect(foundryService.compileContract(binPath, {})).rejects.toMatchObject({
+        statusCode: 500,
+        message: expect.stringMatching(/^Failed to run forge: .*ENOENT/)
+      });
+    } finally {
+      config.foundry.binPath = originalBinPath;
+      await fs.remove(binPath);
+    }
+  });
+  
+  test('POST /api/v1/compile/check should report failing to run forge as a server error', async () => {
+    const originalBinPath = config.foundry.binPath;
+    config.foundry.binPath = path.join(os.tmpdir(), 'missing-forge-bin');
+    
+    try {
+      const response = await request(app)
+        .post('/api/v1/compile/check')
+        .send({ contractCode: 'pragma solidity ^0.8.0;\ncontract Check {}', contractName: 'Check', solidityVersion: '0.8.20' });
+      
+      expect(response.status).toBe(500);
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toMatch(/^Failed to run forge: /);
+    } finally {
+      config.foundry.binPath = originalBinPath;
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for NatSpec documentation generation
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const docsService = require('../../src/services/docsService');
+
+describe('NatSpec documentation', () => {
+  const parameter = (name, typeString, extra = {}) => ({ nodeType: 'VariableDeclaration', name, typeDescriptions: { typeString }, ...extra });
+  const parameters = (...list) => ({ nodeType: 'ParameterList', parameters: list });
+  const vault = {
+    nodeType: 'ContractDefinition',
+    id: 2,
+    name: 'Vault',
+    contractKind: 'contract',
+    abstract: false,
+    linearizedBaseContracts: [2, 1],
+    documentation: { nodeType: 'StructuredDocumentation', text: ' @title Token vault\n @author Example Labs' },
+    nodes: [
+      parameter('totalShares', 'uint256', { stateVariable: true, visibility: 'public', mutability: 'mutable', functionSelector: '3a98ef39' }),
+      {
+        nodeType: 'FunctionDefinition',
+        kind: 'function',
+        name: 'deposit',
+        visibility: 'external',
+        stateMutability: 'payable',
+        virtual: false,
+        functionSelector: 'b6b55f25',
+        modifiers: [{ modifierName: { name: 'whenOpen' } }],
+        parameters: parameters(parameter('amount', 'uint256')),
+        returnParameters: parameters(parameter('shares', 'uint256'))
+      },
+      {
+        nodeType: 'FunctionDefinition',
+        kind: 'function',
+        name: '_mint',
+        visibility: 'internal',
+        stateMutability: 'nonpayable',
+        documentation: { nodeType: 'StructuredDocumentation', text: ' @dev Mints | shares\n   without checks\n @param to Receiver' },
+        parameters: parameters(parameter('to', 'address'), parameter('shares', 'uint256')),
+        returnParameters: parameters()
+      },
+      {
+        nodeType: 'ModifierDefinition',
+        name: 'whenOpen',
+        virtual: true,
+        documentation: { nodeType: 'StructuredDocumentation', text: ' Reverts once the vault is closed' },
+        parameters: parameters()
+      },
+      {
+        nodeType: 'EventDefinition',
+        name: 'Deposited',
+        anonymous: false,
+        parameters: parameters(parameter('owner', 'address', { indexed: true }), parameter('shares', 'uint256', { indexed: false }))
+      },
+      {
+        nodeType: 'ErrorDefinition',
+        name: 'Closed',
+        parameters: parameters(parameter('closedAt', 'uint256'))
+      }
+    ]
+  };
+  const buildInfo = {
+    output: {
+      contracts: {
+        'src/Vault.sol': {
+          Vault: {
+            abi: [],
+            evm: { methodIdentifiers: { 'deposit(uint256)': 'b6b55f25', 'totalShares()': '3a98ef39' } },
+            userdoc: {
+              notice: 'Holds deposits <safely>',
+              methods: { 'deposit(uint256)': { notice: 'Deposit assets for shares' }, 'totalShares()': { notice: 'Shares issued' } },
+              events: { 'Deposited(address,uint256)': { notice: 'Emitted on deposit' } },
+              errors: { 'Closed(uint256)': [{ notice: 'The vault is closed' }] }
+            },
+            devdoc: {
+              title: 'Token vault',
+              author: 'Example Labs',
+              methods: { 'deposit(uint256)': { params: { amount: 'Assets to deposit' }, returns: { shares: 'Shares minted' } } },
+              errors: { 'Closed(uint256)': [{ params: { closedAt: 'Block the vault closed at' } }] }
+            }
+          }
+        }
+      },
+      sources: {
+        'src/Vault.sol': { id: 0, ast: { nodeType: 'SourceUnit', nodes: [{ nodeType: 'ContractDefinition', id: 1, name: 'Ownable', nodes: [] }, vault] } }
+      }
+    }
+  };
+  
+  test('generateDocs should document members from the NatSpec output and AST comments in Markdown', () => {
+    const docs = docsService.generateDocs(buildInfo, ['markdown']);
+    const markdown = docs['src/Vault.sol:Vault'].markdown;
+    
+    expect(Object.keys(docs)).toEqual(['src/Vault.sol:Vault']);
+    expect(Object.keys(docs['src/Vault.sol:Vault'])).toEqual(['markdown']);
+    expect(markdown).toContain('# Vault\n\ncontract in `src/Vault.sol`\n\n**Token vault**\n\nAuthor: Example Labs\n\nHolds deposits <safely>\n\n**Inherits:** Ownable');
+    expect(markdown).toContain('```solidity\nuint256 public totalShares\n```\n\nShares issued');
+    expect(markdown).toContain('```solidity\nfunction deposit(uint256 amount) external payable whenOpen returns (uint256 shares)\n```\n\nDeposit assets for shares');
+    expect(markdown).toContain('| `amount` | `uint256` | Assets to deposit |');
+    expect(markdown).toContain('| `shares` | `uint256` | Shares minted |');
+    expect(markdown).toContain('\n\nMints | shares without checks\n\n');
+    expect(markdown).toContain('| `to` | `address` | Receiver |');
+    expect(markdown).toContain('## Modifiers\n\n### whenOpen\n\n```solidity\nmodifier whenOpen() virtual\n```\n\nReverts once the vault is closed');
+    expect(markdown).toContain('event Deposited(address indexed owner, uint256 shares)\n```\n\nEmitted on deposit');
+    expect(markdown).toContain('| `closedAt` | `uint256` | Block the vault closed at |');
+  });
+  
+  test('generateDocs should render escaped standalone HTML pages', () => {
+    const { html } = docsService.generateDocs(buildInfo, ['html'])['src/Vault.sol:Vault'];
+    
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Vault</title>');
+    expect(html).toContain('<p>Holds deposits &#60;safely&#62;</p>');
+    expect(html).toContain('<h2>Errors</h2>');
+    expect(html).toContain('<tr><td><code>amount</code></td><td><code>uint256</code></td><td>Assets to deposit</td></tr>');
+  });
+  
+  test('POST /api/v1/docs should reject unknown documentation formats', async () => {
+    const response = await request(app)
+      .post('/api/v1/docs')
+      .send({ contractCode: 'contract Vault {}', docs: ['markdown', 'pdf'] });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].field).toBe('docs[1]');
+  });
+});
\ No newline at end of file
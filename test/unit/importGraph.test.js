@@ -0,0 +1,54 @@
+/**
+ * Unit tests for import resolution and the import graph
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseRemapping, resolveImport, buildImportGraph } = require('../../src/services/importGraphService');
+
+describe('Import graph', () => {
+  const remappings = [
+    '@openzeppelin/=lib/openzeppelin-contracts-4.9.5/',
+    '@openzeppelin/contracts/=lib/openzeppelin-contracts-4.9.5/contracts/',
+    'src/legacy:@openzeppelin/contracts/=lib/openzeppelin-contracts-4.0.0/contracts/'
+  ].map(parseRemapping);
+  
+  test('resolveImport should prefer the longest context, then the longest prefix', () => {
+    expect(resolveImport('@openzeppelin/contracts/access/Ownable.sol', 'src/Token.sol', remappings))
+      .toBe('lib/openzeppelin-contracts-4.9.5/contracts/access/Ownable.sol');
+    expect(resolveImport('@openzeppelin/contracts/access/Ownable.sol', 'src/legacy/Token.sol', remappings))
+      .toBe('lib/openzeppelin-contracts-4.0.0/contracts/access/Ownable.sol');
+    expect(resolveImport('../utils/Context.sol', 'lib/oz/contracts/access/Ownable.sol', remappings))
+      .toBe('lib/oz/contracts/utils/Context.sol');
+    expect(resolveImport('src/Other.sol', 'src/Token.sol', remappings)).toBe('src/Other.sol');
+  });
+  
+  test('buildImportGraph should only reach the libraries the sources import', async () => {
+    const libPath = await fs.mkdtemp(path.join(os.tmpdir(), 'import-graph-'));
+    
+    try {
+      await fs.outputFile(path.join(libPath, 'oz/contracts/access/Ownable.sol'), 'import "../utils/Context.sol";');
+      await fs.outputFile(path.join(libPath, 'oz/contracts/utils/Context.sol'), 'contract Context {}');
+      await fs.outputFile(path.join(libPath, 'solmate/src/tokens/ERC20.sol'), 'contract ERC20 {}');
+      
+      const graph = await buildImportGraph({
+        sources: { 'src/Token.sol': 'import "@oz/access/Ownable.sol";\nimport "@missing/Lib.sol";' },
+        remappings: ['@oz/=lib/oz/contracts/', 'solmate/=lib/solmate/src/'],
+        libPath
+      });
+      
+      expect(graph.libraries).toEqual(['oz']);
+      expect(Object.keys(graph.files)).toEqual(expect.arrayContaining([
+        'src/Token.sol',
+        'lib/oz/contracts/access/Ownable.sol',
+        'lib/oz/contracts/utils/Context.sol'
+      ]));
+      expect(graph.unresolved).toEqual([
+        { importPath: '@missing/Lib.sol', from: 'src/Token.sol', resolvedPath: '@missing/Lib.sol', remapping: null }
+      ]);
+    } finally {
+      await fs.remove(libPath);
+    }
+  });
+});
\ No newline at end of file
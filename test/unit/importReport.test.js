@@ -0,0 +1,110 @@
+/**
+ * Unit tests for the import resolution report
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const dependencyService = require('../../src/services/dependencyService');
+
+describe('Import resolution report', () => {
+  let storePath;
+  let originalLibPath;
+  
+  beforeAll(async () => {
+    storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'library-store-'));
+    originalLibPath = config.dependencies.libPath;
+    config.dependencies.libPath = storePath;
+    
+    await fs.outputJson(path.join(storePath, 'openzeppelin-contracts-4.9.5/contracts/package.json'), { version: '4.9.5' });
+    await fs.outputFile(path.join(storePath, 'openzeppelin-contracts-4.9.5/contracts/token/ERC20/ERC20.sol'), 'contract ERC20 {}');
+    await fs.outputFile(path.join(storePath, 'solmate/src/tokens/ERC20.sol'), 'import "../utils/SafeTransferLib.sol";\ncontract ERC20 {}');
+    await fs.outputFile(path.join(storePath, 'solmate/src/utils/SafeTransferLib.sol'), 'library SafeTransferLib {}');
+  });
+  
+  afterAll(async () => {
+    config.dependencies.libPath = originalLibPath;
+    await fs.remove(storePath);
+  });
+  
+  test('getImportReport should describe where every import resolves to', async () => {
+    const report = await dependencyService.getImportReport({
+      'src/Token.sol': 'import "solmate/tokens/ERC20.sol";\nimport "./Helper.sol";\ncontract Token {}',
+      'src/Helper.sol': 'contract Helper {}'
+    });
+    const token = report.files.find(file => file.path === 'src/Token.sol');
+    const erc20 = report.files.find(file => file.path === 'lib/solmate/src/tokens/ERC20.sol');
+    
+    expect(report.unresolved).toEqual([]);
+    expect(token.origin).toBe('source');
+    expect(token.imports).toEqual([
+      {
+        importPath: 'solmate/tokens/ERC20.sol',
+        resolvedPath: 'lib/solmate/src/tokens/ERC20.sol',
+        diskPath: path.join(storePath, 'solmate/src/tokens/ERC20.sol'),
+        remapping: 'solmate/=lib/solmate/src/',
+        library: 'solmate',
+        // Not a git checkout or npm package, so the configured version is reported
+        version: 'main',
+        resolved: true
+      },
+      {
+        importPath: './Helper.sol',
+        resolvedPath: 'src/Helper.sol',
+        diskPath: null,
+        remapping: null,
+        library: null,
+        version: null,
+        resolved: true
+      }
+    ]);
+    expect(erc20).toMatchObject({ origin: 'store', library: 'solmate' });
+    expect(erc20.imports[0].resolvedPath).toBe('lib/solmate/src/utils/SafeTransferLib.sol');
+    expect(report.libraries).toEqual([{ folderName: 'solmate', name: 'Solmate', version: 'main', source: 'store' }]);
+    expect(report.remappings).toEqual(['solmate/=lib/solmate/src/']);
+  });
+  
+  test('getImportReport should attribute uploaded library files to the upload', async () => {
+    const report = await dependencyService.getImportReport({
+      'src/Token.sol': 'import "my-lib/Lib.sol";\ncontract Token {}'
+    }, {
+      remappings: ['my-lib/=lib/my-lib/'],
+      files: { 'lib/my-lib/Lib.sol': 'library Lib {}' }
+    });
+    
+    expect(report.files.find(file => file.path === 'lib/my-lib/Lib.sol')).toMatchObject({ origin: 'uploaded', library: 'my-lib' });
+    expect(report.libraries).toEqual([{ folderName: 'my-lib', name: 'my-lib', version: null, source: 'uploaded' }]);
+  });
+  
+  test('getImportReport should suggest fixes for unresolved imports', async () => {
+    const report = await dependencyService.getImportReport({
+      'src/Token.sol': [
+        'import "solmate/ERC20.sol";',
+        'import "@openzeppelin/contracts@5.0.0/token/ERC20/ERC20.sol";',
+        'import "unknown-lib/Thing.sol";',
+        'import "./Missing.sol";',
+        'contract Token {}'
+      ].join('\n')
+    });
+    const byImport = Object.fromEntries(report.unresolved.map(entry => [entry.importPath, entry]));
+    
+    expect(report.unresolved).toHaveLength(4);
+    expect(byImport['solmate/ERC20.sol']).toMatchObject({
+      from: 'src/Token.sol',
+      resolvedPath: 'lib/solmate/src/ERC20.sol',
+      remapping: 'solmate/=lib/solmate/src/',
+      suggestions: ['Did you mean "solmate/tokens/ERC20.sol"?']
+    });
+    expect(byImport['@openzeppelin/contracts@5.0.0/token/ERC20/ERC20.sol'].suggestions).toEqual([
+      '@openzeppelin/contracts@5.0.0 is not in the library store; available versions: 4.9.5',
+      'Not in the library store; OpenZeppelin/openzeppelin-contracts@v5.0.0 will be installed when compiling'
+    ]);
+    expect(byImport['unknown-lib/Thing.sol'].suggestions).toEqual([
+      'No remapping matches "unknown-lib/"; add one to remappings or upload the library in libraries'
+    ]);
+    expect(byImport['./Missing.sol'].suggestions).toEqual([
+      'No file exists at src/Missing.sol; check the relative path or add the file to sources'
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for keeping the shared library store read-only
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const dependencyService = require('../../src/services/dependencyService');
+const foundryService = require('../../src/services/foundryService');
+
+describe('Library store', () => {
+  const erc20 = 'contract ERC20 { /* 4.9.5 */ }';
+  let storePath;
+  let projectPath;
+  let originalLibPath;
+  
+  /**
+   * Read every file of the store
+   * @returns {Promise<Object<string, string>>} Store-relative path -> content
+   */
+  async function readStore() {
+    const files = {};
+    const visit = async (dirPath) => {
+      for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+          await visit(entryPath);
+        } else {
+          files[path.relative(storePath, entryPath)] = await fs.readFile(entryPath, 'utf8');
+        }
+      }
+    };
+    await visit(storePath);
+    return files;
+  }
+  
+  beforeEach(async () => {
+    storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'library-store-'));
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'store-project-'));
+    originalLibPath = config.dependencies.libPath;
+    config.dependencies.libPath = storePath;
+    
+    await fs.outputFile(path.join(storePath, 'openzeppelin-contracts-4.9.5/contracts/token/ERC20/ERC20.sol'), erc20);
+    await fs.outputFile(path.join(storePath, 'solmate/src/tokens/ERC20.sol'), 'contract ERC20 {}');
+    await fs.writeFile(path.join(projectPath, 'foundry.toml'), '[profile.default]\nsrc = "src"\n');
+  });
+  
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    config.dependencies.libPath = originalLibPath;
+    await fs.remove(projectPath);
+    await fs.remove(storePath);
+  });
+  
+  test('installing unresolved imports should never write into libraries linked from the store', async () => {
+    const installDependency = jest.spyOn(foundryService, 'installDependency').mockResolvedValue(false);
+    const sourceFiles = {
+      'src/Token.sol': [
+        'import "@openzeppelin/contracts/token/ERC20/ERC20.sol";',
+        'import "@openzeppelin/contracts/utils/Missing.sol";',
+        'import "solmate/tokens/ERC20.sol";',
+        'import "solmate/utils/Missing.sol";'
+      ].join('\n')
+    };
+    const before = await readStore();
+    
+    const { libraries, unresolved } = await dependencyService.linkLibraries(projectPath, sourceFiles);
+    expect(libraries).toEqual(['openzeppelin-contracts-4.9.5', 'solmate']);
+    expect(unresolved).toEqual(['@openzeppelin/contracts/utils/Missing.sol', 'solmate/utils/Missing.sol']);
+    
+    await dependencyService.installMinimalOpenZeppelinDependencies(projectPath, { defaultVersion: '4.9.5' });
+    await dependencyService.installPreConfiguredDependencies(projectPath);
+    await dependencyService.installDependenciesFromImports(projectPath, '', { imports: unresolved });
+    
+    expect(await readStore()).toEqual(before);
+    expect(installDependency).not.toHaveBeenCalledWith(projectPath, 'transmissions11/solmate', expect.anything());
+    expect((await fs.lstat(path.join(projectPath, 'lib/openzeppelin-contracts-4.9.5'))).isSymbolicLink()).toBe(true);
+  });
+});
\ No newline at end of file
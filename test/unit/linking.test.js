@@ -0,0 +1,67 @@
+/**
+ * Unit tests for library linking
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const linkService = require('../../src/services/linkService');
+
+describe('Library linking', () => {
+  const placeholder = '__$8a2fc1a0cb5b1f4b0e4f2d4a1a3c9f6e2b$__';
+  const address = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  // PUSH20 <library> twice, around a STOP
+  const bytecode = `0x73${placeholder}0073${placeholder}`;
+  const linkReferences = {
+    'src/Math.sol': { Math: [{ start: 1, length: 20 }, { start: 23, length: 20 }] },
+    'src/Strings.sol': { Strings: [{ start: 23, length: 20 }] }
+  };
+  
+  test('linkBytecode should replace every placeholder of the given libraries and keep the others', () => {
+    const result = linkService.linkBytecode({
+      bytecode,
+      linkReferences: { 'src/Math.sol': linkReferences['src/Math.sol'], 'src/Other.sol': { Other: [] } },
+      libraries: { 'src/Math.sol:Math': address }
+    });
+    
+    const linkedAddress = address.slice(2).toLowerCase();
+    expect(result.bytecode).toBe(`0x73${linkedAddress}0073${linkedAddress}`);
+    expect(result.linked).toEqual(['src/Math.sol:Math']);
+    expect(result.linkReferences).toEqual({ 'src/Other.sol': { Other: [] } });
+  });
+  
+  test('linkBytecode should reject link references that do not point at a placeholder', () => {
+    const linked = linkService.linkBytecode({
+      bytecode,
+      linkReferences: { 'src/Math.sol': linkReferences['src/Math.sol'] },
+      libraries: { 'src/Math.sol:Math': address }
+    });
+    
+    expect(() => linkService.linkBytecode({
+      bytecode: linked.bytecode,
+      linkReferences: { 'src/Strings.sol': linkReferences['src/Strings.sol'] },
+      libraries: { 'src/Strings.sol:Strings': address }
+    })).toThrow('not a library placeholder');
+    expect(() => linkService.linkBytecode({
+      bytecode: '0x73',
+      linkReferences: { 'src/Math.sol': linkReferences['src/Math.sol'] },
+      libraries: { 'src/Math.sol:Math': address }
+    })).toThrow('outside the bytecode');
+  });
+  
+  test('POST /api/v1/link should link bytecode and validate library addresses', async () => {
+    const response = await request(app)
+      .post('/api/v1/link')
+      .send({ bytecode, linkReferences, libraries: { 'src/Math.sol:Math': address } });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.linked).toEqual(['src/Math.sol:Math']);
+    expect(Object.keys(response.body.linkReferences)).toEqual(['src/Strings.sol']);
+    
+    const invalid = await request(app)
+      .post('/api/v1/link')
+      .send({ bytecode, linkReferences, libraries: { Math: address, 'src/Strings.sol:Strings': '0x1234' } });
+    
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors[0].field).toBe('libraries');
+  });
+});
\ No newline at end of file
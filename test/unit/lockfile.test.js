@@ -0,0 +1,86 @@
+/**
+ * Unit tests for compilation lockfiles
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const lockfileService = require('../../src/services/lockfileService');
+
+describe('Compilation lockfiles', () => {
+  const commit = 'b'.repeat(40);
+  const sourceFiles = { 'src/Token.sol': 'import "solmate/tokens/ERC20.sol";\ncontract Token {}' };
+  const remappings = ['solmate/=lib/solmate/src/'];
+  let storePath;
+  let projectPath;
+  let originalLibPath;
+  
+  beforeEach(async () => {
+    storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'library-store-'));
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'lockfile-project-'));
+    originalLibPath = config.dependencies.libPath;
+    config.dependencies.libPath = storePath;
+    
+    // A store library checked out on a commit, linked into the project the way linkLibraries does
+    await fs.outputFile(path.join(storePath, 'solmate/src/tokens/ERC20.sol'), 'import "../utils/SafeTransferLib.sol";\ncontract ERC20 {}');
+    await fs.outputFile(path.join(storePath, 'solmate/src/utils/SafeTransferLib.sol'), 'library SafeTransferLib {}');
+    await fs.outputFile(path.join(storePath, 'solmate/.git/HEAD'), `${commit}\n`);
+    await fs.ensureDir(path.join(projectPath, 'lib'));
+    await fs.symlink(path.join(storePath, 'solmate'), path.join(projectPath, 'lib/solmate'), 'dir');
+  });
+  
+  afterEach(async () => {
+    config.dependencies.libPath = originalLibPath;
+    await fs.remove(projectPath);
+    await fs.remove(storePath);
+  });
+  
+  test('createLockfile should lock every reached library with its commit, file hashes and remappings', async () => {
+    const lockfile = await lockfileService.createLockfile(projectPath, { sourceFiles, remappings });
+    
+    expect(lockfile.lockfileVersion).toBe(1);
+    expect(lockfile.libraries).toHaveLength(1);
+    expect(lockfile.libraries[0]).toMatchObject({
+      folderName: 'solmate',
+      name: 'Solmate',
+      source: 'store',
+      repo: 'transmissions11/solmate',
+      commit,
+      remappings
+    });
+    expect(Object.keys(lockfile.libraries[0].files)).toEqual(['src/tokens/ERC20.sol', 'src/utils/SafeTransferLib.sol']);
+    expect(lockfile.libraries[0].contentHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+  
+  test('verifyLockfile should accept unchanged libraries and reject changed or missing ones', async () => {
+    const lockfile = await lockfileService.createLockfile(projectPath, { sourceFiles, remappings });
+    await expect(lockfileService.verifyLockfile(projectPath, lockfile)).resolves.toBeUndefined();
+    
+    await fs.appendFile(path.join(storePath, 'solmate/src/utils/SafeTransferLib.sol'), '\n// changed');
+    await expect(lockfileService.verifyLockfile(projectPath, lockfile)).rejects.toMatchObject({
+      statusCode: 422,
+      details: { lockfile: [{ library: 'solmate', problem: 'contents', files: ['src/utils/SafeTransferLib.sol'] }] }
+    });
+    
+    await fs.remove(path.join(projectPath, 'lib/solmate'));
+    await fs.remove(path.join(storePath, 'solmate'));
+    await expect(lockfileService.verifyLockfile(projectPath, lockfile)).rejects.toMatchObject({
+      statusCode: 422,
+      details: { lockfile: [{ library: 'solmate', problem: 'missing' }] }
+    });
+  });
+  
+  test('getPinnedVersions should pin libraries installed at compile time to their locked commit', () => {
+    const lockfile = {
+      lockfileVersion: 1,
+      libraries: [
+        { folderName: 'solady', source: 'installed', repo: 'Vectorized/solady', commit, version: 'main' },
+        { folderName: 'solmate', source: 'store', repo: 'transmissions11/solmate', commit, version: 'main' }
+      ]
+    };
+    
+    expect(lockfileService.getPinnedVersions(lockfile)).toEqual({ 'Vectorized/solady': commit });
+    expect(lockfileService.getPinnedVersions(undefined)).toEqual({});
+  });
+});
\ No newline at end of file
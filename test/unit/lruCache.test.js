@@ -0,0 +1,45 @@
+/**
+ * Unit tests for the LRU cache
+ */
+
+const LruCache = require('../../src/utils/lruCache');
+
+describe('LruCache', () => {
+  test('should evict the least recently used entry when full', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+    expect(cache.getStats()).toMatchObject({ entries: 2, hits: 3, misses: 1, evictions: 1 });
+  });
+  
+  test('should enforce the total size limit', () => {
+    const cache = new LruCache({ maxEntries: 10, maxSizeBytes: 10, sizeOf: value => value.length });
+    
+    expect(cache.set('a', 'xxxxxx')).toBe(true);
+    expect(cache.set('b', 'yyyyyy')).toBe(true);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.set('c', 'z'.repeat(11))).toBe(false);
+    expect(cache.getStats().sizeBytes).toBe(6);
+  });
+  
+  test('should expire entries after the TTL', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const cache = new LruCache({ ttlMs: 100 });
+    
+    cache.set('a', 1);
+    now.mockReturnValue(1050);
+    expect(cache.get('a')).toBe(1);
+    now.mockReturnValue(1101);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.getStats().entries).toBe(0);
+    
+    now.mockRestore();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for OpenZeppelin version defaults and 5.x inference
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const dependencyService = require('../../src/services/dependencyService');
+const foundryService = require('../../src/services/foundryService');
+const dependencies = require('../../src/config/dependencies');
+const { generateRemappings } = require('../../scripts/utils/remappingUtils');
+
+describe('OpenZeppelin versions', () => {
+  test('inferOpenZeppelinVersion should pick 5.x only for imports that exist in 5.x alone', () => {
+    expect(dependencyService.inferOpenZeppelinVersion([
+      '@openzeppelin/contracts/token/ERC20/ERC20.sol',
+      '@openzeppelin/contracts/utils/ReentrancyGuard.sol'
+    ])).toEqual({
+      version: '5.2.0',
+      reason: '@openzeppelin/contracts/utils/ReentrancyGuard.sol only exists in OpenZeppelin 5.x'
+    });
+    expect(dependencyService.inferOpenZeppelinVersion(['@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol']))
+      .toMatchObject({ version: '5.2.0' });
+    
+    // Paths in both majors, 4.x-only paths and mixed sources keep the default version
+    expect(dependencyService.inferOpenZeppelinVersion(['@openzeppelin/contracts/token/ERC20/ERC20.sol'])).toBeNull();
+    expect(dependencyService.inferOpenZeppelinVersion(['@openzeppelin/contracts/security/ReentrancyGuard.sol'])).toBeNull();
+    expect(dependencyService.inferOpenZeppelinVersion([
+      '@openzeppelin/contracts/security/Pausable.sol',
+      '@openzeppelin/contracts/access/manager/AccessManaged.sol'
+    ])).toBeNull();
+  });
+  
+  test('resolveDependency should install the default or inferred version for unversioned imports', () => {
+    expect(dependencyService.resolveDependency('@openzeppelin/contracts/token/ERC20/ERC20.sol'))
+      .toEqual({ github: 'OpenZeppelin/openzeppelin-contracts', version: 'v4.9.5' });
+    expect(dependencyService.resolveDependency('@openzeppelin/contracts/utils/Pausable.sol', { openZeppelinVersion: '5.2.0' }))
+      .toEqual({ github: 'OpenZeppelin/openzeppelin-contracts', version: 'v5.2.0' });
+    expect(dependencyService.resolveDependency('@openzeppelin/contracts-upgradeable@5.1.0/proxy/utils/Initializable.sol'))
+      .toEqual({ github: 'OpenZeppelin/openzeppelin-contracts-upgradeable', version: 'v5.1.0' });
+  });
+  
+  test('unversioned imports should map to the default version while 5.x is only versioned or inferred', () => {
+    const remappings = generateRemappings(dependencies.default);
+    const unversioned = remappings.filter(remapping => remapping.startsWith('@openzeppelin/contracts/='));
+    
+    expect(unversioned).toEqual(['@openzeppelin/contracts/=lib/openzeppelin-contracts-4.9.5/contracts/']);
+    expect(remappings).toContain('@openzeppelin/contracts@5.0.2/=lib/openzeppelin-contracts-5.0.2/contracts/');
+    expect(remappings).toContain('@openzeppelin/contracts-upgradeable@5.2.0/=lib/openzeppelin-contracts-upgradeable-5.2.0/contracts/');
+  });
+  
+  test('getOpenZeppelinConstraints should require Solidity 0.8.20 for 5.x', () => {
+    expect(dependencyService.getOpenZeppelinConstraints(['@openzeppelin/contracts/token/ERC20/ERC20.sol'])).toEqual([]);
+    expect(dependencyService.getOpenZeppelinConstraints(['@openzeppelin/contracts/utils/Pausable.sol'], '5.2.0'))
+      .toEqual([{ file: 'lib/openzeppelin-contracts-5.2.0', pragma: '>=0.8.20' }]);
+    expect(dependencyService.getOpenZeppelinConstraints(['@openzeppelin/contracts@5.1.0/utils/Nonces.sol']))
+      .toEqual([{ file: 'lib/openzeppelin-contracts-5.1.0', pragma: '>=0.8.20' }]);
+  });
+  
+  test('installMinimalOpenZeppelinDependencies should only install the selected version', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'oz-project-'));
+    const installDependency = jest.spyOn(foundryService, 'installDependency').mockResolvedValue(false);
+    
+    try {
+      await expect(dependencyService.installMinimalOpenZeppelinDependencies(projectPath, { defaultVersion: '5.2.0' })).resolves.toBe(true);
+      
+      expect(installDependency).toHaveBeenCalledTimes(1);
+      expect(installDependency).toHaveBeenCalledWith(projectPath, 'OpenZeppelin/openzeppelin-contracts', 'v5.2.0');
+      expect(await fs.readdir(path.join(projectPath, 'lib'))).toEqual(['openzeppelin-contracts-5.2.0']);
+      expect(await fs.readFile(path.join(projectPath, 'lib/openzeppelin-contracts-5.2.0/contracts/access/Ownable.sol'), 'utf8'))
+        .toContain('pragma solidity ^0.8.20;');
+    } finally {
+      installDependency.mockRestore();
+      await fs.remove(projectPath);
+    }
+  });
+  
+  test('installPreConfiguredDependencies should only go through the configured dependencies', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'oz-project-'));
+    const installDependency = jest.spyOn(foundryService, 'installDependency').mockResolvedValue(false);
+    
+    try {
+      const installed = await dependencyService.installPreConfiguredDependencies(projectPath);
+      
+      expect(installed.map(dep => dep.version)).toEqual(dependencies.default.map(dep => dep.version));
+    } finally {
+      installDependency.mockRestore();
+      await fs.remove(projectPath);
+    }
+  });
+});
\ No newline at end of file
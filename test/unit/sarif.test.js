@@ -0,0 +1,113 @@
+/**
+ * Unit tests for SARIF output
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const compilationService = require('../../src/services/compilationService');
+const sarif = require('../../src/utils/sarif');
+const { ApiError } = require('../../src/middleware/errorHandler');
+
+describe('SARIF output', () => {
+  const compiler = { version: '0.8.24', reason: 'Requested version' };
+  const warning = {
+    severity: 'warning',
+    errorCode: '2072',
+    type: 'Warning',
+    message: 'Unused local variable.',
+    file: 'src/Vault.sol',
+    line: 12,
+    column: 9,
+    snippet: '        uint256 unused = 1;'
+  };
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('createSarifLog should report diagnostics and findings with rules and physical locations', () => {
+    const log = sarif.createSarifLog({
+      diagnostics: [warning, { severity: 'error', errorCode: null, type: null, message: 'Compiler run failed', file: null, line: null, column: null, snippet: null }],
+      compiler,
+      analysis: {
+        findings: [{
+          detector: 'tx-origin',
+          severity: 'medium',
+          confidence: 'medium',
+          message: 'withdraw compares tx.origin to authenticate the caller',
+          contract: 'src/Vault.sol:Vault',
+          function: 'withdraw',
+          location: { file: 'src/Vault.sol', start: 180, length: 18, line: 7, column: 17, snippet: '        require(tx.origin == owner);' }
+        }]
+      },
+      detectors: [{ id: 'tx-origin', title: 'Authentication with tx.origin', description: 'Use msg.sender.', severity: 'medium', confidence: 'medium' }]
+    });
+    const [compilerRun, analysisRun] = log.runs;
+    
+    expect(log.version).toBe('2.1.0');
+    expect(compilerRun.tool.driver).toMatchObject({ name: 'solc', version: '0.8.24' });
+    expect(compilerRun.tool.driver.rules.map(rule => rule.id)).toEqual(['2072', 'Error']);
+    expect(compilerRun.results[0]).toEqual({
+      ruleId: '2072',
+      level: 'warning',
+      message: { text: 'Unused local variable.' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'src/Vault.sol', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 12, startColumn: 9, snippet: { text: '        uint256 unused = 1;' } }
+        }
+      }]
+    });
+    expect(compilerRun.results[1]).toMatchObject({ ruleId: 'Error', level: 'error', locations: [] });
+    expect(analysisRun.tool.driver.rules[0]).toMatchObject({
+      id: 'tx-origin',
+      fullDescription: { text: 'Use msg.sender.' },
+      properties: { precision: 'medium', 'security-severity': '5.5' }
+    });
+    expect(analysisRun.results[0].locations[0].physicalLocation.region).toMatchObject({ startLine: 7, startColumn: 17, byteOffset: 180, byteLength: 18 });
+  });
+  
+  test('POST /api/v1/compile/check should answer Accept: application/sarif+json with a SARIF log', async () => {
+    jest.spyOn(compilationService, 'compileContract').mockResolvedValue({ success: true, contracts: {}, diagnostics: [warning], compiler });
+    
+    const response = await request(app)
+      .post('/api/v1/compile/check')
+      .set('Accept', sarif.SARIF_MEDIA_TYPE)
+      .send({ sources: { 'src/Vault.sol': 'contract Vault {}' } });
+    
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/sarif\+json/);
+    expect(JSON.parse(response.text).runs[0].results[0].ruleId).toBe('2072');
+    
+    // Compiler errors get the same status as in the JSON response
+    const error = { ...warning, severity: 'error', errorCode: '7576', message: 'Undeclared identifier.' };
+    compilationService.compileContract.mockResolvedValue({ success: true, contracts: {}, diagnostics: [warning, error], compiler });
+    const failed = await request(app)
+      .post('/api/v1/compile/check')
+      .set('Accept', sarif.SARIF_MEDIA_TYPE)
+      .send({ sources: { 'src/Vault.sol': 'contract Vault {}' } });
+    const json = await request(app)
+      .post('/api/v1/compile/check')
+      .send({ sources: { 'src/Vault.sol': 'contract Vault {}' } });
+    
+    expect(failed.status).toBe(400);
+    expect(JSON.parse(failed.text).runs[0].results.map(result => result.level)).toEqual(['warning', 'error']);
+    expect(json.status).toBe(400);
+    expect(json.body).toMatchObject({ success: false, message: 'Contract does not compile' });
+  });
+  
+  test('POST /api/v1/compile should return the errors of a failed compilation as SARIF', async () => {
+    const error = { ...warning, severity: 'error', errorCode: '2314', type: null, message: "Expected ';' but got '}'" };
+    jest.spyOn(compilationService, 'compileContract').mockRejectedValue(new ApiError('Compilation failed', 400, { diagnostics: [error], compiler }));
+    
+    const response = await request(app)
+      .post('/api/v1/compile')
+      .set('Accept', sarif.SARIF_MEDIA_TYPE)
+      .send({ sources: { 'src/Vault.sol': 'contract Vault {' } });
+    const log = JSON.parse(response.text);
+    
+    expect(response.status).toBe(400);
+    expect(log.runs[0].tool.driver.rules).toEqual([{ id: '2314', name: 'Error', shortDescription: { text: 'Error 2314' }, defaultConfiguration: { level: 'error' } }]);
+    expect(log.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('src/Vault.sol');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Unit tests for pragma solidity parsing and version matching
+ */
+
+const { satisfies, maxSatisfying, extractPragmas, parseRange } = require('../../src/utils/solcVersion');
+
+describe('Solidity version matching', () => {
+  test('satisfies should follow the pragma solidity range semantics', () => {
+    expect(satisfies('0.8.24', '^0.8.0')).toBe(true);
+    expect(satisfies('0.9.0', '^0.8.0')).toBe(false);
+    expect(satisfies('0.7.6', '>=0.7.0 <0.8.0')).toBe(true);
+    expect(satisfies('0.8.24', '>= 0.8.24')).toBe(true);
+    expect(satisfies('0.8.23', '>= 0.8.24')).toBe(false);
+    expect(satisfies('0.8.19', '0.8.0 - 0.8.19')).toBe(true);
+    expect(satisfies('0.8.20', '0.8.0 - 0.8.19')).toBe(false);
+    expect(satisfies('0.6.12', '^0.6.0 || ^0.7.0')).toBe(true);
+    expect(satisfies('0.8.3', '~0.8.1')).toBe(true);
+    expect(satisfies('0.8.5', '0.8')).toBe(true);
+    expect(satisfies('0.8.5', '<=0.8')).toBe(true);
+    expect(satisfies('0.8.5', '>0.8')).toBe(false);
+  });
+  
+  test('maxSatisfying should pick the newest version matching every range', () => {
+    const versions = ['0.7.6', '0.8.19', '0.8.24', '0.8.20'];
+    
+    expect(maxSatisfying(versions, ['^0.8.0'])).toBe('0.8.24');
+    expect(maxSatisfying(versions, ['^0.8.0', '<0.8.20'])).toBe('0.8.19');
+    expect(maxSatisfying(versions, ['^0.7.0', '^0.8.0'])).toBeNull();
+  });
+  
+  test('extractPragmas should ignore commented-out pragmas and reject malformed ranges', () => {
+    const source = '// pragma solidity ^0.4.0;\n/* pragma solidity 0.5.0; */\npragma solidity >=0.8.0 <0.9.0;\npragma abicoder v2;';
+    
+    expect(extractPragmas(source)).toEqual(['>=0.8.0 <0.9.0']);
+    expect(parseRange('^0.8.0 foo')).toBeNull();
+  });
+});
\ No newline at end of file
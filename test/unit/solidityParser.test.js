@@ -0,0 +1,64 @@
+/**
+ * Unit tests for Solidity import and pragma parsing
+ */
+
+const { tokenize, parseDirectives } = require('../../src/utils/solidityParser');
+const { extractImports } = require('../../src/services/foundryService');
+
+describe('Solidity parser', () => {
+  test('tokenize should skip comments and keep strings whole', () => {
+    const tokens = tokenize('/* a */ string s = "x // y"; // tail\nuint b = 0x1f >= 2;');
+    
+    expect(tokens.map(token => token.value)).toEqual(['string', 's', '=', 'x // y', ';', 'uint', 'b', '=', '0x1f', '>=', '2', ';']);
+    expect(tokens[5].line).toBe(2);
+  });
+  
+  test('parseDirectives should parse every import form', () => {
+    const source = [
+      'import "./A.sol";',
+      'import "./B.sol" as B;',
+      'import * as C from "./C.sol";',
+      'import {',
+      '  D,',
+      '  E as F // aliased',
+      '} from \'./D.sol\';',
+      'import G from "./G.sol";'
+    ].join('\n');
+    
+    expect(parseDirectives(source).imports).toEqual([
+      { path: './A.sol', unitAlias: null, symbols: [], line: 1 },
+      { path: './B.sol', unitAlias: 'B', symbols: [], line: 2 },
+      { path: './C.sol', unitAlias: 'C', symbols: [], line: 3 },
+      { path: './D.sol', unitAlias: null, symbols: [{ name: 'D', alias: null }, { name: 'E', alias: 'F' }], line: 4 },
+      { path: './G.sol', unitAlias: 'G', symbols: [], line: 8 }
+    ]);
+  });
+  
+  test('parseDirectives should ignore imports in comments and strings', () => {
+    const source = [
+      '// import "./Line.sol";',
+      '/* import "./Block.sol"; */',
+      '/// @dev import "./NatSpec.sol";',
+      'contract C { string s = "import \\"./String.sol\\";"; }',
+      'import "./Real.sol";'
+    ].join('\n');
+    
+    expect(parseDirectives(source).imports.map(directive => directive.path)).toEqual(['./Real.sol']);
+  });
+  
+  test('parseDirectives should parse pragma directives', () => {
+    const source = 'pragma solidity >=0.8.0 /* lower */ <0.9.0;\npragma abicoder v2;\npragma experimental ABIEncoderV2;';
+    
+    expect(parseDirectives(source).pragmas).toEqual([
+      { name: 'solidity', value: '>=0.8.0 <0.9.0', line: 1 },
+      { name: 'abicoder', value: 'v2', line: 2 },
+      { name: 'experimental', value: 'ABIEncoderV2', line: 3 }
+    ]);
+  });
+  
+  test('extractImports should return the paths of multi-line imports', () => {
+    const source = 'import {\n  ERC20,\n  IERC20\n} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";';
+    
+    expect(extractImports(source)).toEqual(['@openzeppelin/contracts/token/ERC20/ERC20.sol']);
+  });
+});
\ No newline at end of file
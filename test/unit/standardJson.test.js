@@ -0,0 +1,98 @@
+/**
+ * Unit tests for Standard JSON input compilation
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/config');
+const compilationService = require('../../src/services/compilationService');
+const foundryService = require('../../src/services/foundryService');
+
+describe('Standard JSON input', () => {
+  let storePath;
+  let originalLibPath;
+  
+  beforeEach(async () => {
+    storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'library-store-'));
+    originalLibPath = config.dependencies.libPath;
+    config.dependencies.libPath = storePath;
+    
+    await fs.outputFile(path.join(storePath, 'openzeppelin-contracts-4.9.5/contracts/token/ERC20/ERC20.sol'), 'contract ERC20 { /* store */ }');
+    await fs.outputFile(path.join(storePath, 'solmate/src/utils/SafeTransferLib.sol'), 'library SafeTransferLib {}');
+    await fs.outputFile(path.join(storePath, 'forge-std/src/Test.sol'), 'contract Test { /* store */ }');
+  });
+  
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    config.dependencies.libPath = originalLibPath;
+    await fs.remove(storePath);
+  });
+  
+  /**
+   * Compile Standard JSON input with forge replaced by a snapshot of the prepared project
+   * @param {Object} input - Standard JSON input
+   * @returns {Promise<Object>} Remappings, linked libraries and submitted OpenZeppelin source the compiler would see
+   */
+  async function prepareProject(input) {
+    let project;
+    jest.spyOn(foundryService, 'compileContract').mockImplementation(async (projectPath) => {
+      project = {
+        remappings: (await fs.readFile(path.join(projectPath, 'remappings.txt'), 'utf8')).split('\n'),
+        libraries: await fs.readdir(path.join(projectPath, 'lib')),
+        erc20: await fs.readFile(path.join(projectPath, '@openzeppelin/contracts/token/ERC20/ERC20.sol'), 'utf8')
+      };
+      return { output: { contracts: {}, sources: {} } };
+    });
+    
+    await compilationService.compileStandardJson(input, { solidityVersion: '0.8.20' });
+    return project;
+  }
+  
+  test('compileStandardJson should compile submitted library sources instead of the store copies', async () => {
+    const project = await prepareProject({
+      language: 'Solidity',
+      sources: {
+        'src/Token.sol': { content: 'import "@openzeppelin/contracts/token/ERC20/ERC20.sol";\nimport "solmate/utils/SafeTransferLib.sol";\ncontract Token is ERC20 {}' },
+        '@openzeppelin/contracts/token/ERC20/ERC20.sol': { content: 'contract ERC20 { /* verified */ }' }
+      },
+      settings: { remappings: ['solmate/=lib/solmate/src/'] }
+    });
+    
+    expect(project.erc20).toBe('contract ERC20 { /* verified */ }');
+    expect(project.libraries).toEqual(['solmate']);
+    expect(project.remappings).toContain('solmate/=lib/solmate/src/');
+    expect(project.remappings.filter(remapping => remapping.startsWith('@openzeppelin/'))).toEqual([]);
+  });
+  
+  test('POST /api/v1/compile/standard-json should accept the lib/ sources of Foundry build-info input', async () => {
+    let testSource;
+    jest.spyOn(foundryService, 'compileContract').mockImplementation(async (projectPath) => {
+      const libraryPath = path.join(projectPath, 'lib/forge-std');
+      expect((await fs.lstat(libraryPath)).isSymbolicLink()).toBe(false);
+      testSource = await fs.readFile(path.join(libraryPath, 'src/Test.sol'), 'utf8');
+      return { output: { contracts: {}, sources: {} } };
+    });
+    
+    const response = await request(app)
+      .post('/api/v1/compile/standard-json?solidityVersion=0.8.20')
+      .send({
+        language: 'Solidity',
+        sources: {
+          'test/Counter.t.sol': { content: 'import "forge-std/Test.sol";\ncontract CounterTest is Test {}' },
+          'lib/forge-std/src/Test.sol': { content: 'contract Test { /* build-info */ }' }
+        },
+        settings: { remappings: ['forge-std/=lib/forge-std/src/'] }
+      });
+    
+    expect(response.status).toBe(200);
+    expect(testSource).toBe('contract Test { /* build-info */ }');
+    
+    const traversal = await request(app)
+      .post('/api/v1/compile/standard-json')
+      .send({ language: 'Solidity', sources: { 'lib/../../Escape.sol': { content: 'contract Escape {}' } } });
+    expect(traversal.status).toBe(400);
+  });
+});
\ No newline at end of file
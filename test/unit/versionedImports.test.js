@@ -0,0 +1,47 @@
+/**
+ * Unit tests for version-in-path imports of configured libraries
+ */
+
+const dependencies = require('../../src/config/dependencies');
+const dependencyService = require('../../src/services/dependencyService');
+const { generateRemappings } = require('../../scripts/utils/remappingUtils');
+
+describe('Versioned imports', () => {
+  test('extracts version information from scoped and unscoped import paths', () => {
+    expect(dependencyService.extractVersionInfo('@uniswap/v3-core@1.0.1/contracts/UniswapV3Pool.sol')).toEqual({
+      namespace: 'uniswap',
+      package: 'v3-core',
+      version: '1.0.1',
+      fullPackage: '@uniswap/v3-core',
+      versionedPackage: '@uniswap/v3-core@1.0.1'
+    });
+    
+    const solmate = dependencyService.extractVersionInfo('solmate@89365b8/tokens/ERC20.sol');
+    expect(solmate.namespace).toBeNull();
+    expect(solmate.fullPackage).toBe('solmate');
+    expect(solmate.version).toBe('89365b8');
+    
+    expect(dependencyService.extractVersionInfo('solmate/tokens/ERC20.sol')).toBeNull();
+    expect(dependencyService.extractVersionInfo('./Token@2.sol')).toBeNull();
+  });
+  
+  test('resolves versioned imports to the git ref each library publishes the version under', () => {
+    expect(dependencyService.resolveDependency('@uniswap/v3-core@1.0.1/contracts/UniswapV3Pool.sol'))
+      .toEqual({ github: 'Uniswap/v3-core', version: 'v1.0.1' });
+    expect(dependencyService.resolveDependency('@chainlink/contracts@0.8.0/v0.8/interfaces/AggregatorV3Interface.sol'))
+      .toEqual({ github: 'smartcontractkit/chainlink', version: 'contracts-v0.8.0' });
+    expect(dependencyService.resolveDependency('erc721a@4.2.3/ERC721A.sol'))
+      .toEqual({ github: 'chiru-labs/ERC721A', version: 'v4.2.3' });
+    expect(dependencyService.resolveDependency('solmate@89365b880c4f3c786bdd453d4b8e8fe410344a69/tokens/ERC20.sol'))
+      .toEqual({ github: 'transmissions11/solmate', version: '89365b880c4f3c786bdd453d4b8e8fe410344a69' });
+  });
+  
+  test('generates versioned remappings for pinned versions of every library', () => {
+    const remappings = generateRemappings(dependencies.default);
+    
+    expect(remappings).toContain('@uniswap/v3-core@1.0.1/=lib/uniswap-v3-core-1.0.1/');
+    expect(remappings).toContain('@chainlink/contracts@0.8.0/=lib/chainlink-0.8.0/contracts/src/');
+    expect(remappings).toContain('erc721a@4.2.3/=lib/erc721a-4.2.3/contracts/');
+    expect(remappings).toContain('@openzeppelin/contracts@4.9.5/=lib/openzeppelin-contracts-4.9.5/contracts/');
+  });
+});
\ No newline at end of file